@@ -1,6 +1,16 @@
 // Global state accessible by other scripts
 window.lastEdgeDetectionResult = null;
 
+// 選択中のキャリブレーションプロファイル (learned-colors.js のセレクタで変更)
+function getCalibrationProfile() {
+    return localStorage.getItem('calibrationProfile') || 'default';
+}
+
+// 利用者やサーバーから来た文字列を innerHTML に入れる前にエスケープする (属性値にも使えるように引用符も)
+function escapeHtml(text) {
+    return String(text == null ? '' : text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 function showToast(message) {
     const toast = document.getElementById('toast');
     if (!toast) return;
@@ -71,6 +81,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const edgeThresholdValue = document.getElementById('edge-threshold-value');
     const thresholdDecrementBtn = document.getElementById('threshold-decrement-btn');
     const thresholdIncrementBtn = document.getElementById('threshold-increment-btn');
+    // 自動: threshold を送らず、サーバーが選んだ値 (thresholdSelection) をスライダーに反映する
+    const edgeThresholdAuto = document.getElementById('edge-threshold-auto');
 
     const updateThreshold = (newValue) => {
         const value = Math.max(parseInt(edgeThresholdSlider.min, 10), Math.min(parseInt(edgeThresholdSlider.max, 10), newValue));
@@ -82,9 +94,18 @@ document.addEventListener('DOMContentLoaded', () => {
     if (edgeThresholdSlider && edgeThresholdValue) {
         edgeThresholdSlider.addEventListener('input', (e) => {
             edgeThresholdValue.textContent = e.target.value;
+            // 手で動かしたら手動に切り替える
+            if (edgeThresholdAuto) edgeThresholdAuto.checked = false;
         });
     }
 
+    // 自動選択された値を表示する (input イベントは発火させないので自動のまま)
+    function showAutoThreshold(value) {
+        if (!edgeThresholdSlider || !edgeThresholdValue) return;
+        edgeThresholdSlider.value = value;
+        edgeThresholdValue.textContent = edgeThresholdSlider.value;
+    }
+
     if (thresholdDecrementBtn) {
         thresholdDecrementBtn.addEventListener('click', () => {
             updateThreshold(parseInt(edgeThresholdSlider.value, 10) - 1);
@@ -104,6 +125,13 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    const multiDetectToggle = document.getElementById('multi-detect-toggle');
+    if (multiDetectToggle) {
+        multiDetectToggle.addEventListener('change', () => {
+            if (currentImage) performEdgeDetection();
+        });
+    }
+
     const edgeLearningModeToggle = document.getElementById('edgeLearning-mode-toggle');
     const edgeLearningModeButton = document.getElementById('edge-learning-mode-button');
     const edgeLearningInputArea = document.getElementById('edge-learning-input-area');
@@ -187,7 +215,14 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function handleFiles(e) {
-        const file = e.target.files[0];
+        const files = Array.from(e.target.files);
+        // 複数ファイルや zip は一括解析 (batch.js) に回す
+        if (files.length > 1 || (files[0] && isZipFile(files[0]))) {
+            analyzeBatch(files);
+            fileInput.value = '';
+            return;
+        }
+        const file = files[0];
         if (file && file.type.startsWith('image/')) {
             // Clear previous results immediately
             const edgeImageContainer = document.getElementById('edge-image-container');
@@ -249,59 +284,49 @@ document.addEventListener('DOMContentLoaded', () => {
 
         const ctx = canvas.getContext('2d');
         const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const pixels = [];
-        for (let i = 0; i < imageData.data.length; i += 4) {
-            pixels.push({ r: imageData.data[i], g: imageData.data[i + 1], b: imageData.data[i + 2] });
-        }
 
+        const autoThreshold = edgeThresholdAuto && edgeThresholdAuto.checked;
         const threshold = edgeThresholdSlider ? parseInt(edgeThresholdSlider.value, 10) : 1;
 
-        // Prepare request data
-        const requestData = { pixels, width: canvas.width, height: canvas.height, threshold };
-        const endpoint = '/api/detect-edges';
+        // Send the raw RGBA buffer (4 bytes/pixel) instead of per-pixel JSON objects
+        const multiToggle = document.getElementById('multi-detect-toggle');
+        const multi = multiToggle && multiToggle.checked;
+        const traceToggle = document.getElementById('trace-toggle');
+        const debug = traceToggle && traceToggle.checked;
+        const endpoint = `/api/detect-edges?threshold=${autoThreshold ? 'auto' : threshold}&profile=${encodeURIComponent(getCalibrationProfile())}${multi ? '&mode=multi' : ''}${debug ? '&debug=true' : ''}`;
+        const requestHeaders = {
+            'Content-Type': 'application/octet-stream',
+            'X-Image-Width': String(canvas.width),
+            'X-Image-Height': String(canvas.height)
+        };
+
+        const localToggle = document.getElementById('local-analysis-toggle');
+        const local = localToggle && localToggle.checked;
 
         try {
-            const startTime = Date.now();
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(requestData)
-            });
-            const endTime = Date.now();
+            const data = local
+                ? await detectLocally(imageData, { threshold: autoThreshold ? null : threshold, mode: multi ? 'multi' : 'single', debug })
+                : await detectOnWorker(endpoint, requestHeaders, imageData, canvas);
 
-            // Capture response for debugging
-            const responseClone = response.clone();
-            const data = await response.json();
+            if (data.thresholdSelection && data.thresholdSelection.mode === 'auto') {
+                showAutoThreshold(data.thresholdSelection.threshold);
+            }
 
-            // Display raw worker response
-            displayRawWorkerResponse({
-                request: {
-                    endpoint: endpoint,
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: {
-                        ...requestData,
-                        pixels: `[${pixels.length} pixels - truncated for display]`
-                    }
-                },
-                response: {
-                    status: responseClone.status,
-                    statusText: responseClone.statusText,
-                    headers: Object.fromEntries(responseClone.headers.entries()),
-                    body: data
-                },
-                metadata: {
-                    timestamp: new Date().toISOString(),
-                    duration: `${endTime - startTime}ms`
-                }
-            });
+            // トレースは抵抗器ごとに返る (複数検出では resistors[].trace)
+            renderBandTrace(data.mode === 'multi'
+                ? data.resistors.map((resistor, index) => ({ label: `#${index + 1}`, trace: resistor.trace }))
+                : [{ label: '', trace: data.trace }]);
 
-            if (!response.ok) {
-                throw new Error(data.error || 'Edge detection failed');
+            if (data.mode === 'multi') {
+                // 複数検出の結果は「値から学習」の対象にしない
+                window.lastEdgeDetectionResult = null;
+                renderMultiVisualization(data.resistors, canvas.width, canvas.height);
+                renderMultiResult(data);
+                return;
             }
 
             window.lastEdgeDetectionResult = data;
-            renderEdgeVisualization(data.bands, canvas.width, data.orientation, canvas.height);
+            renderEdgeVisualization(data.bands, canvas.width, data.orientation, canvas.height, data.axis, data);
             renderEdgeResult(data);
         } catch (error) {
             console.error('Error in edge detection:', error);
@@ -309,6 +334,82 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    async function detectOnWorker(endpoint, requestHeaders, imageData, canvas) {
+        const startTime = Date.now();
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: requestHeaders,
+            body: imageData.data
+        });
+        const endTime = Date.now();
+
+        // Capture response for debugging
+        const responseClone = response.clone();
+        const data = await response.json();
+
+        // Display raw worker response
+        displayRawWorkerResponse({
+            request: {
+                endpoint: endpoint,
+                method: 'POST',
+                headers: requestHeaders,
+                body: `[${imageData.data.length} bytes RGBA (${canvas.width}x${canvas.height}) - truncated for display]`
+            },
+            response: {
+                status: responseClone.status,
+                statusText: responseClone.statusText,
+                headers: Object.fromEntries(responseClone.headers.entries()),
+                body: data
+            },
+            metadata: {
+                timestamp: new Date().toISOString(),
+                duration: `${endTime - startTime}ms`
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Edge detection failed');
+        }
+        return data;
+    }
+
+    // ローカル解析: Worker と同じ解析コア (analysis.js の detectResistor) をブラウザで実行し、
+    // /api/detect-edges と同じ形の結果を作る。学習済みカラーだけはサーバーから取得する
+    async function detectLocally(imageData, options) {
+        if (!window.ResistorAnalysis) {
+            throw new Error('ローカル解析モジュール (analysis.js) を読み込めませんでした');
+        }
+        const profile = getCalibrationProfile();
+        const response = await fetch(`/api/learned-colors?profile=${encodeURIComponent(profile)}`);
+        const learned = await response.json();
+        if (!response.ok) {
+            throw new Error(learned.error || 'Failed to load learned colors');
+        }
+
+        const startTime = Date.now();
+        const detection = window.ResistorAnalysis.detectResistor(imageData, { ...options, customColors: learned.colors });
+        const data = {
+            success: true,
+            ...detection,
+            crop: { x: 0, y: 0, width: imageData.width, height: imageData.height },
+            profile: learned.profile
+        };
+
+        displayRawWorkerResponse({
+            request: {
+                endpoint: 'analysis.js detectResistor (local)',
+                options: { ...options, customColors: `[${learned.colors.length} learned colors]` },
+                body: `[${imageData.data.length} bytes RGBA (${imageData.width}x${imageData.height}) - truncated for display]`
+            },
+            response: { status: 200, statusText: 'OK (local)', body: data },
+            metadata: {
+                timestamp: new Date().toISOString(),
+                duration: `${Date.now() - startTime}ms`
+            }
+        });
+        return data;
+    }
+
     // --- Raw Worker Response Functions ---
     function displayRawWorkerResponse(debugData) {
         const panel = document.getElementById('raw-response-panel');
@@ -338,15 +439,22 @@ document.addEventListener('DOMContentLoaded', () => {
         if (timestampEl) timestampEl.textContent = `${debugData.metadata.timestamp} (${debugData.metadata.duration})`;
     }
 
-    function renderEdgeVisualization(bands, width, orientation, height) { // orientation, height引数を追加
+    // 検出結果 (result) を渡すと、読み取った並びの抵抗器のイラストをクロップ画像の横に表示する
+    function renderEdgeVisualization(bands, width, orientation, height, axis, result) { // orientation, height引数を追加
         const edgeOverlay = document.getElementById('edge-overlay');
         if (!edgeOverlay) return;
         edgeOverlay.innerHTML = '';
+        renderResistorIllustration(result);
 
         // 画像の表示領域の実際の寸法を使用
         const targetWidth = width;
         const targetHeight = height;
 
+        // 走査した軸 (斜めの抵抗器ではバンドもこの軸に垂直な線として描く)
+        if (axis) {
+            renderAxisOverlay(edgeOverlay, axis, orientation === 'diagonal' ? bands : [], targetWidth, targetHeight);
+        }
+        if (orientation === 'diagonal') return;
 
         bands.forEach(band => {
             const line = document.createElement('div');
@@ -412,6 +520,157 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // 画像座標 (viewBox) のSVGを重ねて、走査ラインと斜めのバンド位置を描く
+    function renderAxisOverlay(edgeOverlay, axis, bands, width, height) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.style.cssText = 'position: absolute; inset: 0; width: 100%; height: 100%; pointer-events: none; z-index: 9;';
+
+        const addLine = (x1, y1, x2, y2, stroke, strokeWidth, dash) => {
+            const line = document.createElementNS(svgNS, 'line');
+            line.setAttribute('x1', x1); line.setAttribute('y1', y1);
+            line.setAttribute('x2', x2); line.setAttribute('y2', y2);
+            line.setAttribute('stroke', stroke);
+            line.setAttribute('stroke-width', strokeWidth);
+            line.setAttribute('vector-effect', 'non-scaling-stroke');
+            if (dash) line.setAttribute('stroke-dasharray', dash);
+            svg.appendChild(line);
+        };
+
+        addLine(axis.start.x, axis.start.y, axis.end.x, axis.end.y, 'rgba(99, 102, 241, 0.9)', 2, '6 4');
+
+        const rad = axis.angle * Math.PI / 180;
+        const half = axis.thickness / 2;
+        const normal = { x: -Math.sin(rad) * half, y: Math.cos(rad) * half };
+        bands.forEach(band => {
+            addLine(band.x - normal.x, band.y - normal.y, band.x + normal.x, band.y + normal.y, `rgb(${band.rgb.r}, ${band.rgb.g}, ${band.rgb.b})`, 3);
+            const label = document.createElementNS(svgNS, 'text');
+            label.setAttribute('x', band.x + normal.x);
+            label.setAttribute('y', band.y + normal.y);
+            label.setAttribute('fill', 'white');
+            label.setAttribute('font-size', Math.max(10, Math.round(height / 30)));
+            label.setAttribute('paint-order', 'stroke');
+            label.setAttribute('stroke', 'black');
+            label.setAttribute('stroke-width', '3');
+            label.textContent = `${band.colorName} (${band.x}, ${band.y})`;
+            svg.appendChild(label);
+        });
+
+        edgeOverlay.appendChild(svg);
+    }
+
+    let renderedResistorUrl = null;
+
+    async function renderResistorIllustration(result) {
+        const container = document.getElementById('edge-rendered-resistor');
+        if (!container) return;
+        const names = result && ((result.reading && result.reading.bands) || result.detected_bands);
+        if (!names || names.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        try {
+            const response = await fetch('/api/render', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ colors: names })
+            });
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            if (renderedResistorUrl) URL.revokeObjectURL(renderedResistorUrl);
+            renderedResistorUrl = URL.createObjectURL(await response.blob());
+            document.getElementById('edge-rendered-resistor-image').src = renderedResistorUrl;
+            container.querySelector('.rendered-resistor-caption').textContent = `読み取り: ${names.join(' → ')}`;
+            container.style.display = 'block';
+        } catch (error) {
+            console.error('Error rendering resistor:', error);
+            container.style.display = 'none';
+        }
+    }
+
+    // 複数検出: 抵抗器ごとに枠と抵抗値のラベルを重ねる
+    function renderMultiVisualization(resistors, width, height) {
+        const edgeOverlay = document.getElementById('edge-overlay');
+        if (!edgeOverlay) return;
+        edgeOverlay.innerHTML = '';
+        renderResistorIllustration(null);
+
+        resistors.forEach((resistor, index) => {
+            const box = resistor.boundingBox;
+            const ok = resistor.resistance && resistor.resistance.ok;
+            const color = ok ? (resistor.confidence < 0.5 ? '#fbbf24' : '#4ade80') : '#f87171';
+
+            const frame = document.createElement('div');
+            frame.style.cssText = `
+                position: absolute;
+                left: ${(box.x / width) * 100}%;
+                top: ${(box.y / height) * 100}%;
+                width: ${(box.width / width) * 100}%;
+                height: ${(box.height / height) * 100}%;
+                border: 2px solid ${color};
+                border-radius: 4px;
+                pointer-events: none;
+                z-index: 10;
+            `;
+            const label = document.createElement('div');
+            label.style.cssText = `
+                position: absolute; left: 0; top: -1.6em;
+                background: rgba(0, 0, 0, 0.85); color: ${color}; padding: 2px 6px;
+                border-radius: 4px; font-size: 11px; font-weight: bold; white-space: nowrap;
+            `;
+            label.textContent = `#${index + 1} ${ok ? resistor.value : '読み取り不可'}`;
+            frame.appendChild(label);
+            edgeOverlay.appendChild(frame);
+
+            renderAxisOverlay(edgeOverlay, resistor.axis, [], width, height);
+        });
+    }
+
+    // 画像品質の警告 (quality.warnings[].code) ごとの撮り直し方
+    const QUALITY_HINTS = {
+        'blur': 'ピントを合わせ、カメラを固定して撮り直してください',
+        'glare': '光源の位置を変えるか光を拡散させて、金属色バンドの反射を避けてください',
+        'underexposed': '照明を足すか、抵抗器に影が落ちないようにしてください',
+        'low-resolution': 'もっと近づくか、高い解像度で撮影してください',
+        'loose-crop': '抵抗器の周りをもっと狭くクロップしてください'
+    };
+
+    function qualityHtml(quality) {
+        const score = Math.round(quality.score * 100);
+        const color = !quality.usable ? '#f87171' : quality.warnings.length > 0 ? '#fbbf24' : '#4ade80';
+        let html = `<br>画像品質: <span style="color:${color}; font-weight:600;">${score}%</span>`;
+        quality.warnings.forEach(warning => {
+            const icon = warning.severity === 'error' ? '✖' : '⚠';
+            html += `<br><span style="color:${warning.severity === 'error' ? '#f87171' : '#fbbf24'};">${icon} ${QUALITY_HINTS[warning.code] || warning.hint}</span>`
+                + ` <span style="opacity:0.6;">(${warning.message})</span>`;
+        });
+        return html;
+    }
+
+    function renderMultiResult(data) {
+        const resultContainer = document.getElementById('edge-result');
+        const valueEl = document.getElementById('edge-resistor-value');
+        const bandsEl = document.getElementById('edge-detected-bands');
+        const visualizationEl = document.getElementById('edge-visualization');
+
+        resultContainer.style.display = 'block';
+        valueEl.textContent = `${data.count} 本検出`;
+        visualizationEl.innerHTML = '';
+        bandsEl.innerHTML = data.resistors.map((resistor, index) => {
+            const ok = resistor.resistance && resistor.resistance.ok;
+            const value = ok ? `<span style="color:white; font-weight:600;">${resistor.value}</span>` : `<span style="color:#f87171;">${resistor.value || '読み取り不可'}</span>`;
+            const sequence = resistor.reading && ok ? resistor.reading.bands : resistor.detected_bands;
+            const qualityNote = resistor.quality && resistor.quality.warnings.length > 0
+                ? ` <span style="color:#fbbf24;" title="${resistor.quality.warnings.map(w => w.message).join('\n')}">⚠ 画像品質 ${Math.round(resistor.quality.score * 100)}%</span>`
+                : '';
+            return `#${index + 1}: ${value} <span style="opacity:0.7;">(${sequence.join(' → ') || '-'}, ${Math.round(resistor.confidence * 100)}%, ${resistor.angle}°)</span>${qualityNote}`;
+        }).join('<br>') || '抵抗器が見つかりませんでした。';
+    }
+
     function renderEdgeResult(data) {
         const resultContainer = document.getElementById('edge-result');
         const valueEl = document.getElementById('edge-resistor-value');
@@ -421,12 +680,59 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!resultContainer || !valueEl || !bandsEl || !vizEl) return;
 
         resultContainer.style.display = 'block';
-        if (data.resistor_value) {
+        const resistance = data.resistance;
+        // 値が読み取れたときだけ在庫に追加できる (inventory.js)
+        const inventoryActions = document.getElementById('edge-inventory-actions');
+        if (inventoryActions) inventoryActions.style.display = resistance && resistance.ok ? 'flex' : 'none';
+        if (resistance ? resistance.ok : data.resistor_value) {
             valueEl.textContent = data.resistor_value;
-            bandsEl.innerHTML = `Detected sequence: <span style="color:white;">${data.detected_bands.join(' → ')}</span>`;
+            const sequence = data.reading ? data.reading.bands : data.detected_bands;
+            bandsEl.innerHTML = `Detected sequence: <span style="color:white;">${sequence.join(' → ')}</span>`;
+            if (data.reading) {
+                const directionLabel = data.reading.direction === 'reversed' ? '逆方向から読み取り' : '順方向';
+                bandsEl.innerHTML += ` <span style="opacity:0.7;">(${directionLabel}, ${Math.round(data.reading.confidence * 100)}%)</span>`;
+                const alt = data.reading.alternative;
+                if (alt && alt.resistance && alt.resistance.ok) {
+                    bandsEl.innerHTML += `<br>Alternative: <span style="opacity:0.7;">${alt.resistance.display}</span>`;
+                }
+            }
+            if (resistance) {
+                bandsEl.innerHTML += `<br>Range: <span style="color:white;">${resistance.minOhms}Ω – ${resistance.maxOhms}Ω</span> (${resistance.layout})`;
+            }
+            if (data.confidence !== undefined) {
+                const doubtful = data.confidence < 0.5;
+                bandsEl.innerHTML += `<br>Confidence: <span style="color:${doubtful ? '#f87171' : '#4ade80'}; font-weight:600;">${Math.round(data.confidence * 100)}%</span>`
+                    + (doubtful ? ' <span style="color:#f87171;">⚠ 読み取り結果を確認してください</span>' : '');
+            }
+            if (data.axis) {
+                bandsEl.innerHTML += `<br>軸: <span style="opacity:0.7;">${data.axis.angle}° (${data.orientation}, ${data.axis.method})</span>`;
+            }
+            if (data.whiteBalance && data.whiteBalance.method !== 'none') {
+                const g = data.whiteBalance.gains;
+                bandsEl.innerHTML += `<br>照明補正: <span style="opacity:0.7;">${data.whiteBalance.method} (R×${g.r} G×${g.g} B×${g.b})</span>`;
+            }
         } else {
             valueEl.textContent = "Detection Failed";
             bandsEl.innerHTML = `Detected bands: <span style="color:rgba(255,255,255,0.5);">${data.detected_bands ? data.detected_bands.join(' → ') : 'None'}</span>`;
+            if (resistance && resistance.error) {
+                bandsEl.innerHTML += `<br><span style="color:#f87171;">${resistance.error.code}: ${resistance.error.message}</span>`;
+            }
+        }
+
+        // 読み取りに失敗したときこそ撮り直しのヒントが必要なので、結果にかかわらず表示する
+        if (data.quality) {
+            bandsEl.innerHTML += qualityHtml(data.quality);
+        }
+
+        // 自動選択した検出感度と、次点の候補
+        const selection = data.thresholdSelection;
+        if (selection && selection.mode === 'auto') {
+            const others = selection.candidates
+                .filter(c => c.threshold !== selection.threshold && c.value !== selection.candidates[0].value)
+                .slice(0, 2)
+                .map(c => `${c.threshold}: ${c.value || c.bands.join('-') || '-'}`);
+            bandsEl.innerHTML += `<br>検出感度: <span style="color:white;">自動 (${selection.threshold})</span>`
+                + (others.length > 0 ? ` <span style="opacity:0.7;">他の候補 ${others.join(', ')}</span>` : '');
         }
 
         vizEl.innerHTML = '';
@@ -451,12 +757,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             }
 
+            const candidatesTitle = (band.candidates || []).map(c => `${c.name}: ${c.distance}`).join('&#10;');
+
             chip.innerHTML = `
                 <div style="width: 24px; height: 24px; background: rgb(${band.rgb.r}, ${band.rgb.g}, ${band.rgb.b}); border-radius: 4px; border: 1px solid rgba(255,255,255,0.3);"></div>
                 <span>${band.colorName}</span>
                 <span style="opacity: 0.6; font-size: 0.8rem;">#${((1 << 24) + (band.rgb.r << 16) + (band.rgb.g << 8) + band.rgb.b).toString(16).slice(1).toUpperCase()}</span>
                 <span style="opacity: 0.5; font-size: 0.75rem;">(x: ${band.x})</span>
                 ${band.chroma !== undefined ? `<span style="font-size: 0.7rem; padding: 2px 6px; background: rgba(0,0,0,0.3); border-radius: 3px; color: ${chromaColor};" title="Chroma (Saturation): ${band.chroma.toFixed(1)}">C: ${band.chroma.toFixed(1)} (${chromaLabel})</span>` : ''}
+                ${band.confidence !== undefined ? `<span style="font-size: 0.7rem; padding: 2px 6px; background: rgba(0,0,0,0.3); border-radius: 3px; color: ${band.confidence < 0.5 ? '#f87171' : '#e2e8f0'};" title="${candidatesTitle}">${Math.round(band.confidence * 100)}% (${band.rule})</span>` : ''}
                 <button class="learn-btn" style="margin-left: 0.5rem; background: #f59e0b; border: none; color: white; padding: 0.25rem 0.5rem; border-radius: 4px; cursor: pointer;">Learn</button>
             `;
             chip.querySelector('.learn-btn').addEventListener('click', () => openLearnModal(band));
@@ -512,7 +821,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const response = await fetch('/api/learn', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ detectedColor, correctColorName })
+                body: JSON.stringify({ detectedColor, correctColorName, profile: getCalibrationProfile() })
             });
             if (!response.ok) {
                 const err = await response.json();
@@ -535,126 +844,53 @@ document.addEventListener('DOMContentLoaded', () => {
         autoCropBtn.addEventListener('click', performAutoCrop);
     }
 
-    function performAutoCrop() {
+    // 抵抗器の本体 (リード線・背景を除く) の位置は Worker の /api/locate で求める
+    const LOCATE_MAX_DIMENSION = 1024;
+
+    async function performAutoCrop() {
         if (!cropper || !currentImage) {
             showToast('画像がロードされていません');
             return;
         }
 
+        // 大きな写真は縮小して送り、結果の座標を元の解像度に戻す
+        const scale = Math.min(1, LOCATE_MAX_DIMENSION / Math.max(currentImage.naturalWidth, currentImage.naturalHeight));
         const canvas = document.createElement('canvas');
-        canvas.width = currentImage.naturalWidth;
-        canvas.height = currentImage.naturalHeight;
+        canvas.width = Math.max(1, Math.round(currentImage.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(currentImage.naturalHeight * scale));
         const ctx = canvas.getContext('2d');
-        ctx.drawImage(currentImage, 0, 0);
-
-        const imgWidth = canvas.width;
-        const imgHeight = canvas.height;
-        const imageData = ctx.getImageData(0, 0, imgWidth, imgHeight);
-        const data = imageData.data;
-
-        // --- 向きの推定 (Worker側のestimateOrientationと同様のロジック) ---
-        let orientation;
-        if (imgWidth > imgHeight * 1.5) {
-            orientation = "horizontal";
-        } else if (imgHeight > imgWidth * 1.5) {
-            orientation = "vertical";
-        } else {
-            orientation = "horizontal"; // デフォルト
-        }
-
-        let mainDim, crossDim;
-        let mainCenter;
-
-        if (orientation === "horizontal") {
-            mainDim = imgWidth;
-            crossDim = imgHeight;
-            mainCenter = Math.floor(imgWidth / 2);
-        } else { // vertical
-            mainDim = imgHeight;
-            crossDim = imgWidth;
-            mainCenter = Math.floor(imgHeight / 2);
-        }
-        
-        // クロス軸方向の走査範囲 (抵抗のボディ部分の平均色を捉えるため)
-        // crossDim の10%から90%の範囲
-        const crossAxisStart = Math.floor(crossDim * 0.1);
-        const crossAxisEnd = Math.floor(crossDim * 0.9);
-
-        // --- 汎用的なピクセル取得と平均色計算関数 ---
-        function getPixelColor(x, y) {
-            if (x < 0 || x >= imgWidth || y < 0 || y >= imgHeight) return { r: 0, g: 0, b: 0 };
-            const idx = (y * imgWidth + x) * 4;
-            return { r: data[idx], g: data[idx + 1], b: data[idx + 2] };
-        }
-
-        // mainCoord は走査軸方向の座標
-        // crossAxisStart/End はクロス軸方向の平均化範囲
-        function getAverageColor(mainCoord, crossStart, crossEnd) {
-            let r = 0, g = 0, b = 0, count = 0;
-            if (crossStart >= crossEnd) return { r: 0, g: 0, b: 0 };
-
-            for (let crossCoord = crossStart; crossCoord < crossEnd; crossCoord++) {
-                let pixel;
-                if (orientation === "horizontal") {
-                    pixel = getPixelColor(mainCoord, crossCoord); // mainCoordはX、crossCoordはY
-                } else { // vertical
-                    pixel = getPixelColor(crossCoord, mainCoord); // mainCoordはY、crossCoordはX
-                }
-                r += pixel.r; g += pixel.g; b += pixel.b;
-                count++;
-            }
-            return count > 0 ? { r: r / count, g: g / count, b: b / count } : { r: 0, g: 0, b: 0 };
-        }
-
-        // ボディ色の推定（メイン軸の中心付近のクロス軸全体の平均）
-        const bodyColor = getAverageColor(mainCenter, crossAxisStart, crossAxisEnd);
-
-        const diffThreshold = 40; // 色差の閾値
+        ctx.drawImage(currentImage, 0, 0, canvas.width, canvas.height);
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
 
-        function isColorDifferent(color1, color2) {
-            const diff = Math.abs(color1.r - color2.r) + Math.abs(color1.g - color2.g) + Math.abs(color1.b - color2.b);
-            return diff > diffThreshold * 3;
+        let located;
+        try {
+            const response = await fetch('/api/locate', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'X-Image-Width': String(canvas.width),
+                    'X-Image-Height': String(canvas.height)
+                },
+                body: imageData.data
+            });
+            located = await response.json();
+            if (!response.ok) throw new Error(located.error || 'Locate failed');
+        } catch (error) {
+            console.error('Error in auto crop:', error);
+            showToast(`自動クロップに失敗しました: ${error.message}`);
+            return;
         }
 
-        let mainAxisStart = 0;
-        let mainAxisEnd = mainDim;
-
-        // メイン軸に沿ってボディ色の境界を検出
-        for (let m = mainCenter; m >= 0; m -= 2) {
-            if (isColorDifferent(bodyColor, getAverageColor(m, crossAxisStart, crossAxisEnd))) {
-                mainAxisStart = m;
-                break;
-            }
-        }
-        for (let m = mainCenter; m < mainDim; m += 2) {
-            if (isColorDifferent(bodyColor, getAverageColor(m, crossAxisStart, crossAxisEnd))) {
-                mainAxisEnd = m;
-                break;
-            }
+        if (!located.found) {
+            showToast(`抵抗器の位置を特定できませんでした (${located.message})`);
+            return;
         }
 
-        const detectedLength = mainAxisEnd - mainAxisStart;
-        const padding = Math.floor(detectedLength * 0.1);
-        let cropMainStart = mainAxisStart - padding;
-        let cropMainLength = detectedLength + (padding * 2);
-
-        // クロップ範囲の調整
-        if (cropMainStart < 0) cropMainStart = 0;
-        if (cropMainStart + cropMainLength > mainDim) cropMainLength = mainDim - cropMainStart;
-
-        let cropX, cropY, cropWidth, cropHeight;
-
-        if (orientation === "horizontal") {
-            cropX = cropMainStart;
-            cropY = 0; // Y方向全体をクロップ
-            cropWidth = cropMainLength;
-            cropHeight = imgHeight;
-        } else { // vertical
-            cropX = 0; // X方向全体をクロップ
-            cropY = cropMainStart;
-            cropWidth = imgWidth;
-            cropHeight = cropMainLength;
-        }
+        const box = located.boundingBox;
+        const cropX = Math.round(box.x / scale);
+        const cropY = Math.round(box.y / scale);
+        const cropWidth = Math.round(box.width / scale);
+        const cropHeight = Math.round(box.height / scale);
 
         const cropData = { x: cropX, y: cropY, width: cropWidth, height: cropHeight };
         cropper.setData(cropData);
@@ -688,6 +924,6 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }, 100);
 
-        showToast('検出エリアを自動調整しました (Center-Out)');
+        showToast(`検出エリアを自動調整しました (${located.orientation}, ${located.angle}°)`);
     }
 });
@@ -0,0 +1,157 @@
+// バンド抽出のトレース (/api/detect-edges?debug=true) をグラフと表で表示する
+// 閾値 (検出感度) や幅ルールの調整用
+
+const TRACE_CHART_WIDTH = 640;
+const TRACE_STRIP_HEIGHT = 18;
+const TRACE_CURVE_HEIGHT = 120;
+const TRACE_SEGMENT_HEIGHT = 26;
+const TRACE_GAP = 6;
+
+const TRACE_DROP_LABELS = {
+    'narrow': '幅不足',
+    'lightness': '明度範囲外',
+    'wide-body': '太い本体色',
+    'body-color': '本体色',
+    'wide-median': '中央値の2.5倍超'
+};
+
+function traceRgb(p) {
+    return `rgb(${p.r}, ${p.g}, ${p.b})`;
+}
+
+// 上から: 補正前の色プロファイル / 補正後の色プロファイル / 隣接画素の色距離と閾値 / セグメント
+function drawBandTraceChart(canvas, trace) {
+    const length = trace.profile.balanced.length;
+    const ratio = window.devicePixelRatio || 1;
+    const height = TRACE_STRIP_HEIGHT * 2 + TRACE_CURVE_HEIGHT + TRACE_SEGMENT_HEIGHT + TRACE_GAP * 3;
+    canvas.width = TRACE_CHART_WIDTH * ratio;
+    canvas.height = height * ratio;
+    canvas.style.width = '100%';
+    canvas.style.maxWidth = `${TRACE_CHART_WIDTH}px`;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    const scaleX = TRACE_CHART_WIDTH / Math.max(1, length);
+
+    // 色プロファイル (1画素ずつの帯)
+    let y = 0;
+    [trace.profile.raw, trace.profile.balanced].forEach(line => {
+        line.forEach((p, i) => {
+            ctx.fillStyle = traceRgb(p);
+            ctx.fillRect(i * scaleX, y, Math.ceil(scaleX), TRACE_STRIP_HEIGHT);
+        });
+        y += TRACE_STRIP_HEIGHT + TRACE_GAP;
+    });
+
+    // 色距離の曲線 (distances[i] は i と i+1 の間なので、その境目に描く)
+    const curveTop = y;
+    const maxDistance = Math.max(trace.colorChangeThreshold * 1.2, ...trace.distances, 1);
+    const toY = value => curveTop + TRACE_CURVE_HEIGHT - (value / maxDistance) * TRACE_CURVE_HEIGHT;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    ctx.fillRect(0, curveTop, TRACE_CHART_WIDTH, TRACE_CURVE_HEIGHT);
+
+    ctx.strokeStyle = '#818cf8';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    trace.distances.forEach((d, i) => {
+        const x = (i + 1) * scaleX;
+        if (i === 0) ctx.moveTo(x, toY(d));
+        else ctx.lineTo(x, toY(d));
+    });
+    ctx.stroke();
+
+    // 閾値を超えた所でセグメントが切れる
+    ctx.strokeStyle = '#f87171';
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(0, toY(trace.colorChangeThreshold));
+    ctx.lineTo(TRACE_CHART_WIDTH, toY(trace.colorChangeThreshold));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = '#f87171';
+    ctx.font = '10px sans-serif';
+    ctx.fillText(`threshold ${trace.colorChangeThreshold}`, 4, toY(trace.colorChangeThreshold) - 3);
+    ctx.fillStyle = '#94a3b8';
+    ctx.fillText(`max ${Math.round(maxDistance * 10) / 10}`, 4, curveTop + 10);
+    y += TRACE_CURVE_HEIGHT + TRACE_GAP;
+
+    // セグメント (除外されたものは暗くして × を付ける)
+    trace.segments.forEach(segment => {
+        const x = segment.start * scaleX;
+        const w = Math.max(1, segment.width * scaleX);
+        ctx.globalAlpha = segment.kept ? 1 : 0.35;
+        ctx.fillStyle = traceRgb(segment.rgb);
+        ctx.fillRect(x, y, w, TRACE_SEGMENT_HEIGHT);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = segment.kept ? '#4ade80' : '#f87171';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, w - 1, TRACE_SEGMENT_HEIGHT - 1);
+        if (!segment.kept && w > 6) {
+            ctx.beginPath();
+            ctx.moveTo(x + 2, y + 2);
+            ctx.lineTo(x + w - 2, y + TRACE_SEGMENT_HEIGHT - 2);
+            ctx.moveTo(x + w - 2, y + 2);
+            ctx.lineTo(x + 2, y + TRACE_SEGMENT_HEIGHT - 2);
+            ctx.stroke();
+        }
+        if (w > 14) {
+            ctx.fillStyle = '#fff';
+            ctx.font = '10px sans-serif';
+            ctx.fillText(String(segment.index), x + 3, y + TRACE_SEGMENT_HEIGHT - 8);
+        }
+    });
+}
+
+function bandTraceTable(trace) {
+    const rows = trace.segments.map(segment => {
+        const status = segment.kept
+            ? '<span class="batch-ok">採用</span>'
+            : `<span class="batch-failed">${TRACE_DROP_LABELS[segment.dropReason] || segment.dropReason}</span>`
+            + `<br><span class="band-trace-detail">${escapeHtml(segment.dropDetail)}</span>`;
+        const overrides = segment.overrides
+            .map(o => `${escapeHtml(o.from)} → ${escapeHtml(o.to)} <span class="band-trace-detail">(${escapeHtml(o.rule)}: ${escapeHtml(o.reason)})</span>`)
+            .join('<br>');
+        return `<tr>
+            <td>${segment.index}</td>
+            <td><span class="band-trace-swatch" style="background:${traceRgb(segment.rgb)};"></span>${segment.start}–${segment.end}</td>
+            <td>${segment.width}${segment.atEdge ? ' <span class="band-trace-detail">端</span>' : ''}</td>
+            <td>${segment.l}</td>
+            <td>${segment.chroma}</td>
+            <td>${escapeHtml(segment.classified || '-')}</td>
+            <td>${overrides || '-'}</td>
+            <td>${status}</td>
+        </tr>`;
+    }).join('');
+    return `<table class="batch-table band-trace-table">
+        <thead><tr><th>#</th><th>範囲</th><th>幅</th><th>L*</th><th>彩度</th><th>分類</th><th>上書き</th><th>判定</th></tr></thead>
+        <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// entries: [{ label, trace }] (複数検出では抵抗器ごと)。trace がなければパネルを隠す
+function renderBandTrace(entries) {
+    const panel = document.getElementById('band-trace-panel');
+    if (!panel) return;
+    const traces = entries.filter(entry => entry.trace && entry.trace.segments);
+    panel.innerHTML = '';
+    panel.style.display = traces.length > 0 ? 'block' : 'none';
+
+    traces.forEach(({ label, trace }) => {
+        const block = document.createElement('div');
+        block.className = 'band-trace-block';
+        const limits = trace.widthLimits;
+        block.innerHTML = `
+            <h4>バンド抽出トレース ${escapeHtml(label)}</h4>
+            <div class="band-trace-summary">
+                閾値 ${trace.colorChangeThreshold} / 最小幅 ${trace.minBandWidth}px / 幅の中央値 ${trace.medianWidth}px
+                (Silver &lt; ${limits.silver}, Gold &lt; ${limits.gold}, 本体 &gt; ${limits.body}) /
+                交差軸 ${trace.crossAxis.start}–${trace.crossAxis.end} (${trace.orientation})
+            </div>
+            <div class="band-trace-legend">上から: 補正前の色 / 照明補正後の色 / 隣接画素の色距離 (赤線が閾値) / セグメント (緑: 採用, 赤: 除外)</div>`;
+        const canvas = document.createElement('canvas');
+        block.appendChild(canvas);
+        block.insertAdjacentHTML('beforeend', bandTraceTable(trace));
+        panel.appendChild(block);
+        drawBandTraceChart(canvas, trace);
+    });
+}
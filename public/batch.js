@@ -0,0 +1,83 @@
+// 複数ファイル (または zip) をまとめて解析する (/api/batch)
+
+let lastBatchFiles = [];
+
+function isZipFile(file) {
+    return /zip/.test(file.type) || /\.zip$/i.test(file.name);
+}
+
+function batchFormData(files, format) {
+    const form = new FormData();
+    files.forEach(file => form.append('images', file, file.name));
+    form.append('format', format);
+    form.append('profile', getCalibrationProfile());
+    return form;
+}
+
+function renderBatchResults(report) {
+    const section = document.getElementById('batch-section');
+    const summary = document.getElementById('batch-summary');
+    const body = document.getElementById('batch-results-body');
+    section.classList.remove('hidden');
+    summary.textContent = `${report.count} 枚中 ${report.decoded} 枚を読み取りました` + (report.failed > 0 ? ` (${report.failed} 枚は解析できませんでした)` : '');
+
+    body.innerHTML = '';
+    report.results.forEach(result => {
+        const row = document.createElement('tr');
+        const doubtful = !result.ok || result.confidence < 0.5;
+        const notes = result.error ? [result.error] : result.warnings;
+        row.innerHTML = `
+            <td>${escapeHtml(result.file)}</td>
+            <td class="${result.ok ? '' : 'batch-failed'}">${escapeHtml(result.value || '-')}</td>
+            <td>${escapeHtml(result.bands.join(' → ') || '-')}</td>
+            <td class="${doubtful ? 'batch-failed' : 'batch-ok'}">${Math.round(result.confidence * 100)}%</td>
+            <td class="batch-warnings">${notes.map(escapeHtml).join('<br>')}</td>`;
+        body.appendChild(row);
+    });
+}
+
+async function analyzeBatch(files) {
+    lastBatchFiles = Array.from(files).filter(file => file.type.startsWith('image/') || isZipFile(file));
+    if (lastBatchFiles.length === 0) {
+        showToast('画像ファイルまたは zip を選択してください。');
+        return;
+    }
+    showToast(`${lastBatchFiles.length} 個のファイルを解析しています...`);
+    try {
+        const response = await fetch('/api/batch', { method: 'POST', body: batchFormData(lastBatchFiles, 'json') });
+        const report = await response.json();
+        if (!response.ok) throw new Error(report.error || `HTTP ${response.status}`);
+        renderBatchResults(report);
+        document.getElementById('batch-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+        console.error('Error in batch analysis:', error);
+        showToast(`一括解析に失敗しました: ${error.message}`);
+    }
+}
+
+// CSV はサーバーで作り直す (同じファイルを format=csv で送り直す)
+async function downloadBatchCsv() {
+    if (lastBatchFiles.length === 0) return;
+    try {
+        const response = await fetch('/api/batch', { method: 'POST', body: batchFormData(lastBatchFiles, 'csv') });
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'resistor-batch.csv';
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showToast(`CSV の作成に失敗しました: ${error.message}`);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('batch-csv-btn').addEventListener('click', downloadBatchCsv);
+    document.getElementById('batch-close-btn').addEventListener('click', () => {
+        document.getElementById('batch-section').classList.add('hidden');
+    });
+});
@@ -0,0 +1,65 @@
+// 抵抗値から探すべき色の並びを調べるパネル (/api/encode)
+
+const ROLE_LABELS = { digit: '数字', multiplier: '乗数', tolerance: '許容差', tempco: '温度係数' };
+
+function renderColorLookup(result) {
+    const container = document.getElementById('color-lookup-result');
+    container.innerHTML = '';
+
+    const bands = document.createElement('div');
+    bands.className = 'color-lookup-bands';
+    result.bands.forEach(band => {
+        const item = document.createElement('div');
+        item.className = 'color-lookup-band';
+        item.innerHTML = `
+            <span class="color-lookup-swatch" style="background:${band.hex};"></span>
+            <span>${band.color}</span>
+            <span class="color-lookup-role">${ROLE_LABELS[band.role] || band.role}</span>`;
+        bands.appendChild(item);
+    });
+    container.appendChild(bands);
+
+    const summary = document.createElement('div');
+    summary.className = 'color-lookup-summary';
+    summary.textContent = `${result.display} (${result.layout})`
+        + (result.exact ? '' : ` ※ ${result.layout} では有効桁数が足りないため丸めています`);
+    container.appendChild(summary);
+}
+
+async function lookupColors() {
+    const value = document.getElementById('color-lookup-value').value.trim();
+    if (!value) {
+        showToast('抵抗値を入力してください。');
+        return;
+    }
+    const params = new URLSearchParams({ value });
+    const bandCount = document.getElementById('color-lookup-band-count').value;
+    if (bandCount) params.set('bandCount', bandCount);
+    const tolerance = document.getElementById('color-lookup-tolerance').value;
+    if (tolerance) params.set('tolerance', tolerance);
+    const tempco = document.getElementById('color-lookup-tempco').value;
+    if (tempco && bandCount === '6') params.set('tempco', tempco);
+
+    try {
+        const response = await fetch(`/api/encode?${params}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+        renderColorLookup(data);
+    } catch (error) {
+        document.getElementById('color-lookup-result').innerHTML = '';
+        showToast(`色の並びを求められませんでした: ${error.message}`);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const bandCountSelect = document.getElementById('color-lookup-band-count');
+    const tempcoSelect = document.getElementById('color-lookup-tempco');
+    // 温度係数は6本のときだけ選べる
+    bandCountSelect.addEventListener('change', () => {
+        tempcoSelect.hidden = bandCountSelect.value !== '6';
+    });
+    document.getElementById('color-lookup-btn').addEventListener('click', lookupColors);
+    document.getElementById('color-lookup-value').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') lookupColors();
+    });
+});
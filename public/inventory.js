@@ -0,0 +1,117 @@
+// 部品在庫の管理 (/api/inventory)。検出結果の「在庫に追加」と在庫一覧パネル
+
+// 検索欄: "4.7k" は値の一致、"1k-10k" は範囲、それ以外 (英字で始まる等) は保管場所として扱う
+function inventoryQuery() {
+    const text = document.getElementById('inventory-search').value.trim();
+    const params = new URLSearchParams();
+    if (!text) return params;
+    const range = text.match(/^(.*\d.*)\s*[-~〜]\s*(.*\d.*)$/);
+    if (range) {
+        params.set('min', range[1].trim());
+        params.set('max', range[2].trim());
+    } else if (/^[\d.]/.test(text) || /^R\d/i.test(text)) {
+        params.set('value', text);
+    } else {
+        params.set('location', text);
+    }
+    return params;
+}
+
+function renderInventory(records) {
+    const list = document.getElementById('inventory-list');
+    list.innerHTML = '';
+    if (records.length === 0) {
+        list.innerHTML = '<div class="learned-colors-empty">該当する在庫はありません。</div>';
+        return;
+    }
+    records.forEach(record => {
+        const row = document.createElement('div');
+        row.className = 'inventory-row';
+        row.innerHTML = `
+            <span class="inventory-value">${escapeHtml(record.value)}</span>
+            <span class="learned-color-meta">${escapeHtml(record.location || '-')}</span>
+            <span class="learned-color-meta">${escapeHtml((record.bands || []).join(' '))}</span>
+            <span class="inventory-quantity">
+                <button class="secondary-btn inventory-adjust" data-delta="-1" title="1つ減らす"><i class="fa-solid fa-minus"></i></button>
+                <span>${record.quantity}</span>
+                <button class="secondary-btn inventory-adjust" data-delta="1" title="1つ増やす"><i class="fa-solid fa-plus"></i></button>
+            </span>
+            <button class="learned-color-delete" title="削除"><i class="fa-solid fa-trash"></i></button>`;
+        row.querySelectorAll('.inventory-adjust').forEach(button => {
+            button.addEventListener('click', () => adjustInventory(record, Number(button.dataset.delta)));
+        });
+        row.querySelector('.learned-color-delete').addEventListener('click', () => deleteInventoryRecord(record));
+        list.appendChild(row);
+    });
+}
+
+async function loadInventory() {
+    try {
+        const data = await apiRequest(`/api/inventory?${inventoryQuery()}`);
+        document.getElementById('inventory-count').textContent = `(${data.count}種 / ${data.totalQuantity}個)`;
+        renderInventory(data.records);
+    } catch (error) {
+        console.error('Error loading inventory:', error);
+        showToast(`在庫の取得に失敗しました: ${error.message}`);
+    }
+}
+
+async function adjustInventory(record, delta) {
+    try {
+        await apiRequest(`/api/inventory/${record.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ delta })
+        });
+        loadInventory();
+    } catch (error) {
+        showToast(`数量を変更できませんでした: ${error.message}`);
+    }
+}
+
+async function deleteInventoryRecord(record) {
+    if (!confirm(`${record.value} (${record.location || '場所なし'}) を在庫から削除しますか?`)) return;
+    try {
+        await apiRequest(`/api/inventory/${record.id}`, { method: 'DELETE' });
+        loadInventory();
+    } catch (error) {
+        showToast(`削除に失敗しました: ${error.message}`);
+    }
+}
+
+async function addDetectionToInventory() {
+    const result = window.lastEdgeDetectionResult;
+    if (!result || !result.resistance || !result.resistance.ok) {
+        showToast('先に抵抗値を読み取ってください。');
+        return;
+    }
+    const quantity = parseInt(document.getElementById('edge-inventory-quantity').value, 10);
+    const location = document.getElementById('edge-inventory-location').value;
+    try {
+        const data = await apiRequest('/api/inventory', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                result: { resistance: result.resistance, reading: result.reading, detected_bands: result.detected_bands, confidence: result.confidence },
+                quantity: isNaN(quantity) ? 1 : quantity,
+                location
+            })
+        });
+        showToast(`${data.record.value} を在庫に追加しました (計 ${data.record.quantity} 個)。`);
+        loadInventory();
+    } catch (error) {
+        showToast(`在庫に追加できませんでした: ${error.message}`);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('edge-inventory-add-btn').addEventListener('click', addDetectionToInventory);
+    document.getElementById('inventory-search-btn').addEventListener('click', loadInventory);
+    document.getElementById('inventory-search').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') loadInventory();
+    });
+    document.getElementById('inventory-export-btn').addEventListener('click', () => {
+        window.location.href = `/api/inventory/export?${inventoryQuery()}`;
+    });
+    loadInventory();
+});
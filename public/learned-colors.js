@@ -0,0 +1,217 @@
+// 学習済みカラーの管理パネル (/api/learned-colors) とキャリブレーションプロファイル (/api/profiles)
+
+async function apiRequest(url, options = {}) {
+    const response = await fetch(url, options);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    return data;
+}
+
+function learnedColorsRequest(path, options = {}) {
+    const separator = path.includes('?') ? '&' : '?';
+    return apiRequest(`/api/learned-colors${path}${separator}profile=${encodeURIComponent(getCalibrationProfile())}`, options);
+}
+
+// --- Profiles ---
+
+async function loadProfiles() {
+    const select = document.getElementById('profile-select');
+    try {
+        const { profiles } = await apiRequest('/api/profiles');
+        let current = getCalibrationProfile();
+        // 削除されたプロファイルが選択されたままなら default に戻す
+        if (!profiles.some(p => p.name === current)) {
+            current = 'default';
+            localStorage.setItem('calibrationProfile', current);
+        }
+        select.innerHTML = '';
+        profiles.forEach(p => {
+            const option = document.createElement('option');
+            option.value = p.name;
+            option.textContent = `${p.name} (${p.count})`;
+            option.selected = p.name === current;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading profiles:', error);
+        showToast(`プロファイルの取得に失敗しました: ${error.message}`);
+    }
+}
+
+async function selectProfile(name) {
+    localStorage.setItem('calibrationProfile', name);
+    await loadProfiles();
+    loadLearnedColors();
+}
+
+async function createProfile(copyFrom) {
+    const label = copyFrom ? `「${copyFrom}」のコピー名` : '新しいプロファイル名';
+    const name = prompt(`${label} (英数字, - _ のみ):`);
+    if (!name) return;
+    try {
+        const url = copyFrom ? `/api/profiles/${encodeURIComponent(copyFrom)}/copy` : '/api/profiles';
+        await apiRequest(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        showToast(`プロファイル ${name} を作成しました。`);
+        selectProfile(name);
+    } catch (error) {
+        showToast(`作成に失敗しました: ${error.message}`);
+    }
+}
+
+async function deleteProfile() {
+    const name = getCalibrationProfile();
+    if (name === 'default') {
+        showToast('default プロファイルは削除できません。');
+        return;
+    }
+    if (!confirm(`プロファイル ${name} とその学習データを削除しますか？`)) return;
+    try {
+        await apiRequest(`/api/profiles/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        showToast(`プロファイル ${name} を削除しました。`);
+        selectProfile('default');
+    } catch (error) {
+        showToast(`削除に失敗しました: ${error.message}`);
+    }
+}
+
+// --- Learned colors ---
+
+function formatLearnedDate(iso) {
+    if (!iso) return '-';
+    const date = new Date(iso);
+    return isNaN(date.getTime()) ? '-' : date.toLocaleString('ja-JP');
+}
+
+function renderLearnedColors(colors) {
+    const list = document.getElementById('learned-colors-list');
+    const count = document.getElementById('learned-colors-count');
+    if (!list) return;
+
+    count.textContent = `(${colors.length})`;
+    list.innerHTML = '';
+
+    if (colors.length === 0) {
+        list.innerHTML = '<div class="learned-colors-empty">学習済みのカラーはありません。</div>';
+        return;
+    }
+
+    // 新しいものを上に表示
+    const sorted = [...colors].sort((a, b) => (b.updatedAt || b.learnedAt || '').localeCompare(a.updatedAt || a.learnedAt || ''));
+    sorted.forEach(color => {
+        const row = document.createElement('div');
+        row.className = 'learned-color-row';
+        row.innerHTML = `
+            <div class="learned-color-swatch" style="background: rgb(${color.r}, ${color.g}, ${color.b});"></div>
+            <strong>${escapeHtml(color.name)}</strong>
+            <span class="learned-color-meta">RGB(${color.r}, ${color.g}, ${color.b})</span>
+            <span class="learned-color-meta" title="学習日時">${formatLearnedDate(color.updatedAt || color.learnedAt)}</span>
+            <span class="learned-color-meta" title="学習元">${escapeHtml(color.source || '-')}</span>
+            <span class="learned-color-meta" title="サンプル数">×${color.sampleCount || 1}</span>
+            <button class="learned-color-delete" title="削除"><i class="fa-solid fa-xmark"></i></button>
+        `;
+        row.querySelector('.learned-color-delete').addEventListener('click', () => deleteLearnedColor(color));
+        list.appendChild(row);
+    });
+}
+
+async function loadLearnedColors() {
+    try {
+        const data = await learnedColorsRequest('');
+        renderLearnedColors(data.colors);
+        // プロファイルの件数表示も更新する
+        const option = document.querySelector(`#profile-select option[value="${CSS.escape(data.profile)}"]`);
+        if (option) option.textContent = `${data.profile} (${data.count})`;
+    } catch (error) {
+        console.error('Error loading learned colors:', error);
+        showToast(`学習済みカラーの取得に失敗しました: ${error.message}`);
+    }
+}
+
+async function deleteLearnedColor(color) {
+    if (!confirm(`${color.name} (RGB ${color.r}, ${color.g}, ${color.b}) を削除しますか？`)) return;
+    try {
+        await learnedColorsRequest(`/${color.id}`, { method: 'DELETE' });
+        showToast(`${color.name} を削除しました。`);
+        loadLearnedColors();
+    } catch (error) {
+        showToast(`削除に失敗しました: ${error.message}`);
+    }
+}
+
+async function clearLearnedColors() {
+    if (!confirm('すべての学習済みカラーを削除しますか？ (「元に戻す」で復元できます)')) return;
+    try {
+        const result = await learnedColorsRequest('', { method: 'DELETE' });
+        showToast(`${result.deleted}件を削除しました。`);
+        loadLearnedColors();
+    } catch (error) {
+        showToast(`削除に失敗しました: ${error.message}`);
+    }
+}
+
+async function undoLearnedColors() {
+    try {
+        const result = await learnedColorsRequest('/undo', { method: 'POST' });
+        renderLearnedColors(result.colors);
+        showToast('直前の変更を元に戻しました。');
+    } catch (error) {
+        showToast(`元に戻せませんでした: ${error.message}`);
+    }
+}
+
+async function exportLearnedColors() {
+    try {
+        const data = await learnedColorsRequest('/export');
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `learned-colors-${data.profile}-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        showToast(`エクスポートに失敗しました: ${error.message}`);
+    }
+}
+
+async function importLearnedColors(file) {
+    try {
+        const payload = JSON.parse(await file.text());
+        const replace = confirm('既存の学習データを置き換えますか？\n(OK: 置き換え / キャンセル: 追加・マージ)');
+        const result = await learnedColorsRequest(`/import?mode=${replace ? 'replace' : 'merge'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+        showToast(`${result.imported}件をインポートしました (合計 ${result.count}件)。`);
+        loadLearnedColors();
+    } catch (error) {
+        showToast(`インポートに失敗しました: ${error.message}`);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const importInput = document.getElementById('learned-colors-import-input');
+
+    document.getElementById('profile-select').addEventListener('change', (e) => selectProfile(e.target.value));
+    document.getElementById('profile-create-btn').addEventListener('click', () => createProfile(null));
+    document.getElementById('profile-copy-btn').addEventListener('click', () => createProfile(getCalibrationProfile()));
+    document.getElementById('profile-delete-btn').addEventListener('click', deleteProfile);
+
+    document.getElementById('learned-colors-refresh-btn').addEventListener('click', loadLearnedColors);
+    document.getElementById('learned-colors-undo-btn').addEventListener('click', undoLearnedColors);
+    document.getElementById('learned-colors-export-btn').addEventListener('click', exportLearnedColors);
+    document.getElementById('learned-colors-clear-btn').addEventListener('click', clearLearnedColors);
+    document.getElementById('learned-colors-import-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        if (importInput.files.length > 0) importLearnedColors(importInput.files[0]);
+        importInput.value = '';
+    });
+
+    loadProfiles().then(loadLearnedColors);
+});
@@ -24,7 +24,8 @@ async function learnFromEdgeDetection(correctValue, toleranceValue, statusElemen
             body: JSON.stringify({
                 detectedBands: window.lastEdgeDetectionResult.bands,
                 correctValue: correctValue,
-                correctTolerance: toleranceValue
+                correctTolerance: toleranceValue,
+                profile: getCalibrationProfile()
             })
         });
 
@@ -36,9 +37,26 @@ async function learnFromEdgeDetection(correctValue, toleranceValue, statusElemen
         const result = await response.json();
         console.log('Server learning response:', result);
         
-        statusElement.textContent = '学習が完了しました！';
-        statusElement.style.color = '#4ade80'; // Green for success
+        if (!result.persisted) {
+            statusElement.textContent = '学習データを保存できませんでした (KV未設定)';
+            statusElement.style.color = '#f87171';
+            showToast('学習データは保存されていません。');
+            return;
+        }
+
+        const unalignedCount = result.unaligned.detected.length + result.unaligned.expected.length;
+        const relabelledText = result.relabelled.map(b => `${b.detectedColor}→${b.correctColor}`).join(', ');
+        statusElement.textContent = `${result.learned.length}本を学習 (修正 ${result.relabelled.length}本${relabelledText ? `: ${relabelledText}` : ''})`;
+        if (unalignedCount > 0) {
+            const missing = result.unaligned.expected.map(e => e.color);
+            const extra = result.unaligned.detected.map(d => d.colorName);
+            statusElement.textContent += ` / 対応付けできないバンド: ${[...missing.map(c => `不足 ${c}`), ...extra.map(c => `余分 ${c}`)].join(', ')}`;
+            statusElement.style.color = '#fbbf24'; // Amber: partially learned
+        } else {
+            statusElement.style.color = '#4ade80'; // Green for success
+        }
         showToast('学習が完了しました。再度分析を実行して結果を確認してください。');
+        if (typeof loadLearnedColors === 'function') loadLearnedColors();
 
     } catch (error) {
         console.error('Error in learnFromEdgeDetection:', error);
@@ -1,131 +0,0 @@
-// =======================================================
-// PART 1: 定数と数学的変換 (Lab色空間)
-// =======================================================
-
-// 抵抗器の標準カラーコード定義（正確な値と色定義を含む）
-const RESISTOR_COLORS = [
-    { name: 'Black', r: 0, g: 0, b: 0, value: 0 },
-    { name: 'Brown', r: 139, g: 69, b: 19, value: 1, tolerance: 1 },
-    // ... (他の色の定義を続く)
-    { name: 'Red', r: 255, g: 0, b: 0, value: 2, tolerance: 2 },
-    { name: 'Orange', r: 255, g: 165, b: 0, value: 3 },
-    { name: 'Yellow', r: 255, g: 255, b: 0, value: 4 },
-    // ...
-    { name: 'Gold', r: 218, g: 165, b: 32, value: -1, tolerance: 5 },
-    { name: 'Silver', r: 192, g: 192, b: 192, value: -2, tolerance: 10 },
-    { name: 'Body', r: 225, g: 204, b: 153 } // 抵抗器本体色
-];
-
-// RGBをLab色空間へ変換する関数 (色の知覚的距離計算の基礎)
-function rgbToLab(r, g, b) {
-    // ... (前述のRGB to XYZ to Labの複雑な変換ロジックを実装)
-    // 戻り値: { l, a, b }
-    // ...
-    return { l: 0, a: 0, b: 0 }; // プレースホルダー
-}
-
-// CIE76 Delta E (色の知覚的距離) を計算する関数
-function colorDistance(c1, c2) {
-    const lab1 = rgbToLab(c1.r, c1.g, c1.b);
-    const lab2 = rgbToLab(c2.r, c2.g, c2.b);
-    return Math.sqrt(
-        Math.pow(lab1.l - lab2.l, 2) +
-        Math.pow(lab1.a - lab2.a, 2) +
-        Math.pow(lab1.b - lab2.b, 2)
-    );
-}
-
-// ピクセル色に最も近い標準色を見つける関数
-function findClosestColor(pixel) {
-    let minDist = Infinity;
-    let closestColor = null;
-
-    for (const color of RESISTOR_COLORS) {
-        const dist = colorDistance(pixel, { r: color.r, g: color.g, b: color.b });
-        if (dist < minDist) {
-            minDist = dist;
-            closestColor = color.name;
-        }
-    }
-    return closestColor; // 例: 'Brown', 'Red', 'Gold'
-}
-
-// =======================================================
-// PART 2: 画像解析の中核ロジック (抽象化)
-// =======================================================
-
-// 抵抗器の輪郭とバンドのエッジ（境界線）を検出する関数
-// 実際にはCanny法や色相の急激な変化を検出するロジックが必要
-function detectEdges(imageData) {
-    // 戻り値: バンド間の境界線のX座標の配列
-    // 例: [x1, x2, x3, x4, x5]
-    return [/* ... */]; // 抽象化
-}
-
-// エッジ情報に基づいて、バンドの中心をサンプリングする関数
-// バンド中央のノイズの少ないピクセルデータを抽出する
-function extractBandCenters(imageData, edges) {
-    const bandColors = [];
-    for (let i = 0; i < edges.length - 1; i++) {
-        const startX = edges[i];
-        const endX = edges[i + 1];
-
-        // バンド中央（startXとendXの間）の平均RGBを計算
-        // 垂直方向の中央Y座標付近のピクセル群を使う
-        const centerPixel = { r: /* avg R */ 0, g: /* avg G */ 0, b: /* avg B */ 0 };
-        bandColors.push(centerPixel);
-    }
-    return bandColors; // 抽出されたピクセル配列
-}
-
-// 抽出されたピクセル配列を、色名に変換する関数
-function mapColorsToNames(bandPixels) {
-    const colorNames = [];
-    for (const pixel of bandPixels) {
-        const name = findClosestColor(pixel);
-        if (name !== 'Body') { // 本体色を除外
-            colorNames.push(name);
-        }
-    }
-    return colorNames; // 例: ['Brown', 'Black', 'Yellow', 'Gold']
-}
-
-
-// =======================================================
-// PART 3: 統合されたメイン処理
-// =======================================================
-
-/**
- * 抵抗器の画像データから抵抗値を計算するメイン関数
- * @param {ImageData} imageData - Canvasから取得した画像データ
- */
-function processResistorImage(imageData) {
-    // 1. エッジ（バンド境界）を検出
-    const edges = detectEdges(imageData);
-
-    if (edges.length < 3) {
-        return "Error: Could not detect enough band edges.";
-    }
-
-    // 2. バンド中央の色を抽出 (ノイズを排除)
-    const bandPixels = extractBandCenters(imageData, edges);
-
-    // 3. 抽出した色をカラーコード名に変換 (Lab比較)
-    const colorNames = mapColorsToNames(bandPixels);
-
-    // 4. バンド数の確認と許容差バンドの特定
-    // 一般的な4バンドまたは5バンドに絞り込むロジックが必要
-    const finalBands = colorNames;
-
-    if (finalBands.length < 3 || finalBands.length > 5) {
-        return "Error: Unsupported band count detected: " + finalBands.length;
-    }
-
-    // 5. 抵抗値の計算 (前述の正確な計算ロジック)
-    const result = calculateResistorValue(finalBands);
-
-    return {
-        bands: finalBands,
-        value: result
-    };
-}
\ No newline at end of file
@@ -0,0 +1,29 @@
+// src/analysis.ts をブラウザ用の ES モジュール public/analysis.js に変換する
+// (Worker と同じ解析コードをページでも動かすため。wrangler dev / deploy の前に自動で実行される)
+//
+//   npm run build:analysis
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import ts from 'typescript';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+export const ANALYSIS_SOURCE = join(root, 'src', 'analysis.ts');
+export const ANALYSIS_OUTPUT = join(root, 'public', 'analysis.js');
+
+// analysis.ts は import を持たないので、型を落とすだけでそのままブラウザで読める
+export function buildAnalysis(outFile = ANALYSIS_OUTPUT) {
+    const { outputText } = ts.transpileModule(readFileSync(ANALYSIS_SOURCE, 'utf8'), {
+        compilerOptions: { module: ts.ModuleKind.ES2022, target: ts.ScriptTarget.ES2021 },
+        fileName: 'analysis.ts',
+    });
+    mkdirSync(dirname(outFile), { recursive: true });
+    writeFileSync(outFile, `// Generated from src/analysis.ts by scripts/build-analysis.mjs - do not edit\n${outputText}`);
+    return outFile;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    console.log(`wrote ${buildAnalysis()}`);
+}
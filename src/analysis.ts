@@ -0,0 +1,2159 @@
+// 抵抗器のカラーバンド解析コア (色の判定、軸の推定、バンド抽出、読み取り方向、画像品質、閾値の自動選択)
+// Worker (src/index.ts) とブラウザ (npm run build:analysis → public/analysis.js) の両方が同じこのモジュールを使う。
+// 画像のデコードや KV などの実行環境に依存する処理はここに置かない: 入力は RgbaImage、出力は JSON にできる値だけ。
+
+export interface Pixel {
+    r: number;
+    g: number;
+    b: number;
+    x?: number;
+}
+
+export interface ResistorColor {
+    name: string;
+    r: number;
+    g: number;
+    b: number;
+    value?: number;
+    multiplier?: number;
+    tolerance?: number;
+    tempco?: number; // 温度係数 (ppm/K)、6バンド目
+}
+
+export interface CustomColor {
+    name: string;
+    r: number;
+    g: number;
+    b: number;
+    // Metadata (entries saved before these existed have none)
+    id?: string; // "<RGB hex>-<label>"; unique because entries are deduplicated by label and RGB
+    learnedAt?: string; // ISO 8601
+    updatedAt?: string;
+    source?: string; // API endpoint that produced the sample
+    sampleCount?: number; // how many times this RGB was submitted
+}
+
+// Bad client input (undecodable image, empty crop, ...). Handlers answer these with 400.
+export class InputError extends Error { }
+
+// 解析パイプライン共通の画素バッファ: row-major の RGBA (1ピクセル4バイト)
+export interface RgbaImage {
+    data: Uint8Array | Uint8ClampedArray;
+    width: number;
+    height: number;
+}
+
+export interface CropRect {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+// --- Analysis Logic (Copied and adapted from test_edge_detection.js) ---
+
+export const RESISTOR_COLORS: ResistorColor[] = [
+    // Standard EIA color codes
+    { name: 'Black', r: 0, g: 0, b: 0, value: 0, multiplier: 1, tempco: 250 },
+    { name: 'Brown', r: 165, g: 42, b: 42, value: 1, multiplier: 10, tolerance: 1, tempco: 100 },
+    { name: 'Red', r: 255, g: 0, b: 0, value: 2, multiplier: 100, tolerance: 2, tempco: 50 },
+    { name: 'Orange', r: 255, g: 165, b: 0, value: 3, multiplier: 1000, tolerance: 0.05, tempco: 15 },
+    { name: 'Yellow', r: 255, g: 255, b: 0, value: 4, multiplier: 10000, tolerance: 0.02, tempco: 25 },
+    { name: 'Green', r: 0, g: 128, b: 0, value: 5, multiplier: 100000, tolerance: 0.5, tempco: 20 },
+    { name: 'Blue', r: 0, g: 0, b: 255, value: 6, multiplier: 1000000, tolerance: 0.25, tempco: 10 },
+    { name: 'Violet', r: 238, g: 130, b: 238, value: 7, multiplier: 10000000, tolerance: 0.1, tempco: 5 },
+    { name: 'Gray', r: 128, g: 128, b: 128, value: 8, multiplier: 100000000, tolerance: 0.01, tempco: 1 },
+    { name: 'White', r: 255, g: 255, b: 255, value: 9, multiplier: 1000000000 },
+    { name: 'Gold', r: 255, g: 215, b: 0, multiplier: 0.1, tolerance: 5 },
+    { name: 'Gold_Light', r: 255, g: 220, b: 100, value: -1, tolerance: 5 }, // 反射で白飛び気味のゴールド
+    { name: 'Gold_Metallic', r: 212, g: 175, b: 55, value: -1, tolerance: 5 }, // メタリックな質感
+    { name: 'Gold_Dark', r: 184, g: 134, b: 11, value: -1, tolerance: 5 }, // 影の部分
+    { name: 'Gold_Ochre', r: 204, g: 119, b: 34, value: -1, tolerance: 5 }, // 黄土色に近いゴールド
+    { name: 'Silver', r: 192, g: 192, b: 192, multiplier: 0.01, tolerance: 10 },
+    // Body color variants (expanded for better Gold vs Body discrimination)
+    { name: 'Beige (Body)', r: 245, g: 245, b: 220 },
+    { name: 'Tan (Body)', r: 210, g: 180, b: 140 },
+    { name: 'Sandy (Body)', r: 244, g: 164, b: 96 }, // 砂色系のBody
+    { name: 'Cream (Body)', r: 255, g: 253, b: 208 }, // クリーム色系のBody
+    { name: 'Khaki (Body)', r: 195, g: 176, b: 145 }, // カーキ色系のBody
+    { name: 'Light Blue (Body)', r: 173, g: 216, b: 230 },
+    // Dark variants for better detection under shadows
+    { name: 'Violet_Dark', r: 100, g: 50, b: 150, value: 7, multiplier: 10000000, tolerance: 0.1, tempco: 5 }
+];
+
+type ColorRule = 'nearest' | 'learned' | 'metallic-position' | 'body-reconsideration' | 'digit-position';
+
+interface ColorCandidate {
+    name: string;
+    distance: number; // 重み付け後の Lab 距離 (小さいほど近い)
+}
+
+interface ColorClassification {
+    color: ResistorColor;
+    rule: ColorRule;
+    candidates: ColorCandidate[]; // 色名ごとの最小距離、近い順
+}
+
+// Gold の各シェードと Violet_Dark は同じ色として扱う
+export function canonicalColorName(name: string): string {
+    if (name.startsWith('Gold')) return 'Gold';
+    if (name === 'Violet_Dark') return 'Violet';
+    return name;
+}
+
+export function findClosestColor(pixel: { r: number, g: number, b: number }, customColors: CustomColor[] = []): ResistorColor {
+    return classifyColor(pixel, customColors).color;
+}
+
+// 新しく追加する関数
+export function estimateOrientation(width: number, height: number): "horizontal" | "vertical" {
+    // 幅と高さの比率に基づいて向きを推定
+    // 抵抗器は通常、バンド部分が細長いため、
+    // 幅が高さより有意に大きい場合は水平、その逆は垂直と判断する。
+    // 閾値は調整可能だが、ここでは1.5倍を基準とする。
+    if (width > height * 1.5) { // 幅が高さの1.5倍より大きい場合
+        return "horizontal";
+    } else if (height > width * 1.5) { // 高さが幅の1.5倍より大きい場合
+        return "vertical";
+    } else {
+        // 比率があまり変わらない場合は、デフォルトで水平と仮定する。
+        return "horizontal";
+    }
+}
+
+// --- Learned Color Model ---
+// 学習データは色ごとのラベル付きサンプルとして扱い、Lab 空間の対角ガウス分布で色クラスを表現する。
+// 標準色 (RESISTOR_COLORS) は事前分布として疑似サンプルの形で混ぜる。
+
+const MAX_SAMPLES_PER_COLOR = 40;
+const LEARNED_PRIOR_WEIGHT = 2; // 標準色を何サンプル分として扱うか
+const LEARNED_PRIOR_SIGMA = 10; // 事前分布の標準偏差 (Lab)
+const LEARNED_MIN_SIGMA = 4; // 分散の下限 (サンプルが1点に集中しても過信しない)
+const LEARNED_MAX_SAMPLE_WEIGHT = 5; // 同じRGBの繰り返し (sampleCount) の重みの上限
+const LEARNED_OUTLIER_Z = 3.5; // ロバストzスコアがこれを超えるサンプルは外れ値として除外
+
+interface LabColor { l: number, a: number, b: number }
+
+interface LearnedColorModel {
+    name: string; // canonical color name
+    mean: LabColor;
+    sigma: LabColor;
+    samples: number; // 採用されたサンプル数
+    outliers: number; // 外れ値として除外されたサンプル数
+}
+
+const LAB_AXES: (keyof LabColor)[] = ['l', 'a', 'b'];
+
+export function median(values: number[]): number {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// 同じ学習データ配列に対してはモデルを作り直さない (extractBands はセグメントごとに分類する)
+const learnedModelCache = new WeakMap<CustomColor[], LearnedColorModel[]>();
+
+export function buildLearnedColorModels(customColors: CustomColor[]): LearnedColorModel[] {
+    const cached = learnedModelCache.get(customColors);
+    if (cached) return cached;
+
+    const byName = new Map<string, { lab: LabColor, weight: number }[]>();
+    for (const sample of customColors) {
+        const name = canonicalColorName(sample.name);
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name)!.push({
+            lab: rgbToLab(sample.r, sample.g, sample.b),
+            weight: Math.min(sample.sampleCount || 1, LEARNED_MAX_SAMPLE_WEIGHT),
+        });
+    }
+
+    const models: LearnedColorModel[] = [];
+    for (const [name, all] of byName) {
+        // Outlier rejection: median / MAD-based robust z-score of the distance to the class median
+        let samples = all;
+        if (all.length >= 4) {
+            const center = { l: median(all.map(s => s.lab.l)), a: median(all.map(s => s.lab.a)), b: median(all.map(s => s.lab.b)) };
+            const distances = all.map(s => Math.sqrt(LAB_AXES.reduce((sum, k) => sum + Math.pow(s.lab[k] - center[k], 2), 0)));
+            const mad = Math.max(median(distances), LEARNED_MIN_SIGMA);
+            samples = all.filter((_, i) => distances[i] / mad <= LEARNED_OUTLIER_Z);
+        }
+
+        // Prior: the stock color counts as LEARNED_PRIOR_WEIGHT pseudo-samples with LEARNED_PRIOR_SIGMA spread
+        const stock = RESISTOR_COLORS.find(c => c.name === name);
+        const points = samples.map(s => ({ lab: s.lab, weight: s.weight }));
+        if (stock) points.push({ lab: rgbToLab(stock.r, stock.g, stock.b), weight: LEARNED_PRIOR_WEIGHT });
+        const priorVariance = stock ? LEARNED_PRIOR_WEIGHT * LEARNED_PRIOR_SIGMA * LEARNED_PRIOR_SIGMA : 0;
+
+        const totalWeight = points.reduce((sum, p) => sum + p.weight, 0);
+        const mean = { l: 0, a: 0, b: 0 };
+        const sigma = { l: 0, a: 0, b: 0 };
+        for (const k of LAB_AXES) {
+            mean[k] = points.reduce((sum, p) => sum + p.weight * p.lab[k], 0) / totalWeight;
+            const variance = (points.reduce((sum, p) => sum + p.weight * Math.pow(p.lab[k] - mean[k], 2), 0) + priorVariance) / totalWeight;
+            sigma[k] = Math.max(Math.sqrt(variance), LEARNED_MIN_SIGMA);
+        }
+
+        models.push({ name, mean, sigma, samples: samples.length, outliers: all.length - samples.length });
+    }
+
+    learnedModelCache.set(customColors, models);
+    return models;
+}
+
+/**
+ * Mahalanobis distance (diagonal covariance) to a learned color class, scaled so that one standard
+ * deviation equals LEARNED_PRIOR_SIGMA Lab units and it can be ranked against the stock colors' distances.
+ */
+function learnedColorDistance(lab: LabColor, model: LearnedColorModel): number {
+    const z2 = LAB_AXES.reduce((sum, k) => sum + Math.pow((lab[k] - model.mean[k]) / model.sigma[k], 2), 0);
+    return Math.sqrt(z2 / LAB_AXES.length) * LEARNED_PRIOR_SIGMA;
+}
+
+// 学習データ配列の上限: 色ごとに最近更新された MAX_SAMPLES_PER_COLOR 件だけを残す
+export function capSamplesPerColor(definitions: CustomColor[]): CustomColor[] {
+    const recency = (c: CustomColor) => c.updatedAt || c.learnedAt || '';
+    const kept = new Set<CustomColor>();
+    const byName = new Map<string, CustomColor[]>();
+    for (const def of definitions) {
+        const name = canonicalColorName(def.name);
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name)!.push(def);
+    }
+    for (const samples of byName.values()) {
+        [...samples].sort((a, b) => recency(b).localeCompare(recency(a))).slice(0, MAX_SAMPLES_PER_COLOR).forEach(def => kept.add(def));
+    }
+    return definitions.filter(def => kept.has(def));
+}
+
+function classifyColor(pixel: { r: number, g: number, b: number }, customColors: CustomColor[] = []): ColorClassification {
+    // canonical name -> best (smallest) distance and where it came from
+    const best = new Map<string, { distance: number, color: ResistorColor, learned: boolean }>();
+    const consider = (color: ResistorColor, distance: number, learned: boolean) => {
+        const name = canonicalColorName(color.name);
+        const current = best.get(name);
+        // 同距離なら標準色を優先する (従来の `<=` 比較と同じ)
+        if (!current || distance < current.distance || (distance === current.distance && !learned)) {
+            best.set(name, { distance, color, learned });
+        }
+    };
+
+    const pixelLab = rgbToLab(pixel.r, pixel.g, pixel.b);
+
+    // First check the learned color classes (one Gaussian per color, stock color as prior)
+    if (customColors && Array.isArray(customColors) && customColors.length > 0) {
+        for (const model of buildLearnedColorModels(customColors)) {
+            const stock = RESISTOR_COLORS.find(c => c.name === model.name);
+            // 標準色にない名前の学習色はクラスの平均色で表す
+            const color = stock || { name: model.name, ...labToRgb(model.mean), value: -1 };
+            consider(color, learnedColorDistance(pixelLab, model), true);
+        }
+    }
+
+    // Then check standard colors
+    const pixelChroma = Math.sqrt(pixelLab.a * pixelLab.a + pixelLab.b * pixelLab.b);
+
+    // Calculate hue angle in Lab color space for better Gold vs Body discrimination
+    const hueAngle = Math.atan2(pixelLab.b, pixelLab.a) * (180 / Math.PI);
+
+    for (const color of RESISTOR_COLORS) {
+        let dist = deltaE2000(pixelLab, rgbToLab(color.r, color.g, color.b));
+
+        // --- IMPROVEMENT: Enhanced Gold vs Body Color Discrimination ---
+
+        // 1. Chroma-based Penalty for Neutral Colors
+        const isNeutral = ['Black', 'Gray', 'White', 'Silver'].includes(color.name) || color.name.includes('(Body)');
+        if (pixelChroma > 10 && isNeutral) {
+            dist *= (1.0 + (pixelChroma / 50));
+        }
+
+        // 2. Gold-specific enhancement with saturation check
+        if (color.name.startsWith('Gold')) {
+            // Gold has high saturation (chroma > 30) and specific hue (60-90 degrees)
+            const isGoldLike = pixelChroma > 30 && hueAngle > 60 && hueAngle < 100;
+            if (isGoldLike) {
+                dist *= 0.55; // Strong preference for Gold when characteristics match
+            } else {
+                dist *= 0.75; // Moderate preference otherwise
+            }
+        } else if (color.name === 'Silver') {
+            dist *= 0.8;
+        }
+
+        // 3. Body colors: penalize if pixel has high saturation (Gold-like)
+        if (color.name.includes('(Body)')) {
+            if (pixelChroma > 35) {
+                // High saturation pixel is unlikely to be Body color
+                dist *= 1.5;
+            } else if (pixelChroma < 15) {
+                // Low saturation is typical for Body colors
+                dist *= 0.85;
+            } else {
+                dist *= 0.95;
+            }
+        }
+
+        consider(color, dist, false);
+    }
+
+    const ranked = [...best.entries()].sort((a, b) => a[1].distance - b[1].distance);
+    const [winnerName, winner] = ranked[0];
+
+    // Unify different shades of Gold into a single 'Gold', and Dark Violet back to Violet
+    const standard = RESISTOR_COLORS.find(c => c.name === winnerName);
+    const color = standard || winner.color;
+
+    return {
+        color,
+        rule: winner.learned ? 'learned' : 'nearest',
+        candidates: ranked.map(([name, entry]) => ({ name, distance: Math.round(entry.distance * 100) / 100 })),
+    };
+}
+
+/**
+ * Confidence (0-1) that `chosenName` is right, from how far it is ahead of the nearest other color.
+ * Colors picked by a heuristic override may not be the nearest one; they get a fixed 0.35-0.75 band
+ * so an override is never reported as certain nor as worthless.
+ */
+function colorConfidence(candidates: ColorCandidate[], chosenName: string, overridden: boolean): number {
+    const chosen = candidates.find(c => c.name === chosenName);
+    const competitor = candidates.find(c => c.name !== chosenName);
+    if (!chosen || !competitor) return overridden ? 0.35 : 0.5;
+
+    const margin = Math.max(0, Math.min(1, (competitor.distance - chosen.distance) / Math.max(competitor.distance, 1e-6)));
+    // 候補に対して絶対的に遠い (どの色にも似ていない) 場合は割り引く
+    const closeness = 1 / (1 + Math.pow(chosen.distance / 30, 2));
+    let confidence = margin * (0.5 + 0.5 * closeness);
+    if (overridden) confidence = Math.max(0.35, Math.min(0.75, confidence));
+    return Math.round(confidence * 1000) / 1000;
+}
+
+/**
+ * Overall confidence of a reading: band confidences (mean blended with the weakest band),
+ * discounted when the value cannot be decoded or the direction is ambiguous.
+ */
+export function readingConfidence(bandConfidences: number[], reading: ReadingResult): number {
+    if (bandConfidences.length === 0) return 0;
+    const mean = bandConfidences.reduce((sum, c) => sum + c, 0) / bandConfidences.length;
+    const weakest = Math.min(...bandConfidences);
+    const bandPart = 0.5 * mean + 0.5 * weakest;
+    const decodePart = reading.resistance.ok ? 1 : 0.3;
+    const directionPart = 0.5 + 0.5 * reading.confidence;
+    return Math.round(bandPart * decodePart * directionPart * 1000) / 1000;
+}
+
+export type BandRole = 'digit' | 'multiplier' | 'tolerance' | 'tempco';
+export type BandLayout = '3-band' | '4-band' | '5-band' | '6-band';
+type ResistanceErrorCode = 'TOO_FEW_BANDS' | 'TOO_MANY_BANDS' | 'UNKNOWN_COLOR' | 'INVALID_SEQUENCE';
+
+interface DecodedBand {
+    color: string;
+    role: BandRole;
+    value: number; // digit: 0-9, multiplier: factor, tolerance: %, tempco: ppm/K
+}
+
+// Structured decoding result. `display` is the same text as `resistor_value`.
+export type ResistanceResult =
+    | {
+        ok: true, layout: BandLayout, ohms: number, tolerancePercent: number, minOhms: number, maxOhms: number,
+        tempcoPpm?: number, bands: DecodedBand[], display: string
+    }
+    | { ok: false, error: { code: ResistanceErrorCode, message: string } };
+
+// バンド数ごとの役割 (IEC 60062)
+// 3: 数字 数字 乗数 (許容差 ±20%)
+// 4: 数字 数字 乗数 許容差
+// 5: 数字 数字 数字 乗数 許容差
+// 6: 数字 数字 数字 乗数 許容差 温度係数
+export const BAND_LAYOUTS: { [count: number]: { layout: BandLayout, roles: BandRole[] } } = {
+    3: { layout: '3-band', roles: ['digit', 'digit', 'multiplier'] },
+    4: { layout: '4-band', roles: ['digit', 'digit', 'multiplier', 'tolerance'] },
+    5: { layout: '5-band', roles: ['digit', 'digit', 'digit', 'multiplier', 'tolerance'] },
+    6: { layout: '6-band', roles: ['digit', 'digit', 'digit', 'multiplier', 'tolerance', 'tempco'] },
+};
+
+export function calculateResistorValue(bands: string[]): ResistanceResult {
+    if (!bands || bands.length < 3) {
+        return { ok: false, error: { code: 'TOO_FEW_BANDS', message: `At least 3 bands are required (got ${bands ? bands.length : 0})` } };
+    }
+
+    let colorObjsFull = bands.map(bandName => {
+        return RESISTOR_COLORS.find(c => c.name === bandName) || null;
+    }).filter(obj => obj !== null) as ResistorColor[];
+
+    if (colorObjsFull.length < 3) {
+        return { ok: false, error: { code: 'UNKNOWN_COLOR', message: "Not enough valid bands" } };
+    }
+
+    const layout = BAND_LAYOUTS[colorObjsFull.length];
+    if (!layout) {
+        return { ok: false, error: { code: 'TOO_MANY_BANDS', message: `At most 6 bands are supported (got ${colorObjsFull.length})` } };
+    }
+
+    // 各バンドを役割に応じて解釈する。Gold/Silver は乗数 (×0.1/×0.01) としてもどのレイアウトでも有効
+    const decodedBands: DecodedBand[] = [];
+    for (let i = 0; i < layout.roles.length; i++) {
+        const color = colorObjsFull[i];
+        const role = layout.roles[i];
+        let value: number | undefined;
+        if (role === 'digit') {
+            value = color.value !== undefined && color.value >= 0 && color.value <= 9 ? color.value : undefined;
+        } else {
+            value = color[role];
+        }
+        if (value === undefined) {
+            return { ok: false, error: { code: 'INVALID_SEQUENCE', message: "Invalid band sequence" } };
+        }
+        decodedBands.push({ color: color.name, role, value });
+    }
+
+    const digitValue = parseInt(decodedBands.filter(b => b.role === 'digit').map(b => b.value).join(''));
+    const multiplier = decodedBands.find(b => b.role === 'multiplier')!.value;
+    const resistance = roundOhms(digitValue * multiplier);
+    const tolerance = decodedBands.find(b => b.role === 'tolerance')?.value ?? 20; // Default tolerance
+    const tempco = decodedBands.find(b => b.role === 'tempco')?.value;
+
+    return {
+        ok: true,
+        layout: layout.layout,
+        ohms: resistance,
+        tolerancePercent: tolerance,
+        minOhms: roundOhms(resistance * (1 - tolerance / 100)),
+        maxOhms: roundOhms(resistance * (1 + tolerance / 100)),
+        tempcoPpm: tempco,
+        bands: decodedBands,
+        display: formatResistance(resistance) + ` ±${tolerance}%` + (tempco !== undefined ? ` ${tempco}ppm/K` : '')
+    };
+}
+
+// --- Reading Direction ---
+
+// E24 は計算式と一致しない値があるため表で持つ (2桁)
+const E24_VALUES = [10, 11, 12, 13, 15, 16, 18, 20, 22, 24, 27, 30, 33, 36, 39, 43, 47, 51, 56, 62, 68, 75, 82, 91];
+const E12_VALUES = E24_VALUES.filter((_, i) => i % 2 === 0);
+const E6_VALUES = E24_VALUES.filter((_, i) => i % 4 === 0);
+// E48/E96/E192 は 100 * 10^(i/N) の丸め (3桁)。E192 の 919 だけは規格上 920
+const E192_VALUES = Array.from({ length: 192 }, (_, i) => {
+    const v = Math.round(100 * Math.pow(10, i / 192));
+    return v === 919 ? 920 : v;
+});
+const E96_VALUES = E192_VALUES.filter((_, i) => i % 2 === 0);
+const E48_VALUES = E192_VALUES.filter((_, i) => i % 4 === 0);
+
+type ReadingDirection = 'forward' | 'reversed';
+
+interface DirectionCandidate {
+    direction: ReadingDirection;
+    bands: string[];
+    resistance: ResistanceResult;
+    score: number;
+    evidence: string[];
+}
+
+interface ReadingResult extends DirectionCandidate {
+    confidence: number; // 0.5 (判別不能) 〜 1.0
+    alternative: DirectionCandidate;
+}
+
+// Which E-series the significant digits belong to (smallest series first), or null.
+function findESeries(digits: number[]): string | null {
+    // 5/6バンドの "470" のような末尾0は2桁の系列値として扱う
+    const significant = digits.length === 3 && digits[2] === 0 ? digits.slice(0, 2) : digits;
+    if (significant.length === 2) {
+        const v = significant[0] * 10 + significant[1];
+        if (E6_VALUES.includes(v)) return 'E6';
+        if (E12_VALUES.includes(v)) return 'E12';
+        if (E24_VALUES.includes(v)) return 'E24';
+        if (digits.length === 2) return null;
+    }
+    const v = digits[0] * 100 + digits[1] * 10 + digits[2];
+    if (E48_VALUES.includes(v)) return 'E48';
+    if (E96_VALUES.includes(v)) return 'E96';
+    if (E192_VALUES.includes(v)) return 'E192';
+    return null;
+}
+
+// 許容差ごとに通常使われる E 系列
+function seriesForTolerance(tolerance: number): string[] {
+    if (tolerance >= 20) return ['E6'];
+    if (tolerance >= 10) return ['E6', 'E12'];
+    if (tolerance >= 5) return ['E6', 'E12', 'E24'];
+    if (tolerance >= 2) return ['E6', 'E12', 'E24', 'E48'];
+    if (tolerance >= 1) return ['E6', 'E12', 'E24', 'E48', 'E96'];
+    return ['E6', 'E12', 'E24', 'E48', 'E96', 'E192'];
+}
+
+function scoreReading(direction: ReadingDirection, bands: string[], centers?: number[]): DirectionCandidate {
+    const resistance = calculateResistorValue(bands);
+    const evidence: string[] = [];
+    let score = 0;
+
+    if (!resistance.ok) {
+        score -= 5;
+        evidence.push(`not decodable (${resistance.error.code})`);
+    } else {
+        const digits = resistance.bands.filter(b => b.role === 'digit').map(b => b.value);
+        if (digits[0] === 0) {
+            score -= 2;
+            evidence.push('leading digit is Black');
+        }
+
+        const series = findESeries(digits);
+        if (series) {
+            score += 1.5;
+            evidence.push(`digits ${digits.join('')} are in ${series}`);
+            if (seriesForTolerance(resistance.tolerancePercent).includes(series)) {
+                score += 0.5;
+                evidence.push(`${series} matches ±${resistance.tolerancePercent}%`);
+            }
+        } else {
+            score -= 1;
+            evidence.push(`digits ${digits.join('')} are not a standard E-series value`);
+        }
+
+        if (resistance.ohms < 0.1 || resistance.ohms > 1e9) {
+            score -= 1;
+            evidence.push('value outside 0.1Ω–1GΩ');
+        }
+    }
+
+    // 金属色 (Gold/Silver) は許容差バンドとして末尾に来るのが普通
+    const isMetal = (name: string) => name === 'Gold' || name === 'Silver';
+    if (isMetal(bands[bands.length - 1])) {
+        score += 1.5;
+        evidence.push(`${bands[bands.length - 1]} is the last band`);
+    }
+    if (isMetal(bands[0])) {
+        score -= 1.5;
+        evidence.push(`${bands[0]} is the first band`);
+    }
+
+    // 許容差バンドの前は間隔が広い。centers は読み取り順に並んでいる
+    if (centers && centers.length === bands.length && bands.length >= 4) {
+        const gaps = centers.slice(1).map((c, i) => Math.abs(c - centers[i]));
+        const inner = gaps.slice(1, -1).sort((a, b) => a - b);
+        const reference = inner.length > 0 ? inner[Math.floor(inner.length / 2)] : Math.min(...gaps);
+        const lastGap = gaps[gaps.length - 1];
+        const firstGap = gaps[0];
+        if (reference > 0 && lastGap > reference * 1.4 && lastGap > firstGap) {
+            score += 1;
+            evidence.push('wider gap before the last band');
+        } else if (reference > 0 && firstGap > reference * 1.4 && firstGap > lastGap) {
+            score -= 1;
+            evidence.push('wider gap after the first band');
+        }
+    }
+
+    return { direction, bands, resistance, score: Math.round(score * 100) / 100, evidence };
+}
+
+/**
+ * Reads the bands in both directions and returns the more plausible reading.
+ * `names` are ordered along the main axis; `centers` (optional) are their positions on that axis.
+ * Confidence is a logistic of the score difference, so 0.5 means the directions could not be told apart.
+ */
+export function resolveReadingDirection(names: string[], centers?: number[]): ReadingResult {
+    const forward = scoreReading('forward', names, centers);
+    const reversed = scoreReading('reversed', [...names].reverse(), centers ? [...centers].reverse() : undefined);
+
+    // 同点の場合は検出順 (forward) を優先
+    const [best, other] = reversed.score > forward.score ? [reversed, forward] : [forward, reversed];
+    const confidence = 1 / (1 + Math.exp(-(best.score - other.score)));
+    return { ...best, confidence: Math.round(confidence * 1000) / 1000, alternative: other };
+}
+
+// `resistor_value` の表示用文字列 (バンド不足の場合は従来どおり null)
+export function resistanceText(result: ResistanceResult): string | null {
+    if (result.ok) return result.display;
+    return result.error.code === 'TOO_FEW_BANDS' ? null : result.error.message;
+}
+
+// 浮動小数点誤差の除去 (例: 47 * 0.1 = 4.7000000000000002)
+export function roundOhms(ohms: number): number {
+    return parseFloat(ohms.toPrecision(12));
+}
+
+
+// parseResistance で読み戻せる表記 (4.99kΩ, 2.2MΩ, 1GΩ, 0.47Ω, 5mΩ)
+export function formatResistance(ohms: number): string {
+    // 有効数字6桁で丸めて浮動小数点誤差 (0.47000000000000003 など) を落とす
+    const scaled = (value: number) => String(parseFloat(value.toPrecision(6)));
+    if (ohms >= 1e9) return scaled(ohms / 1e9) + 'GΩ';
+    if (ohms >= 1e6) return scaled(ohms / 1e6) + 'MΩ';
+    if (ohms >= 1e3) return scaled(ohms / 1e3) + 'kΩ';
+    if (ohms > 0 && ohms < 0.1) return scaled(ohms * 1e3) + 'mΩ';
+    return scaled(ohms) + 'Ω';
+}
+
+export function rgbToHex(r: number, g: number, b: number): string {
+    return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
+}
+
+
+export function rgbToLab(r: number, g: number, b: number): { l: number, a: number, b: number } {
+    r /= 255, g /= 255, b /= 255;
+    r = r > 0.04045 ? Math.pow((r + 0.055) / 1.055, 2.4) : r / 12.92;
+    g = g > 0.04045 ? Math.pow((g + 0.055) / 1.055, 2.4) : g / 12.92;
+    b = b > 0.04045 ? Math.pow((b + 0.055) / 1.055, 2.4) : b / 12.92;
+    let x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) * 100;
+    let y = (r * 0.2126729 + g * 0.7151522 + b * 0.0721750) * 100;
+    let z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) * 100;
+    x /= 95.047, y /= 100, z /= 108.883;
+    x = x > 0.008856 ? Math.pow(x, 1 / 3) : (7.787 * x) + 16 / 116;
+    y = y > 0.008856 ? Math.pow(y, 1 / 3) : (7.787 * y) + 16 / 116;
+    z = z > 0.008856 ? Math.pow(z, 1 / 3) : (7.787 * z) + 16 / 116;
+    return { l: (116 * y) - 16, a: 500 * (x - y), b: 200 * (y - z) };
+}
+
+export function labToRgb(lab: LabColor): { r: number, g: number, b: number } {
+    const fy = (lab.l + 16) / 116;
+    const fx = fy + lab.a / 500;
+    const fz = fy - lab.b / 200;
+    const inverse = (t: number) => t > 0.206893 ? t * t * t : (t - 16 / 116) / 7.787;
+    const x = inverse(fx) * 0.95047, y = inverse(fy), z = inverse(fz) * 1.08883;
+    const linear = [
+        x * 3.2404542 - y * 1.5371385 - z * 0.4985314,
+        -x * 0.9692660 + y * 1.8760108 + z * 0.0415560,
+        x * 0.0556434 - y * 0.2040259 + z * 1.0572252,
+    ];
+    const [r, g, b] = linear.map(c => {
+        const v = c > 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c;
+        return Math.max(0, Math.min(255, Math.round(v * 255)));
+    });
+    return { r, g, b };
+}
+
+function colorDistance(c1: { r: number, g: number, b: number }, c2: { r: number, g: number, b: number }): number {
+    const lab1 = rgbToLab(c1.r, c1.g, c1.b);
+    const lab2 = rgbToLab(c2.r, c2.g, c2.b);
+    return Math.sqrt(Math.pow(lab1.l - lab2.l, 2) + Math.pow(lab1.a - lab2.a, 2) + Math.pow(lab1.b - lab2.b, 2));
+}
+
+/**
+ * CIEDE2000 color difference. Used to rank the stock colors: unlike the plain Lab distance it does not
+ * let the chroma gap to the fully saturated references (pure blue, red) outweigh the hue, so a painted
+ * blue band is not nearer to Violet_Dark than to Blue.
+ */
+function deltaE2000(x: LabColor, y: LabColor): number {
+    const rad = Math.PI / 180;
+    const c1 = Math.hypot(x.a, x.b), c2 = Math.hypot(y.a, y.b);
+    const cBar7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + Math.pow(25, 7))));
+    const a1 = x.a * (1 + g), a2 = y.a * (1 + g);
+    const cp1 = Math.hypot(a1, x.b), cp2 = Math.hypot(a2, y.b);
+    const hue = (a: number, b: number) => (a === 0 && b === 0) ? 0 : (Math.atan2(b, a) / rad + 360) % 360;
+    const h1 = hue(a1, x.b), h2 = hue(a2, y.b);
+    const dL = y.l - x.l, dC = cp2 - cp1;
+    let dh = 0;
+    if (cp1 * cp2 !== 0) {
+        dh = h2 - h1;
+        if (dh > 180) dh -= 360;
+        else if (dh < -180) dh += 360;
+    }
+    const dH = 2 * Math.sqrt(cp1 * cp2) * Math.sin(dh * rad / 2);
+    const lBar = (x.l + y.l) / 2, cBar = (cp1 + cp2) / 2;
+    let hBar = h1 + h2;
+    if (cp1 * cp2 !== 0) {
+        hBar = Math.abs(h1 - h2) > 180 ? (h1 + h2 + (h1 + h2 < 360 ? 360 : -360)) / 2 : (h1 + h2) / 2;
+    }
+    const t = 1 - 0.17 * Math.cos((hBar - 30) * rad) + 0.24 * Math.cos(2 * hBar * rad)
+        + 0.32 * Math.cos((3 * hBar + 6) * rad) - 0.20 * Math.cos((4 * hBar - 63) * rad);
+    const sL = 1 + 0.015 * Math.pow(lBar - 50, 2) / Math.sqrt(20 + Math.pow(lBar - 50, 2));
+    const sC = 1 + 0.045 * cBar, sH = 1 + 0.015 * cBar * t;
+    const cBarP7 = Math.pow(cBar, 7);
+    const rT = -2 * Math.sqrt(cBarP7 / (cBarP7 + Math.pow(25, 7))) * Math.sin(60 * Math.exp(-Math.pow((hBar - 275) / 25, 2)) * rad);
+    return Math.sqrt(Math.pow(dL / sL, 2) + Math.pow(dC / sC, 2) + Math.pow(dH / sH, 2) + rT * (dC / sC) * (dH / sH));
+}
+
+function averageColor(colors: Pixel[]): Pixel {
+    if (colors.length === 0) return { r: 0, g: 0, b: 0 };
+    const sum = colors.reduce((acc, c) => ({ r: acc.r + c.r, g: acc.g + c.g, b: acc.b + c.b }), { r: 0, g: 0, b: 0 });
+    return { r: Math.round(sum.r / colors.length), g: Math.round(sum.g / colors.length), b: Math.round(sum.b / colors.length) };
+}
+
+// --- Resistor Axis (arbitrary angle) ---
+// 背景 (画像の外周の色) と異なる画素の分布に主成分分析を行い、抵抗器の長軸を任意の角度で求める。
+// 抵抗器が画像の幅いっぱいに写っている (きつめにクロップされた) 水平/垂直の画像は従来どおりそのまま走査し、
+// それ以外は軸に沿って帯状に再サンプリングする。
+
+export type SamplingOrientation = "horizontal" | "vertical" | "diagonal";
+
+interface ResistorAxis {
+    method: 'principal-axis' | 'aspect-ratio' | 'requested';
+    angle: number; // 走査方向の角度 (度, 画像座標で y は下向き, -90 < angle <= 90)
+    start: { x: number, y: number }; // 走査ラインの始点 (元画像の座標)
+    end: { x: number, y: number };
+    length: number;
+    thickness: number; // 軸に垂直な方向の幅 (この範囲の中央50%を平均化する)
+    elongation: number | null; // 主成分の標準偏差の比 (細長いほど大きい)
+}
+
+interface OrientedSampling {
+    image: RgbaImage; // 走査する画像 (resampled の場合は軸に沿って切り出した帯)
+    orientation: "horizontal" | "vertical"; // image 上での走査方向
+    reportedOrientation: SamplingOrientation;
+    resampled: boolean;
+    axis: ResistorAxis;
+    toImage: (mainIdx: number) => { x: number, y: number }; // 走査位置 -> 元画像の座標
+}
+
+const AXIS_MAX_SAMPLES = 40000;
+const AXIS_BACKGROUND_DISTANCE = 30; // 背景との Lab 距離がこれを超える画素を前景とみなす (背景にムラやノイズがある場合の上限)
+// 背景が均一なら閾値を外周のばらつきの AXIS_BACKGROUND_NOISE_FACTOR 倍まで (AXIS_MIN_BACKGROUND_DISTANCE 以上) 下げる。
+// 白い紙の上の薄茶の本体は背景との距離が 30 前後しかなく、暖色光ではさらに近づいて陰になった縁しか前景に残らない
+const AXIS_MIN_BACKGROUND_DISTANCE = 12;
+const AXIS_BACKGROUND_NOISE_FACTOR = 3;
+const AXIS_MIN_ELONGATION = 1.8;
+export const AXIS_ALIGNED_TOLERANCE = 10; // 水平/垂直からのずれがこの角度 (度) 以内なら水平/垂直とみなす
+const AXIS_FILLED_RATIO = 0.6; // 抵抗器の太さが画像のこの割合以上ならきつめのクロップとみなす
+
+function percentile(sorted: number[], p: number): number {
+    if (sorted.length === 0) return 0;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round((sorted.length - 1) * p)))];
+}
+
+function round1(value: number): number {
+    return Math.round(value * 10) / 10;
+}
+
+// 間引いた格子 (step 画素ごと) 上の前景マスク。背景色は画像の外周の各チャンネルの中央値
+interface ForegroundMask {
+    step: number;
+    cols: number;
+    rows: number;
+    mask: Uint8Array; // 1 = 前景 (cols x rows)
+    count: number;
+}
+
+function foregroundMask(image: RgbaImage): ForegroundMask {
+    const { data, width, height } = image;
+    const step = Math.max(1, Math.floor(Math.sqrt(width * height / AXIS_MAX_SAMPLES)));
+    const pixelAt = (x: number, y: number): Pixel => {
+        const i = (y * width + x) * 4;
+        return { r: data[i], g: data[i + 1], b: data[i + 2] };
+    };
+
+    const border: Pixel[] = [];
+    for (let x = 0; x < width; x += step) border.push(pixelAt(x, 0), pixelAt(x, height - 1));
+    for (let y = 0; y < height; y += step) border.push(pixelAt(0, y), pixelAt(width - 1, y));
+    const background = { r: median(border.map(p => p.r)), g: median(border.map(p => p.g)), b: median(border.map(p => p.b)) };
+    const spread = percentile(border.map(p => colorDistance(p, background)).sort((a, b) => a - b), 0.95);
+    const threshold = Math.min(AXIS_BACKGROUND_DISTANCE, Math.max(AXIS_MIN_BACKGROUND_DISTANCE, spread * AXIS_BACKGROUND_NOISE_FACTOR));
+
+    const cols = Math.ceil(width / step);
+    const rows = Math.ceil(height / step);
+    const mask = new Uint8Array(cols * rows);
+    let count = 0;
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            if (colorDistance(pixelAt(col * step, row * step), background) > threshold) {
+                mask[row * cols + col] = 1;
+                count++;
+            }
+        }
+    }
+    return { step, cols, rows, mask, count };
+}
+
+/**
+ * Principal-axis estimate of the resistor body's main axis (leads trimmed), taken from the dominant
+ * foreground region. Returns null when the foreground cannot be separated from the background
+ * (tight crops, busy backgrounds) or is not elongated enough.
+ */
+function estimateResistorAxis(image: RgbaImage): ResistorAxis | null {
+    const dominant = dominantRegion(findResistorRegions(image));
+    return dominant ? dominant.axis : null;
+}
+
+// 前景の大半を占める領域。きつめのクロップではバンド1本ずつが別の領域になるので、どれも支配的にならない
+export function dominantRegion({ regions, foregroundShare }: RegionSearch): ResistorRegion | null {
+    const largest = [...regions].sort((a, b) => b.share - a.share)[0];
+    return largest && largest.share >= 0.02 && largest.share >= foregroundShare * 0.5 ? largest : null;
+}
+
+// 前景画素の座標 (xs, ys) の主成分から軸を求める。細長くなければ null
+function principalAxis(xs: number[], ys: number[], step: number): ResistorAxis | null {
+    const n = xs.length;
+    const cx = xs.reduce((a, v) => a + v, 0) / n;
+    const cy = ys.reduce((a, v) => a + v, 0) / n;
+    let sxx = 0, syy = 0, sxy = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = xs[i] - cx, dy = ys[i] - cy;
+        sxx += dx * dx; syy += dy * dy; sxy += dx * dy;
+    }
+    sxx /= n; syy /= n; sxy /= n;
+    const spread = Math.sqrt(Math.pow(sxx - syy, 2) / 4 + sxy * sxy);
+    const major = (sxx + syy) / 2 + spread;
+    const minor = Math.max((sxx + syy) / 2 - spread, 1e-6);
+    const elongation = Math.sqrt(major / minor);
+    if (elongation < AXIS_MIN_ELONGATION) return null;
+
+    let theta = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+    // 左から右 (垂直に近い場合は上から下) に読むよう向きを揃える
+    if (Math.cos(theta) < -1e-9 || (Math.abs(Math.cos(theta)) <= 1e-9 && Math.sin(theta) < 0)) theta += Math.PI;
+    if (theta > Math.PI / 2 + 1e-9) theta -= Math.PI;
+    const dir = { x: Math.cos(theta), y: Math.sin(theta) };
+    const normal = { x: -dir.y, y: dir.x };
+
+    // Extent along / across the axis (percentiles so stray foreground pixels do not stretch it)
+    const along = xs.map((x, i) => (x - cx) * dir.x + (ys[i] - cy) * dir.y).sort((a, b) => a - b);
+    const across = xs.map((x, i) => (x - cx) * normal.x + (ys[i] - cy) * normal.y).sort((a, b) => a - b);
+    const t0 = percentile(along, 0.01), t1 = percentile(along, 0.99) + step;
+    const u0 = percentile(across, 0.05), u1 = percentile(across, 0.95) + step;
+    const center = {
+        x: cx + dir.x * (t0 + t1) / 2 + normal.x * (u0 + u1) / 2,
+        y: cy + dir.y * (t0 + t1) / 2 + normal.y * (u0 + u1) / 2,
+    };
+    const length = t1 - t0;
+
+    return {
+        method: 'principal-axis',
+        angle: round1(theta * 180 / Math.PI),
+        start: { x: round1(center.x - dir.x * length / 2), y: round1(center.y - dir.y * length / 2) },
+        end: { x: round1(center.x + dir.x * length / 2), y: round1(center.y + dir.y * length / 2) },
+        length: round1(length),
+        thickness: round1(u1 - u0),
+        elongation: round1(elongation),
+    };
+}
+
+function alignedAxis(image: RgbaImage, orientation: "horizontal" | "vertical", method: ResistorAxis['method'], elongation: number | null = null): ResistorAxis {
+    const { width, height } = image;
+    return orientation === "horizontal"
+        ? { method, angle: 0, start: { x: 0, y: height / 2 }, end: { x: width, y: height / 2 }, length: width, thickness: height, elongation }
+        : { method, angle: 90, start: { x: width / 2, y: 0 }, end: { x: width / 2, y: height }, length: height, thickness: width, elongation };
+}
+
+// 軸に沿って (長さ x 太さ) の帯画像を双線形補間で切り出す
+function sampleAlongAxis(image: RgbaImage, axis: ResistorAxis): RgbaImage {
+    const { data, width, height } = image;
+    const length = Math.max(1, Math.round(axis.length));
+    const thickness = Math.max(1, Math.round(axis.thickness));
+    const rad = axis.angle * Math.PI / 180;
+    const dir = { x: Math.cos(rad), y: Math.sin(rad) };
+    const normal = { x: -dir.y, y: dir.x };
+    const strip = new Uint8ClampedArray(length * thickness * 4);
+
+    for (let j = 0; j < thickness; j++) {
+        const offset = j + 0.5 - thickness / 2;
+        for (let i = 0; i < length; i++) {
+            const px = Math.max(0, Math.min(width - 1, axis.start.x + dir.x * (i + 0.5) + normal.x * offset - 0.5));
+            const py = Math.max(0, Math.min(height - 1, axis.start.y + dir.y * (i + 0.5) + normal.y * offset - 0.5));
+            const x0 = Math.floor(px), y0 = Math.floor(py);
+            const x1 = Math.min(width - 1, x0 + 1), y1 = Math.min(height - 1, y0 + 1);
+            const fx = px - x0, fy = py - y0;
+            const target = (j * length + i) * 4;
+            for (let c = 0; c < 3; c++) {
+                const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+                const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+                strip[target + c] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+            strip[target + 3] = 255;
+        }
+    }
+    return { data: strip, width: length, height: thickness };
+}
+
+// `orientation` request field: "auto" (default) or "horizontal" / "vertical" to force the old axis-aligned scan
+export function orientImage(image: RgbaImage, mode?: any): OrientedSampling {
+    const aligned = (orientation: "horizontal" | "vertical", axis: ResistorAxis): OrientedSampling => ({
+        image,
+        orientation,
+        reportedOrientation: orientation,
+        resampled: false,
+        axis,
+        toImage: m => orientation === "horizontal" ? { x: m, y: Math.round(image.height / 2) } : { x: Math.round(image.width / 2), y: m },
+    });
+
+    if (mode === 'horizontal' || mode === 'vertical') return aligned(mode, alignedAxis(image, mode, 'requested'));
+    if (mode !== undefined && mode !== 'auto') {
+        throw new InputError(`Invalid orientation "${mode}" (use auto, horizontal or vertical)`);
+    }
+
+    const estimated = estimateResistorAxis(image);
+    if (!estimated) {
+        const orientation = estimateOrientation(image.width, image.height);
+        return aligned(orientation, alignedAxis(image, orientation, 'aspect-ratio'));
+    }
+
+    const tilt = Math.abs(estimated.angle);
+    const reportedOrientation: SamplingOrientation = tilt <= AXIS_ALIGNED_TOLERANCE ? "horizontal"
+        : tilt >= 90 - AXIS_ALIGNED_TOLERANCE ? "vertical" : "diagonal";
+    if (reportedOrientation !== "diagonal") {
+        const crossDim = reportedOrientation === "horizontal" ? image.height : image.width;
+        if (estimated.thickness >= crossDim * AXIS_FILLED_RATIO) {
+            return aligned(reportedOrientation, alignedAxis(image, reportedOrientation, 'principal-axis', estimated.elongation));
+        }
+    }
+
+    return resampleAlongAxis(image, estimated);
+}
+
+function resampleAlongAxis(image: RgbaImage, axis: ResistorAxis): OrientedSampling {
+    const tilt = Math.abs(axis.angle);
+    const rad = axis.angle * Math.PI / 180;
+    return {
+        image: sampleAlongAxis(image, axis),
+        orientation: "horizontal",
+        reportedOrientation: tilt <= AXIS_ALIGNED_TOLERANCE ? "horizontal" : tilt >= 90 - AXIS_ALIGNED_TOLERANCE ? "vertical" : "diagonal",
+        resampled: true,
+        axis,
+        toImage: m => ({
+            x: Math.round(axis.start.x + Math.cos(rad) * (m + 0.5)),
+            y: Math.round(axis.start.y + Math.sin(rad) * (m + 0.5)),
+        }),
+    };
+}
+
+// --- Multiple Resistors ---
+// 前景マスクの連結成分を1本ずつの抵抗器とみなし、それぞれの軸に沿って走査する。
+
+interface ResistorRegion {
+    boundingBox: CropRect; // 本体 (リード線を除く) を囲む矩形
+    axis: ResistorAxis; // 本体の軸
+    share: number; // 前景の格子点が画像全体に占める割合 (リード線を含む)
+}
+
+interface RegionSearch {
+    regions: ResistorRegion[];
+    foregroundShare: number; // 抵抗器と判定されなかった部分も含む前景全体の割合
+}
+
+const LEAD_WIDTH_RATIO = 0.5; // 本体の太さに対してこの割合より細い部分はリード線とみなす
+const LEAD_GAP_RATIO = 0.08; // 本体の途中でこの長さ (軸長に対する割合) までの細い部分は埋める (背景に近い色のバンド)
+
+/**
+ * Trims the leads off a region: the body is the longest run along the axis where the foreground is
+ * at least LEAD_WIDTH_RATIO of the typical width. Returns the body axis (same angle) or null.
+ */
+function trimLeads(xs: number[], ys: number[], step: number, axis: ResistorAxis): ResistorAxis | null {
+    const rad = axis.angle * Math.PI / 180;
+    const dir = { x: Math.cos(rad), y: Math.sin(rad) };
+    const normal = { x: -dir.y, y: dir.x };
+    const mid = { x: (axis.start.x + axis.end.x) / 2, y: (axis.start.y + axis.end.y) / 2 };
+    const along = xs.map((x, i) => (x - axis.start.x) * dir.x + (ys[i] - axis.start.y) * dir.y);
+    const across = xs.map((x, i) => (x - mid.x) * normal.x + (ys[i] - mid.y) * normal.y);
+
+    // 軸方向の各区間に含まれる前景の数 = その位置での太さ
+    const binCount = Math.max(1, Math.ceil(axis.length / step) + 1);
+    const counts = new Array(binCount).fill(0);
+    along.forEach(t => counts[Math.max(0, Math.min(binCount - 1, Math.floor(t / step)))]++);
+    const smoothed = counts.map((_, i) => (counts[Math.max(0, i - 1)] + counts[i] + counts[Math.min(binCount - 1, i + 1)]) / 3);
+    const typical = percentile([...smoothed].sort((a, b) => a - b), 0.9);
+    const thick = smoothed.map(c => c >= typical * LEAD_WIDTH_RATIO);
+
+    // 短い切れ目を埋めてから最長の区間を本体とする
+    const maxGap = Math.max(2, Math.round(binCount * LEAD_GAP_RATIO));
+    let best = { from: -1, to: -1 };
+    let runStart = -1, lastThick = -1;
+    for (let i = 0; i < binCount; i++) {
+        if (!thick[i]) continue;
+        if (runStart === -1 || i - lastThick > maxGap + 1) runStart = i;
+        lastThick = i;
+        if (lastThick - runStart > best.to - best.from) best = { from: runStart, to: lastThick };
+    }
+    if (best.from === -1) return null;
+
+    const t0 = best.from * step, t1 = (best.to + 1) * step;
+    const body = across.filter((_, i) => along[i] >= t0 && along[i] < t1).sort((a, b) => a - b);
+    const u0 = percentile(body, 0.02), u1 = percentile(body, 0.98) + step;
+    const length = t1 - t0;
+    // start は軸上にあるので、軸に垂直な方向のずれは (u0 + u1) / 2 だけ
+    const center = {
+        x: axis.start.x + dir.x * (t0 + t1) / 2 + normal.x * (u0 + u1) / 2,
+        y: axis.start.y + dir.y * (t0 + t1) / 2 + normal.y * (u0 + u1) / 2,
+    };
+    return {
+        ...axis,
+        start: { x: round1(center.x - dir.x * length / 2), y: round1(center.y - dir.y * length / 2) },
+        end: { x: round1(center.x + dir.x * length / 2), y: round1(center.y + dir.y * length / 2) },
+        length: round1(length),
+        thickness: round1(u1 - u0),
+    };
+}
+
+// 軸 (長さ x 太さ の回転した矩形) を囲む画像座標の矩形。padding は長さ・太さに対する余白の割合
+export function axisBoundingBox(axis: ResistorAxis, image: RgbaImage, padding: number = 0): CropRect {
+    const rad = axis.angle * Math.PI / 180;
+    const halfLength = axis.length * (1 + 2 * padding) / 2;
+    const halfThickness = axis.thickness * (1 + 2 * padding) / 2;
+    const cx = (axis.start.x + axis.end.x) / 2, cy = (axis.start.y + axis.end.y) / 2;
+    const extentX = Math.abs(Math.cos(rad)) * halfLength + Math.abs(Math.sin(rad)) * halfThickness;
+    const extentY = Math.abs(Math.sin(rad)) * halfLength + Math.abs(Math.cos(rad)) * halfThickness;
+    const x0 = Math.max(0, Math.floor(cx - extentX)), y0 = Math.max(0, Math.floor(cy - extentY));
+    const x1 = Math.min(image.width, Math.ceil(cx + extentX)), y1 = Math.min(image.height, Math.ceil(cy + extentY));
+    return { x: x0, y: y0, width: Math.max(1, x1 - x0), height: Math.max(1, y1 - y0) };
+}
+
+const MULTI_MIN_CELLS = 20;
+const MULTI_MIN_SHARE = 0.002; // 前景の格子点がこの割合未満の成分はノイズとして捨てる
+// 連結成分を求める前に前景を膨張させる半径 (画像の長辺に対する割合)。
+// 背景に近い色のバンド (暗い背景の上の黒など) で1本の抵抗器が分断されないようにする
+const MULTI_CLOSING_RATIO = 0.015;
+
+// 正方形の窓による膨張 (横方向・縦方向の2回の累積和で計算する)
+function dilateMask(mask: Uint8Array, cols: number, rows: number, radius: number): Uint8Array {
+    if (radius <= 0) return mask;
+    const horizontal = new Uint8Array(mask.length);
+    for (let row = 0; row < rows; row++) {
+        const prefix = new Int32Array(cols + 1);
+        for (let col = 0; col < cols; col++) prefix[col + 1] = prefix[col] + mask[row * cols + col];
+        for (let col = 0; col < cols; col++) {
+            const lo = Math.max(0, col - radius), hi = Math.min(cols, col + radius + 1);
+            horizontal[row * cols + col] = prefix[hi] - prefix[lo] > 0 ? 1 : 0;
+        }
+    }
+    const result = new Uint8Array(mask.length);
+    for (let col = 0; col < cols; col++) {
+        const prefix = new Int32Array(rows + 1);
+        for (let row = 0; row < rows; row++) prefix[row + 1] = prefix[row] + horizontal[row * cols + col];
+        for (let row = 0; row < rows; row++) {
+            const lo = Math.max(0, row - radius), hi = Math.min(rows, row + radius + 1);
+            result[row * cols + col] = prefix[hi] - prefix[lo] > 0 ? 1 : 0;
+        }
+    }
+    return result;
+}
+
+// 連結成分ひとつ分の前景画素と、そこから求めた本体の軸
+interface RegionPiece {
+    xs: number[];
+    ys: number[];
+    body: ResistorAxis;
+}
+
+function regionPiece(xs: number[], ys: number[], step: number): RegionPiece | null {
+    const axis = principalAxis(xs, ys, step);
+    const body = axis && trimLeads(xs, ys, step, axis);
+    return body ? { xs, ys, body } : null;
+}
+
+// 2つの本体が同じ軸の上に並び、太さが同じで、切れ目が本体の太さより短いか
+function continuesAlongAxis(a: ResistorAxis, b: ResistorAxis): boolean {
+    const angle = Math.abs(a.angle - b.angle);
+    if (Math.min(angle, 180 - angle) > AXIS_ALIGNED_TOLERANCE) return false;
+    const thickness = Math.max(a.thickness, b.thickness);
+    if (Math.min(a.thickness, b.thickness) < thickness * 0.7) return false;
+
+    const rad = a.angle * Math.PI / 180;
+    const dir = { x: Math.cos(rad), y: Math.sin(rad) };
+    const project = (p: { x: number, y: number }) => ({
+        along: (p.x - a.start.x) * dir.x + (p.y - a.start.y) * dir.y,
+        across: -(p.x - a.start.x) * dir.y + (p.y - a.start.y) * dir.x,
+    });
+    const bStart = project(b.start), bEnd = project(b.end);
+    if (Math.max(Math.abs(bStart.across), Math.abs(bEnd.across)) > thickness / 2) return false;
+    const [from, to] = [Math.min(bStart.along, bEnd.along), Math.max(bStart.along, bEnd.along)];
+    const gap = Math.max(from - a.length, -to);
+    return gap <= thickness;
+}
+
+// 背景に近い色のバンド (白い机の上の White など) が膨張で埋まらないほど太いと、1本の抵抗器が2つの成分に分かれる。
+// 同じ軸の上で隣り合う同じ太さの成分はつなげて、ひとつの抵抗器として軸を求め直す
+function joinCollinearPieces(pieces: RegionPiece[], step: number): RegionPiece[] {
+    const result = [...pieces];
+    for (let i = 0; i < result.length; i++) {
+        for (let j = i + 1; j < result.length; j++) {
+            if (!continuesAlongAxis(result[i].body, result[j].body)) continue;
+            const joined = regionPiece([...result[i].xs, ...result[j].xs], [...result[i].ys, ...result[j].ys], step);
+            if (!joined) continue;
+            result[i] = joined;
+            result.splice(j, 1);
+            j = i;
+        }
+    }
+    return result;
+}
+
+export function findResistorRegions(image: RgbaImage): RegionSearch {
+    if (image.width < 8 || image.height < 8) return { regions: [], foregroundShare: 0 };
+    const { step, cols, rows, mask, count } = foregroundMask(image);
+    // 前景が画像のほとんどを占める場合は背景を推定できていない
+    if (count === 0 || count / mask.length > 0.9) return { regions: [], foregroundShare: count / mask.length };
+
+    const radius = Math.max(1, Math.round(Math.max(image.width, image.height) * MULTI_CLOSING_RATIO / step));
+    const closed = dilateMask(mask, cols, rows, radius);
+
+    const labels = new Int32Array(mask.length).fill(-1);
+    const queue = new Int32Array(mask.length);
+    const pieces: RegionPiece[] = [];
+    let label = 0;
+    for (let seed = 0; seed < mask.length; seed++) {
+        if (!closed[seed] || labels[seed] !== -1) continue;
+        let head = 0, tail = 0;
+        queue[tail++] = seed;
+        labels[seed] = label;
+        const xs: number[] = [];
+        const ys: number[] = [];
+        while (head < tail) {
+            const cell = queue[head++];
+            const col = cell % cols, row = Math.floor(cell / cols);
+            // 軸の推定には膨張前の前景だけを使う
+            if (mask[cell]) {
+                xs.push(col * step);
+                ys.push(row * step);
+            }
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const c = col + dx, r = row + dy;
+                if (c < 0 || c >= cols || r < 0 || r >= rows) continue;
+                const next = r * cols + c;
+                if (closed[next] && labels[next] === -1) {
+                    labels[next] = label;
+                    queue[tail++] = next;
+                }
+            }
+        }
+        label++;
+
+        if (xs.length < Math.max(MULTI_MIN_CELLS, mask.length * MULTI_MIN_SHARE)) continue;
+        const piece = regionPiece(xs, ys, step);
+        if (piece) pieces.push(piece);
+    }
+
+    const regions = joinCollinearPieces(pieces, step).map(({ xs, body }) => ({
+        boundingBox: axisBoundingBox(body, image), axis: body, share: xs.length / mask.length,
+    }));
+
+    // 上の行から、同じ行の中では左から並べる
+    const centerY = (r: ResistorRegion) => r.boundingBox.y + r.boundingBox.height / 2;
+    regions.sort((a, b) => {
+        const sameRow = Math.abs(centerY(a) - centerY(b)) < Math.min(a.boundingBox.height, b.boundingBox.height) / 2;
+        return sameRow ? a.boundingBox.x - b.boundingBox.x : centerY(a) - centerY(b);
+    });
+    return { regions, foregroundShare: count / mask.length };
+}
+
+// 走査画像上のバンド座標 (x, y) を元画像の座標に置き換える (mainAxisCenter は軸上の位置のまま)
+function mapBandsToImage<T extends { mainAxisCenter: number }>(bands: T[], sampling: OrientedSampling): T[] {
+    if (!sampling.resampled) return bands;
+    return bands.map(b => ({ ...b, ...sampling.toImage(b.mainAxisCenter) }));
+}
+
+// --- Scan Voting ---
+// スライスごとの読み取りをバンド位置 (軸上の中心座標) で揃え、位置ごとに色を投票する。
+// 全体の並びが一致するスライスがなくても、位置ごとの多数決で合意した並びが得られる。
+
+interface ScanBandSample {
+    name: string;
+    center: number; // 軸上の中心座標
+    count: number; // 軸方向の幅 (画素数)
+    confidence: number;
+    rule: string;
+    candidates: ColorCandidate[];
+}
+
+interface VotedBand {
+    colorName: string;
+    center: number;
+    confidence: number; // 勝った色のサンプルの平均信頼度
+    agreement: number; // 位置の票 (幅 × 信頼度) のうち勝った色が得た割合
+    support: number; // この位置にバンドを検出したスライスの割合
+    votes: { [name: string]: number };
+    rule: string;
+    candidates: ColorCandidate[];
+}
+
+const SCAN_POSITION_TOLERANCE = 0.75; // 中心の差がバンド幅 (中央値) のこの倍数以内なら同じ位置とみなす
+const SCAN_MIN_SUPPORT = 0.34; // この割合未満のスライスにしか現れない位置は捨てる
+const SCAN_MIN_VOTE_CONFIDENCE = 0.05; // 信頼度0のバンドにも僅かな票を与える
+
+/**
+ * Aligns the bands of every slice by their position on the resistor axis and votes a color for each position,
+ * weighting each band by its width and color confidence.
+ * `sequences` holds one band list per slice (ordered along the axis); empty lists are slices without a reading.
+ */
+export function voteBandPositions(sequences: ScanBandSample[][]): VotedBand[] {
+    const readable = sequences.filter(seq => seq.length > 0);
+    if (readable.length === 0) return [];
+
+    const samples = readable.flatMap((seq, slice) => seq.map(band => ({ ...band, slice })))
+        .sort((a, b) => a.center - b.center);
+    const tolerance = Math.max(2, median(samples.map(s => s.count)) * SCAN_POSITION_TOLERANCE);
+
+    // 中心座標の近いバンドを1つの位置にまとめる。同じスライスのバンドは別の位置として扱う
+    const clusters: (typeof samples)[] = [];
+    for (const sample of samples) {
+        const current = clusters[clusters.length - 1];
+        const mean = current ? current.reduce((sum, s) => sum + s.center, 0) / current.length : 0;
+        if (current && sample.center - mean <= tolerance && !current.some(s => s.slice === sample.slice)) {
+            current.push(sample);
+        } else {
+            clusters.push([sample]);
+        }
+    }
+
+    const minSupport = Math.max(1, Math.ceil(readable.length * SCAN_MIN_SUPPORT));
+    return clusters
+        .filter(cluster => cluster.length >= minSupport)
+        .map(cluster => {
+            const votes: { [name: string]: number } = {};
+            cluster.forEach(s => {
+                votes[s.name] = (votes[s.name] || 0) + s.count * Math.max(s.confidence, SCAN_MIN_VOTE_CONFIDENCE);
+            });
+            const [winner, winnerVotes] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+            const total = Object.values(votes).reduce((sum, v) => sum + v, 0);
+            const winning = cluster.filter(s => s.name === winner);
+            const mostConfident = winning.reduce((a, b) => (b.confidence > a.confidence ? b : a), winning[0]);
+            Object.keys(votes).forEach(name => { votes[name] = Math.round(votes[name] * 10) / 10; });
+            return {
+                colorName: winner,
+                center: round1(cluster.reduce((sum, s) => sum + s.center, 0) / cluster.length),
+                confidence: Math.round(winning.reduce((sum, s) => sum + s.confidence, 0) / winning.length * 1000) / 1000,
+                agreement: Math.round(winnerVotes / total * 1000) / 1000,
+                support: Math.round(cluster.length / readable.length * 1000) / 1000,
+                votes: votes,
+                rule: mostConfident.rule,
+                candidates: mostConfident.candidates
+            };
+        });
+}
+
+// --- Image Quality ---
+// 読み取りを誤らせやすい撮影条件 (ぼけ・金属色の反射・暗さ・軸方向の解像度不足・背景の多いクロップ) を分類の前に調べる。
+// 各指標を 0〜1 のスコアにし、その積を全体の使いやすさ (score) とする。
+
+type QualityIssue = 'blur' | 'glare' | 'underexposed' | 'low-resolution' | 'loose-crop';
+
+interface QualityWarning {
+    code: QualityIssue;
+    severity: 'warning' | 'error'; // error: このままではほぼ読み取れない
+    message: string;
+    hint: string; // 撮り直し方
+}
+
+interface QualityReport {
+    score: number; // 0〜1 (1 = 問題なし)
+    usable: boolean; // error の警告がない
+    metrics: {
+        edgeWidth: number | null; // バンド境界の遷移幅 (画素)。境界が見つからなければ null
+        edgeContrast: number; // 境界での明度差 (L*)
+        clippedShare: number; // 白飛びした画素の割合
+        darkShare: number; // 黒つぶれに近い画素の割合
+        meanLightness: number; // 平均明度 (L*)
+        axisPixels: number; // バンドの並ぶ軸方向の画素数
+        backgroundShare: number | null; // クロップ中の背景の割合 (本体が特定できない場合は null)
+    };
+    warnings: QualityWarning[];
+}
+
+const QUALITY_MAX_SAMPLES = 40000;
+const QUALITY_EDGE_STEP_RATIO = 0.1; // 遷移幅を測る窓 (軸長に対する割合)。これより広い遷移は測れない
+const QUALITY_MIN_EDGE_CONTRAST = 6; // 境界とみなす明度差 (L*) の下限
+const QUALITY_CLIPPED_LEVEL = 250; // 最大チャンネルがこれ以上で、かつ
+const QUALITY_CLIPPED_MIN_LEVEL = 220; // 最小チャンネルもこれ以上 (白く飛んでいる) なら白飛び。赤や金の純色は含めない
+const QUALITY_DARK_LIGHTNESS = 12; // L* がこれ未満なら黒つぶれ (黒バンドだけならこの割合は小さい)
+// [問題なし, 読み取れない] の境界。間は線形に補間する
+const QUALITY_LIMITS = {
+    edgeWidthRatio: [0.025, 0.07], // (遷移幅 - 1画素) / 軸長。バンド幅は軸長の1割前後
+    edgeContrast: [12, 4],
+    clippedShare: [0.1, 0.3], // 白のバンド1本分 (1割弱) は許容する
+    darkShare: [0.35, 0.7],
+    meanLightness: [35, 12],
+    axisPixels: [120, 40],
+    backgroundShare: [0.75, 0.97],
+};
+const QUALITY_WARNING_SCORE = 0.7;
+const QUALITY_ERROR_SCORE = 0.25;
+
+// value が good 側なら 1、bad 側なら 0
+function qualityRamp(value: number, [good, bad]: number[]): number {
+    const t = (value - good) / (bad - good);
+    return Math.max(0, Math.min(1, 1 - t));
+}
+
+/**
+ * Assesses how usable the sampled resistor image is before classification.
+ * Measurements are taken on the scanned strip (`sampling.image`, cross-axis 25–75% like extractBands);
+ * `source` is the size of the image (or region) the strip was taken from, used for the background share.
+ */
+export function assessImageQuality(sampling: OrientedSampling, source: { width: number, height: number }): QualityReport {
+    const { image, orientation, axis } = sampling;
+    const mainDim = orientation === "horizontal" ? image.width : image.height;
+    const crossDim = orientation === "horizontal" ? image.height : image.width;
+
+    // 露出: 走査範囲の画素を間引いて白飛び・黒つぶれ・平均明度を数える
+    const { start: crossStart, end: crossEnd } = crossAxisWindow(crossDim);
+    const step = Math.max(1, Math.floor(Math.sqrt(mainDim * (crossEnd - crossStart) / QUALITY_MAX_SAMPLES)));
+    let samples = 0, clipped = 0, dark = 0, lightness = 0;
+    for (let c = crossStart; c < Math.min(crossEnd, crossDim); c += step) {
+        for (let m = 0; m < mainDim; m += step) {
+            const i = (orientation === "horizontal" ? c * image.width + m : m * image.width + c) * 4;
+            const r = image.data[i], g = image.data[i + 1], b = image.data[i + 2];
+            const l = rgbToLab(r, g, b).l;
+            samples++;
+            lightness += l;
+            if (Math.max(r, g, b) >= QUALITY_CLIPPED_LEVEL && Math.min(r, g, b) >= QUALITY_CLIPPED_MIN_LEVEL) clipped++;
+            if (l < QUALITY_DARK_LIGHTNESS) dark++;
+        }
+    }
+    const clippedShare = samples > 0 ? clipped / samples : 0;
+    const darkShare = samples > 0 ? dark / samples : 0;
+    const meanLightness = samples > 0 ? lightness / samples : 0;
+
+    // ぼけ: 明度プロファイル上の境界 (窓幅 k での明度差の極大) ごとに、窓内の最大の1画素差との比を遷移幅とする。
+    // くっきりした境界なら1〜2画素、ぼけていると k に近づく
+    const profile = averageLine(image, orientation).map(p => rgbToLab(p.r, p.g, p.b).l);
+    const k = Math.max(4, Math.round(mainDim * QUALITY_EDGE_STEP_RATIO));
+    const wide = profile.slice(k).map((l, i) => Math.abs(l - profile[i]));
+    const edgeThreshold = Math.max(QUALITY_MIN_EDGE_CONTRAST, 0.5 * Math.max(0, ...wide));
+    const edges: { contrast: number, width: number }[] = [];
+    for (let i = 0; i < wide.length; i++) {
+        if (wide[i] < edgeThreshold || wide[i] < (wide[i - 1] ?? 0) || wide[i] < (wide[i + 1] ?? 0)) continue;
+        let sharpest = 0;
+        for (let j = i; j < i + k; j++) sharpest = Math.max(sharpest, Math.abs(profile[j + 1] - profile[j]));
+        edges.push({ contrast: wide[i], width: sharpest > 0 ? wide[i] / sharpest : k });
+        i += k - 1; // 同じ境界を二重に数えない
+    }
+    const edgeContrast = edges.length > 0 ? median(edges.map(e => e.contrast)) : Math.max(0, ...wide);
+    const edgeWidth = edges.length > 0 ? median(edges.map(e => e.width)) : null;
+
+    const axisPixels = Math.round(axis.length);
+    // 本体の範囲が分かる (前景から軸を求めた) 場合だけ背景の割合を出す。きつめのクロップは本体で埋まっているとみなす
+    const backgroundShare = sampling.resampled
+        ? Math.max(0, 1 - (axis.length * axis.thickness) / (source.width * source.height))
+        : axis.method === 'principal-axis' ? 0 : null;
+
+    const metrics = {
+        edgeWidth: edgeWidth === null ? null : round1(edgeWidth),
+        edgeContrast: round1(edgeContrast),
+        clippedShare: Math.round(clippedShare * 1000) / 1000,
+        darkShare: Math.round(darkShare * 1000) / 1000,
+        meanLightness: round1(meanLightness),
+        axisPixels,
+        backgroundShare: backgroundShare === null ? null : Math.round(backgroundShare * 1000) / 1000,
+    };
+
+    const checks: { code: QualityIssue, score: number, message: string, hint: string }[] = [
+        {
+            code: 'blur',
+            score: Math.min(
+                qualityRamp(edgeContrast, QUALITY_LIMITS.edgeContrast),
+                edgeWidth === null ? 0 : qualityRamp((edgeWidth - 1) / Math.max(1, mainDim), QUALITY_LIMITS.edgeWidthRatio)
+            ),
+            message: edgeContrast < QUALITY_LIMITS.edgeContrast[0]
+                ? `Band edges are faint (contrast ${metrics.edgeContrast} L*)`
+                : `Band edges are blurred over ~${metrics.edgeWidth}px`,
+            hint: 'Hold the camera steady and focus on the resistor body',
+        },
+        {
+            code: 'glare',
+            score: qualityRamp(clippedShare, QUALITY_LIMITS.clippedShare),
+            message: `${Math.round(clippedShare * 100)}% of the band area is clipped to white (glare)`,
+            hint: 'Move the light source or diffuse it so metallic bands do not reflect it',
+        },
+        {
+            code: 'underexposed',
+            score: Math.min(qualityRamp(darkShare, QUALITY_LIMITS.darkShare), qualityRamp(meanLightness, QUALITY_LIMITS.meanLightness)),
+            message: `The band area is dark (mean L* ${metrics.meanLightness}, ${Math.round(darkShare * 100)}% near black)`,
+            hint: 'Add light or avoid shadows falling on the resistor',
+        },
+        {
+            code: 'low-resolution',
+            score: qualityRamp(axisPixels, QUALITY_LIMITS.axisPixels),
+            message: `Only ${axisPixels}px along the band axis`,
+            hint: 'Get closer or use a higher resolution photo',
+        },
+        {
+            code: 'loose-crop',
+            score: backgroundShare === null ? 1 : qualityRamp(backgroundShare, QUALITY_LIMITS.backgroundShare),
+            message: `${Math.round((backgroundShare ?? 0) * 100)}% of the crop is background`,
+            hint: 'Crop tighter around the resistor or get closer',
+        },
+    ];
+
+    const warnings: QualityWarning[] = checks
+        .filter(c => c.score < QUALITY_WARNING_SCORE)
+        .map(c => ({ code: c.code, severity: c.score < QUALITY_ERROR_SCORE ? 'error' : 'warning', message: c.message, hint: c.hint }));
+    const score = checks.reduce((product, c) => product * c.score, 1);
+    return {
+        score: Math.round(score * 1000) / 1000,
+        usable: !warnings.some(w => w.severity === 'error'),
+        metrics,
+        warnings
+    };
+}
+
+// 旧形式の /api/scan (スライスのみ) は、同じ長さのスライスを縦に積んだ画像で評価する
+export function stackSlices(slices: RgbaImage[]): RgbaImage | null {
+    if (slices.length === 0 || slices.some(slice => slice.width !== slices[0].width)) return null;
+    const width = slices[0].width;
+    const height = slices.reduce((sum, slice) => sum + slice.height, 0);
+    const data = new Uint8Array(width * height * 4);
+    let offset = 0;
+    for (const slice of slices) {
+        data.set(slice.data, offset);
+        offset += slice.data.length;
+    }
+    return { data, width, height };
+}
+
+// --- Illumination Normalization (White Balance) ---
+// 抵抗器の本体色 (薄茶 / 水色) を基準に光源色を推定し、分類前にフォン・クリース型のチャンネル補正を行う。
+// 本体が見つからない場合はグレーワールド仮定で推定する。
+
+type WhiteBalanceMethod = 'body' | 'gray-world' | 'none';
+
+interface WhiteBalance {
+    method: WhiteBalanceMethod;
+    gains: { r: number, g: number, b: number }; // 線形RGBでのチャンネル倍率
+    reference: { r: number, g: number, b: number } | null; // 推定に使った色 (補正前)
+    target: { r: number, g: number, b: number } | null; // reference が補正後になるべき色
+}
+
+// グレーワールドの倍率の範囲。画面の平均が無彩色という仮定は外れやすいので狭くしておく
+const WB_MIN_GAIN = 0.55;
+const WB_MAX_GAIN = 1.8;
+// 本体色からの倍率の範囲。本体と判定した色 (彩度 50 未満) を目標色に合わせるのに必要な倍率は、
+// 電球色の照明では線形RGBで青が 1.8 倍を超えるので、グレーワールドより広く取る
+const WB_BODY_MIN_GAIN = 0.33;
+const WB_BODY_MAX_GAIN = 3;
+const WB_BODY_MIN_SHARE = 0.2; // ラインのこの割合以上を占める色だけを本体とみなす
+const WB_GRAY_WORLD_STRENGTH = 0.5; // グレーワールドは仮定が弱いので補正量を半分にする
+
+function noWhiteBalance(): WhiteBalance {
+    return { method: 'none', gains: { r: 1, g: 1, b: 1 }, reference: null, target: null };
+}
+
+function srgbToLinear(value: number): number {
+    const v = value / 255;
+    return v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+}
+
+function linearToSrgb(value: number): number {
+    const v = value > 0.0031308 ? 1.055 * Math.pow(value, 1 / 2.4) - 0.055 : 12.92 * value;
+    return Math.max(0, Math.min(255, Math.round(v * 255)));
+}
+
+// 彩度だけを補正し、明るさ (相対輝度) は変えない
+function normalizeGains(raw: { r: number, g: number, b: number }, reference: { r: number, g: number, b: number }, strength: number, [minGain, maxGain]: [number, number]): { r: number, g: number, b: number } {
+    const lin = { r: srgbToLinear(reference.r), g: srgbToLinear(reference.g), b: srgbToLinear(reference.b) };
+    const luminance = (c: { r: number, g: number, b: number }) => 0.2126 * c.r + 0.7152 * c.g + 0.0722 * c.b;
+    const gains = { r: Math.pow(raw.r, strength), g: Math.pow(raw.g, strength), b: Math.pow(raw.b, strength) };
+    const corrected = luminance({ r: lin.r * gains.r, g: lin.g * gains.g, b: lin.b * gains.b });
+    const scale = corrected > 0 ? luminance(lin) / corrected : 1;
+    const clamp = (g: number) => Math.round(Math.max(minGain, Math.min(maxGain, g * scale)) * 1000) / 1000;
+    return { r: clamp(gains.r), g: clamp(gains.g), b: clamp(gains.b) };
+}
+
+/**
+ * Estimates the illuminant from an averaged line. The most common color that covers enough of the line
+ * and looks like a body (not too dark, not strongly saturated) is taken as the resistor body; the
+ * gray-world average is used only when no such color is found.
+ */
+function estimateWhiteBalance(line: Pixel[]): WhiteBalance {
+    const usable = line.filter(p => Math.max(p.r, p.g, p.b) < 250 && Math.max(p.r, p.g, p.b) > 25);
+    if (usable.length === 0) return noWhiteBalance();
+
+    // Body: a populated coarse RGB bin, refined to the pixels close to its mean
+    const bins = new Map<number, Pixel[]>();
+    for (const p of usable) {
+        const key = ((p.r >> 5) << 6) | ((p.g >> 5) << 3) | (p.b >> 5);
+        if (!bins.has(key)) bins.set(key, []);
+        bins.get(key)!.push(p);
+    }
+    // 陰影で本体が2つのビンに分かれると、濃いバンドのビンが最大になることがある。大きい順に本体らしいものを探す
+    for (const bin of [...bins.values()].sort((a, b) => b.length - a.length)) {
+        if (bin.length / line.length < WB_BODY_MIN_SHARE / 2) break;
+        const seed = averageColor(bin);
+        const bodyPixels = usable.filter(p => colorDistance(p, seed) < 15);
+        const reference = averageColor(bodyPixels);
+        const referenceLab = rgbToLab(reference.r, reference.g, reference.b);
+        const referenceChroma = Math.sqrt(referenceLab.a * referenceLab.a + referenceLab.b * referenceLab.b);
+        if (bodyPixels.length / line.length < WB_BODY_MIN_SHARE || referenceLab.l <= 35 || referenceLab.l >= 97 || referenceChroma >= 50) continue;
+
+        // 青みがかった本体は金属皮膜抵抗の水色、それ以外は一般的な炭素皮膜抵抗の薄茶 (Tan) とみなす。
+        // 明るさは保存するので、目標色として意味を持つのは色度だけ
+        const targetName = referenceLab.b < -5 ? 'Light Blue (Body)' : 'Tan (Body)';
+        const target = RESISTOR_COLORS.find(c => c.name === targetName)!;
+        const gains = normalizeGains({
+            r: srgbToLinear(target.r) / Math.max(srgbToLinear(reference.r), 1e-4),
+            g: srgbToLinear(target.g) / Math.max(srgbToLinear(reference.g), 1e-4),
+            b: srgbToLinear(target.b) / Math.max(srgbToLinear(reference.b), 1e-4),
+        }, reference, 1, [WB_BODY_MIN_GAIN, WB_BODY_MAX_GAIN]);
+        return { method: 'body', gains, reference: { r: reference.r, g: reference.g, b: reference.b }, target: { r: target.r, g: target.g, b: target.b } };
+    }
+
+    // Gray world (no body found): the average of the line should be neutral
+    const mean = { r: 0, g: 0, b: 0 };
+    for (const p of usable) {
+        mean.r += srgbToLinear(p.r) / usable.length;
+        mean.g += srgbToLinear(p.g) / usable.length;
+        mean.b += srgbToLinear(p.b) / usable.length;
+    }
+    const gray = (mean.r + mean.g + mean.b) / 3;
+    const average = averageColor(usable);
+    const gains = normalizeGains({
+        r: gray / Math.max(mean.r, 1e-4),
+        g: gray / Math.max(mean.g, 1e-4),
+        b: gray / Math.max(mean.b, 1e-4),
+    }, average, WB_GRAY_WORLD_STRENGTH, [WB_MIN_GAIN, WB_MAX_GAIN]);
+    const neutral = linearToSrgb(gray);
+    return { method: 'gray-world', gains, reference: { r: average.r, g: average.g, b: average.b }, target: { r: neutral, g: neutral, b: neutral } };
+}
+
+export function applyWhiteBalance<T extends { r: number, g: number, b: number }>(pixel: T, wb: WhiteBalance): T {
+    if (wb.method === 'none') return pixel;
+    return {
+        ...pixel,
+        r: linearToSrgb(srgbToLinear(pixel.r) * wb.gains.r),
+        g: linearToSrgb(srgbToLinear(pixel.g) * wb.gains.g),
+        b: linearToSrgb(srgbToLinear(pixel.b) * wb.gains.b),
+    };
+}
+
+// `whiteBalance` request field: "auto" (default), "body", "gray-world", or false / "none" to disable
+export function resolveWhiteBalance(mode: any, line: Pixel[]): WhiteBalance {
+    if (mode === false || mode === 'none' || mode === 'off') return noWhiteBalance();
+    if (mode !== undefined && mode !== 'auto' && mode !== true && mode !== 'body' && mode !== 'gray-world') {
+        throw new InputError(`Invalid whiteBalance "${mode}" (use auto, body, gray-world or none)`);
+    }
+    const estimate = estimateWhiteBalance(line);
+    // "body" を指定しても本体が見つからなければ補正しない
+    if (mode === 'body' && estimate.method !== 'body') return noWhiteBalance();
+    return estimate;
+}
+
+// 抵抗器のバンド部分をスキャンする範囲 (交差軸の25%から75%)。リード線や本体の縁の影を避ける
+const CROSS_AXIS_WINDOW = [0.25, 0.75];
+
+function crossAxisWindow(crossDim: number): { start: number, end: number } {
+    const start = Math.floor(crossDim * CROSS_AXIS_WINDOW[0]);
+    // 1ピクセル幅のライン (/api/scan のスライス) でも最低1行は平均化する
+    const end = Math.max(start + 1, Math.floor(crossDim * CROSS_AXIS_WINDOW[1]));
+    return { start, end };
+}
+
+// 抵抗器の中央部分 (交差軸の25%-75%) を平均化した1次元ライン。要素の x は走査軸上の位置
+export function averageLine(image: RgbaImage, orientation: "horizontal" | "vertical"): Pixel[] {
+    const { data, width, height } = image;
+    if (data.length === 0 || width === 0 || height === 0) return [];
+
+    let mainDim: number; // 走査する軸の長さ (水平ならwidth, 垂直ならheight)
+    let crossDim: number; // 平均化する軸の長さ (水平ならheight, 垂直ならwidth)
+
+    // RGBAバッファ上のオフセット取得ヘルパー
+    const pixelOffset = (mainIdx: number, crossIdx: number): number => {
+        if (orientation === "horizontal") {
+            // 水平の場合: x = mainIdx, y = crossIdx
+            return (crossIdx * width + mainIdx) * 4;
+        } else {
+            // 垂直の場合: x = crossIdx, y = mainIdx
+            return (mainIdx * width + crossIdx) * 4;
+        }
+    };
+
+    if (orientation === "horizontal") {
+        mainDim = width;
+        crossDim = height;
+    } else { // vertical
+        mainDim = height;
+        crossDim = width;
+    }
+
+    const averagedLine: Pixel[] = [];
+    const { start: crossAxisStart, end: crossAxisEnd } = crossAxisWindow(crossDim);
+
+    for (let mainIdx = 0; mainIdx < mainDim; mainIdx++) {
+        let sumR = 0, sumG = 0, sumB = 0;
+        let count = 0;
+        for (let crossIdx = crossAxisStart; crossIdx < crossAxisEnd && crossIdx < crossDim; crossIdx++) {
+            const offset = pixelOffset(mainIdx, crossIdx);
+            sumR += data[offset];
+            sumG += data[offset + 1];
+            sumB += data[offset + 2];
+            count++;
+        }
+        if (count > 0) {
+            // mainIdxが水平の場合はx、垂直の場合はyに相当
+            averagedLine.push({
+                r: Math.round(sumR / count),
+                g: Math.round(sumG / count),
+                b: Math.round(sumB / count),
+                x: mainIdx // ここでは便宜的にxを使うが、垂直の場合はy軸の位置を示す
+            });
+        } else {
+            averagedLine.push({ r: 0, g: 0, b: 0, x: mainIdx });
+        }
+    }
+    return averagedLine;
+}
+
+// --- Band Extraction Trace (debug) ---
+
+// extractBands の幅ルール (セグメント幅の中央値に対する倍率)
+const MIN_BAND_WIDTH = 3;
+const SILVER_MAX_WIDTH_RATIO = 1.5;
+const GOLD_MAX_WIDTH_RATIO = 1.2;
+const BODY_MIN_WIDTH_RATIO = 2.5;
+
+type SegmentDropReason = 'narrow' | 'lightness' | 'wide-body' | 'body-color' | 'wide-median';
+
+interface BandOverride {
+    rule: ColorRule;
+    from: string;
+    to: string;
+    reason: string;
+}
+
+interface TraceSegment {
+    index: number;
+    start: number; // 走査軸上の位置 (両端を含む)
+    end: number;
+    width: number;
+    rgb: Pixel; // 照明補正後の平均色
+    l: number;
+    chroma: number;
+    atEdge: boolean;
+    classified: string | null; // classifyColor の結果 (位置による上書き前)。幅不足で分類しなかった場合は null
+    colorName: string | null; // 上書き後の色名
+    overrides: BandOverride[];
+    kept: boolean;
+    dropReason: SegmentDropReason | null;
+    dropDetail: string | null;
+}
+
+/**
+ * Everything extractBands (and the body filter after it) decided, for tuning the thresholds.
+ * `distances[i]` is colorDistance between profile points i and i + 1; a new segment starts wherever
+ * it exceeds `colorChangeThreshold`.
+ */
+interface BandTrace {
+    orientation: "horizontal" | "vertical";
+    colorChangeThreshold: number;
+    crossAxis: { start: number, end: number };
+    minBandWidth: number;
+    medianWidth: number;
+    widthLimits: { silver: number, gold: number, body: number };
+    profile: { raw: Pixel[], balanced: Pixel[] };
+    distances: number[];
+    segments: TraceSegment[];
+}
+
+function dropSegment(trace: BandTrace | undefined, index: number, reason: SegmentDropReason, detail: string): void {
+    const segment = trace?.segments[index];
+    if (!segment) return;
+    segment.kept = false;
+    segment.dropReason = reason;
+    segment.dropDetail = detail;
+}
+
+function roundPixel(p: Pixel): Pixel {
+    return { r: Math.round(p.r), g: Math.round(p.g), b: Math.round(p.b) };
+}
+
+/**
+ * Splits the averaged line into segments of similar color and classifies each one.
+ * When `trace` is given it is filled with the intermediate data (profile, distance curve,
+ * every segment with the reason it was dropped, and each color override).
+ */
+export function extractBands(image: RgbaImage, colorChangeThreshold: number, orientation: "horizontal" | "vertical", customColors: CustomColor[] = [], whiteBalance: WhiteBalance = noWhiteBalance(), trace?: BandTrace): any[] {
+    const { data, width, height } = image;
+    if (data.length === 0 || width === 0 || height === 0) return [];
+    const crossDim = orientation === "horizontal" ? height : width;
+
+    const rawLine = averageLine(image, orientation);
+    // 照明補正後のラインで区切り・分類を行う
+    const averagedLine = rawLine.map(p => applyWhiteBalance(p, whiteBalance));
+
+    const segments: { start_main_idx: number, end_main_idx: number, pixels: Pixel[] }[] = [];
+    if (averagedLine.length === 0) return [];
+
+    let currentSegment = {
+        start_main_idx: (averagedLine[0].x || 0), // averagedLine[i].x は mainIdx を示す
+        end_main_idx: (averagedLine[0].x || 0),
+        pixels: [averagedLine[0]]
+    };
+    const distances: number[] = [];
+    for (let i = 1; i < averagedLine.length; i++) {
+        const prevColor = averagedLine[i - 1];
+        const currentColor = averagedLine[i];
+        const distance = colorDistance(prevColor, currentColor);
+        distances.push(distance);
+
+        if (distance > colorChangeThreshold) {
+            segments.push(currentSegment);
+            currentSegment = {
+                start_main_idx: (currentColor.x || 0),
+                end_main_idx: (currentColor.x || 0),
+                pixels: [currentColor]
+            };
+        } else {
+            currentSegment.end_main_idx = (currentColor.x || 0);
+            currentSegment.pixels.push(currentColor);
+        }
+    }
+    segments.push(currentSegment);
+
+    const finalBands: any[] = [];
+    const minBandWidth = MIN_BAND_WIDTH;
+
+    // 全セグメントの幅の統計を先に取る（後のフィルタリング用）
+    const allWidths = segments.map(s => s.end_main_idx - s.start_main_idx + 1).filter(w => w >= minBandWidth);
+    const medianWidth = allWidths.length > 0 ? allWidths.sort((a, b) => a - b)[Math.floor(allWidths.length / 2)] : 10;
+
+    if (trace) {
+        Object.assign(trace, {
+            orientation,
+            colorChangeThreshold,
+            crossAxis: crossAxisWindow(crossDim),
+            minBandWidth,
+            medianWidth,
+            widthLimits: {
+                silver: medianWidth * SILVER_MAX_WIDTH_RATIO,
+                gold: medianWidth * GOLD_MAX_WIDTH_RATIO,
+                body: medianWidth * BODY_MIN_WIDTH_RATIO,
+            },
+            profile: {
+                raw: rawLine.map(roundPixel),
+                balanced: averagedLine.map(roundPixel),
+            },
+            distances: distances.map(round1),
+            segments: [],
+        });
+    }
+
+    segments.forEach((seg, index) => {
+        const avgColor = averageColor(seg.pixels);
+        const lab = rgbToLab(avgColor.r, avgColor.g, avgColor.b);
+        const l = lab.l;
+        const segWidth = seg.end_main_idx - seg.start_main_idx + 1;
+        const chroma = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
+        const isAtEdge = (index === 0 || index >= segments.length - 2);
+
+        const traced: TraceSegment = {
+            index,
+            start: seg.start_main_idx,
+            end: seg.end_main_idx,
+            width: segWidth,
+            rgb: roundPixel(avgColor),
+            l: round1(l),
+            chroma: round1(chroma),
+            atEdge: isAtEdge,
+            classified: null,
+            colorName: null,
+            overrides: [],
+            kept: true,
+            dropReason: null,
+            dropDetail: null,
+        };
+        trace?.segments.push(traced);
+
+        if (segWidth < minBandWidth) {
+            dropSegment(trace, index, 'narrow', `width ${segWidth} < minBandWidth ${minBandWidth}`);
+            return;
+        }
+
+        // 【改善ポイント1】まず色を判定する (除外する前に判断する)
+        const classification = classifyColor(avgColor, customColors);
+        let resistorColor = classification.color;
+        let rule: ColorRule = classification.rule;
+        traced.classified = resistorColor.name;
+
+        const override = (color: ResistorColor, newRule: ColorRule, reason: string) => {
+            traced.overrides.push({ rule: newRule, from: resistorColor.name, to: color.name, reason });
+            resistorColor = color;
+            rule = newRule;
+        };
+
+        // Doc.txtに基づくSilver/Gold検出の強化: Role(位置) + Physicalによる判定
+        const isLowChroma = Math.abs(lab.a) < 3 && Math.abs(lab.b) < 3;
+        const isCandidateSilver =
+            isLowChroma &&
+            l > 60 && l < 95 &&
+            segWidth < medianWidth * SILVER_MAX_WIDTH_RATIO &&
+            isAtEdge;
+
+        // Gold Candidate: 強化された判定ロジック
+        // 1. 色相: 黄色系 (Lab b > 20)
+        // 2. 彩度: 高彩度 (chroma > 30) - Body色との区別
+        // 3. 位置: 端にある
+        // 4. 幅: 細い (tolerance band)
+        const isWarm = lab.a > -5 && lab.b > 20;
+        const isHighSaturation = chroma > 30; // Body色は通常 chroma < 25
+        const isCandidateGold =
+            isWarm &&
+            isHighSaturation &&
+            l > 25 && l < 90 &&
+            segWidth < medianWidth * GOLD_MAX_WIDTH_RATIO && // Goldは通常細い
+            isAtEdge;
+
+        if (isCandidateSilver) {
+            const silverColor = RESISTOR_COLORS.find(c => c.name === 'Silver');
+            if (silverColor && silverColor.name !== resistorColor.name) {
+                override(silverColor, 'metallic-position', `low chroma, L ${round1(l)}, narrow edge segment`);
+            }
+        } else if (isCandidateGold) {
+            // 黄色やオレンジと迷いやすいGoldを、位置情報から積極的に採用する
+            const goldColor = RESISTOR_COLORS.find(c => c.name === 'Gold');
+            if (goldColor && goldColor.name !== resistorColor.name) {
+                override(goldColor, 'metallic-position', `warm, chroma ${round1(chroma)}, narrow edge segment`);
+            }
+        }
+
+        // Additional check: If detected as Body color but has Gold-like characteristics, reconsider
+        if (resistorColor.name.includes('(Body)') && isAtEdge) {
+            // If Body color at edge has high saturation and warm tone, likely Gold
+            if (chroma > 30 && lab.b > 25 && segWidth < medianWidth * GOLD_MAX_WIDTH_RATIO) {
+                const goldColor = RESISTOR_COLORS.find(c => c.name === 'Gold');
+                if (goldColor) {
+                    override(goldColor, 'body-reconsideration', `body color at edge with chroma ${round1(chroma)}, b ${round1(lab.b)}`);
+                }
+            }
+        }
+        traced.colorName = resistorColor.name;
+
+        const isMetallic = resistorColor.name.startsWith('Gold') || resistorColor.name === 'Silver';
+
+        // 【改善ポイント2】輝度制限の動的緩和
+        // 金属色（金色・銀色）の可能性がある場合は、白飛び(L>99)や影(L<5)を許容する
+        if (!isMetallic && (l < 5 || l > 99)) {
+            dropSegment(trace, index, 'lightness', `L ${round1(l)} outside 5–99 for non-metallic ${resistorColor.name}`);
+            return;
+        }
+
+        // 【改善ポイント3】端のバンドに対する幅制限の緩和
+        // 4バンド目の金色は、画像端で広く認識されやすいため、
+        // 配列の最初や最後付近のセグメントは、2.5倍ルールから除外する
+        if (!isAtEdge && segWidth > medianWidth * BODY_MIN_WIDTH_RATIO) {
+            // 中央付近で異常に太い場合は、依然として本体色(Body)の可能性が高い
+            if (resistorColor.name.includes('Body')) {
+                dropSegment(trace, index, 'wide-body', `width ${segWidth} > ${BODY_MIN_WIDTH_RATIO} × median ${medianWidth}`);
+                return;
+            }
+        }
+
+        // finalBandsに格納する座標は、orientationに応じてmainAxisCenterとなる
+        finalBands.push({
+            x: orientation === "horizontal" ? Math.round((seg.start_main_idx + seg.end_main_idx) / 2) : Math.round(crossDim / 2), // 水平ならmainAxisCenter、垂直ならcrossDimの中心
+            y: orientation === "vertical" ? Math.round((seg.start_main_idx + seg.end_main_idx) / 2) : Math.round(crossDim / 2), // 垂直ならmainAxisCenter、水平ならcrossDimの中心
+            mainAxisCenter: Math.round((seg.start_main_idx + seg.end_main_idx) / 2), // 汎用的な中心座標
+            segment: index, // trace.segments 上の番号
+            colorName: resistorColor.name,
+            rgb: avgColor, // 照明補正後 (分類と学習に使う色)
+            rawRgb: averageColor(rawLine.slice(seg.start_main_idx, seg.end_main_idx + 1)),
+            l: l,
+            width: segWidth, // mainAxis方向の幅
+            chroma: chroma,
+            confidence: colorConfidence(classification.candidates, resistorColor.name, rule !== classification.rule),
+            rule: rule, // どの判定ルールで色が決まったか
+            candidates: classification.candidates.slice(0, 3),
+        });
+    });
+
+    // ソートもorientationに応じて
+    return finalBands.sort((a, b) => a.mainAxisCenter - b.mainAxisCenter);
+}
+
+
+interface BandAlignment {
+    direction: ReadingDirection;
+    pairs: { detectedIndex: number, expectedIndex: number, distance: number }[];
+    unmatchedDetected: number[];
+    unmatchedExpected: number[];
+}
+
+// 対応付けをスキップする際のコスト (Lab距離換算)。これより2倍以上遠い色の対応は採用しない
+const ALIGNMENT_GAP_COST = 40;
+
+/**
+ * Aligns measured band colors with the expected color sequence, keeping order (edit-distance style DP).
+ * Both reading directions are tried; the cheaper one wins. Bands that don't fit are left unmatched,
+ * which is what happens when a band was missed or a body segment slipped through.
+ */
+export function alignBands(detected: Pixel[], expected: string[]): BandAlignment {
+    const align = (direction: ReadingDirection): BandAlignment & { cost: number } => {
+        const order = detected.map((_, i) => i);
+        if (direction === 'reversed') order.reverse();
+        const n = order.length, m = expected.length;
+        const palette = expected.map(name => RESISTOR_COLORS.find(c => c.name === name));
+
+        // cost[i][j]: detected の先頭 i 本と expected の先頭 j 本を対応付ける最小コスト
+        const cost: number[][] = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+        for (let i = 1; i <= n; i++) cost[i][0] = i * ALIGNMENT_GAP_COST;
+        for (let j = 1; j <= m; j++) cost[0][j] = j * ALIGNMENT_GAP_COST;
+        const matchCost = (i: number, j: number) => {
+            const color = palette[j];
+            return color ? colorDistance(detected[order[i]], color) : Infinity;
+        };
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= m; j++) {
+                cost[i][j] = Math.min(
+                    cost[i - 1][j - 1] + matchCost(i - 1, j - 1),
+                    cost[i - 1][j] + ALIGNMENT_GAP_COST,
+                    cost[i][j - 1] + ALIGNMENT_GAP_COST
+                );
+            }
+        }
+
+        // Backtrack
+        const pairs: BandAlignment['pairs'] = [];
+        const unmatchedDetected: number[] = [];
+        const unmatchedExpected: number[] = [];
+        let i = n, j = m;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + matchCost(i - 1, j - 1)) {
+                pairs.unshift({ detectedIndex: order[i - 1], expectedIndex: j - 1, distance: Math.round(matchCost(i - 1, j - 1) * 100) / 100 });
+                i--; j--;
+            } else if (i > 0 && cost[i][j] === cost[i - 1][j] + ALIGNMENT_GAP_COST) {
+                unmatchedDetected.unshift(order[i - 1]);
+                i--;
+            } else {
+                unmatchedExpected.unshift(j - 1);
+                j--;
+            }
+        }
+        return { direction, pairs, unmatchedDetected, unmatchedExpected, cost: cost[n][m] };
+    };
+
+    const forward = align('forward');
+    const reversed = align('reversed');
+    const { cost, ...best } = reversed.cost < forward.cost ? reversed : forward;
+    return best;
+}
+
+interface BandDecodeResult {
+    bands: any[];
+    names: string[];
+    reading: ReadingResult;
+    resistance: ResistanceResult;
+    confidence: number;
+    whiteBalance: WhiteBalance;
+}
+
+// バンド抽出 → 本体色の除外 → 読み取り方向の判定 (/api/detect-edges の単体・複数モード共通)
+// trace を渡すと、本体色として除外したセグメントも理由付きで記録する
+function decodeSampledResistor(sampling: OrientedSampling, threshold: number, customColors: CustomColor[], whiteBalanceMode: any, trace?: BandTrace): BandDecodeResult {
+    const orientation = sampling.orientation;
+    const whiteBalance = resolveWhiteBalance(whiteBalanceMode, averageLine(sampling.image, orientation));
+    const bands = mapBandsToImage(extractBands(sampling.image, threshold, orientation, customColors, whiteBalance, trace), sampling);
+
+    // --- Refined Body Filtering ---
+    // 1. Mark segments that are clearly body colors by name (case-insensitive)
+    let processedBands = bands.map(b => {
+        const name = b.colorName.toLowerCase();
+        const isBody = name.includes('body') || name.includes('beige') || name.includes('tan');
+        if (isBody) dropSegment(trace, b.segment, 'body-color', `${b.colorName} is a body color`);
+        return { ...b, isBody };
+    });
+
+    // 2. Identify segments that are "wide" compared to others
+    if (processedBands.length >= 3) {
+        const widths = processedBands.map((b: any) => b.width).sort((a: number, b: number) => a - b);
+        const medianWidth = widths[Math.floor(widths.length / 2)];
+
+        // If a segment is > 2.5x the median width, it's highly likely to be the body or a gap
+        processedBands = processedBands.map((b: any) => {
+            if (b.width > medianWidth * BODY_MIN_WIDTH_RATIO) {
+                if (!b.isBody) dropSegment(trace, b.segment, 'wide-median', `width ${b.width} > ${BODY_MIN_WIDTH_RATIO} × median ${medianWidth} of detected bands`);
+                return { ...b, isBody: true };
+            }
+            return b;
+        });
+    }
+
+    // 3. Filter out those marked as body
+    const filteredBands = processedBands.filter((b: any) => !b.isBody);
+    const filteredBandNames = filteredBands.map((b: any) => b.colorName);
+
+    const { bands: readBands, reading } = readWithDigitPositions(filteredBands, trace);
+    const confidence = readingConfidence(readBands.map((b: any) => b.confidence), reading);
+    return { bands: readBands, names: readBands.map((b: any) => b.colorName), reading, resistance: reading.resistance, confidence, whiteBalance };
+}
+
+const isMetalName = (name: string) => name.startsWith('Gold') || name === 'Silver';
+
+/**
+ * Gold/Silver never encode a significant digit. When the nearest color put a metal band in a digit
+ * position, that band is re-read as its nearest non-metal candidate (Yellow and Orange paint sit close
+ * to the Gold shades) and the better-scoring reading wins.
+ */
+function readWithDigitPositions(bands: any[], trace?: BandTrace): { bands: any[], reading: ReadingResult } {
+    const centers = bands.map(b => b.mainAxisCenter);
+    const read = (candidate: any[]) => ({ bands: candidate, reading: resolveReadingDirection(candidate.map(b => b.colorName), centers) });
+    let best = read(bands);
+
+    const roles = BAND_LAYOUTS[bands.length]?.roles;
+    if (!roles) return best;
+    for (const direction of ['forward', 'reversed'] as ReadingDirection[]) {
+        const replaced = bands.map((band, i) => {
+            const role = roles[direction === 'forward' ? i : bands.length - 1 - i];
+            if (role !== 'digit' || !isMetalName(band.colorName)) return band;
+            const alternative = (band.candidates as ColorCandidate[])
+                .find(c => !isMetalName(c.name) && !c.name.includes('(Body)') && RESISTOR_COLORS.some(r => r.name === c.name));
+            return alternative
+                ? { ...band, colorName: alternative.name, rule: 'digit-position', confidence: colorConfidence(band.candidates, alternative.name, true) }
+                : band;
+        });
+        if (replaced.every((band, i) => band === bands[i])) continue;
+        const candidate = read(replaced);
+        if (candidate.reading.score > best.reading.score) best = candidate;
+    }
+
+    best.bands.forEach((band, i) => {
+        if (band === bands[i]) return;
+        const segment = trace?.segments[band.segment];
+        segment?.overrides.push({ rule: 'digit-position', from: bands[i].colorName, to: band.colorName, reason: `${bands[i].colorName} in a digit position` });
+        if (segment) segment.colorName = band.colorName;
+    });
+    return best;
+}
+
+// --- Automatic Threshold Selection ---
+
+// threshold を省略 (または "auto") したときに試す colorChangeThreshold (UIのスライダーの範囲 1-30)
+export const THRESHOLD_CANDIDATES = [1, 2, 3, 4, 5, 6, 8, 10, 12, 15, 20, 25, 30];
+// 選んだ値と同じバンド列になった閾値の割合をどれだけ重視するか (1つの閾値でしか出ない読みは不安定)
+const THRESHOLD_STABILITY_WEIGHT = 0.25;
+
+interface ThresholdCandidate {
+    threshold: number;
+    score: number;
+    bands: string[];
+    value: string | null;
+    confidence: number;
+}
+
+interface ThresholdSelection {
+    mode: 'auto' | 'manual';
+    threshold: number;
+    candidates: ThresholdCandidate[]; // mode=auto のとき、試した閾値 (score の高い順)
+}
+
+// null は自動選択
+export function readThreshold(value: any): number | null {
+    if (value === undefined || value === null || value === 'auto') return null;
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+        throw new InputError('threshold must be a non-negative number or "auto"');
+    }
+    return value;
+}
+
+// バンドの間隔が揃っているほど1に近い。許容差バンドの前は間隔が広いので、最大の間隔は除いて測る
+function bandSpacingScore(centers: number[]): number {
+    if (centers.length < 3) return 0.5;
+    const gaps = centers.slice(1).map((c, i) => c - centers[i]).sort((a, b) => a - b);
+    if (gaps.length >= 3) gaps.pop();
+    const mean = gaps.reduce((sum, g) => sum + g, 0) / gaps.length;
+    if (mean <= 0) return 0;
+    const spread = Math.sqrt(gaps.reduce((sum, g) => sum + (g - mean) * (g - mean), 0) / gaps.length) / mean;
+    return 1 / (1 + 2 * spread);
+}
+
+/**
+ * How plausible a decoded band structure is: reading confidence (already discounted when the value
+ * does not decode), a typical band count, regular spacing and significant digits from an E-series.
+ */
+function bandStructureScore(result: BandDecodeResult): number {
+    const count = result.names.length;
+    const countScore = count === 4 || count === 5 ? 1 : count === 3 || count === 6 ? 0.8 : 0.3;
+    let seriesScore = 0.7;
+    if (result.resistance.ok) {
+        const digits = result.resistance.bands.filter(b => b.role === 'digit').map(b => b.value);
+        if (findESeries(digits)) seriesScore = 1;
+    }
+    const spacingScore = bandSpacingScore(result.bands.map((b: any) => b.mainAxisCenter).sort((a: number, b: number) => a - b));
+    return result.confidence * countScore * seriesScore * spacingScore;
+}
+
+/**
+ * Multi-threshold sweep: decodes the strip at every THRESHOLD_CANDIDATES value and keeps the one whose
+ * band structure is most plausible, favouring readings that several thresholds agree on.
+ * Ties go to the smaller threshold (the UI default is 1).
+ */
+function selectThreshold(sampling: OrientedSampling, customColors: CustomColor[], whiteBalanceMode: any): ThresholdSelection {
+    const sweep = THRESHOLD_CANDIDATES.map(threshold => {
+        const result = decodeSampledResistor(sampling, threshold, customColors, whiteBalanceMode);
+        return { threshold, result, plausibility: bandStructureScore(result), key: result.reading.bands.join(',') };
+    });
+    const candidates: ThresholdCandidate[] = sweep.map(({ threshold, result, plausibility, key }) => {
+        const agreement = sweep.filter(other => other.key === key).length / sweep.length;
+        const score = plausibility * (1 - THRESHOLD_STABILITY_WEIGHT + THRESHOLD_STABILITY_WEIGHT * agreement);
+        return {
+            threshold,
+            score: Math.round(score * 1000) / 1000,
+            bands: result.reading.bands,
+            value: resistanceText(result.resistance),
+            confidence: result.confidence
+        };
+    });
+    const best = candidates.reduce((a, b) => b.score > a.score ? b : a);
+    return {
+        mode: 'auto',
+        threshold: best.threshold,
+        candidates: [...candidates].sort((a, b) => b.score - a.score || a.threshold - b.threshold)
+    };
+}
+
+// threshold が null なら自動選択してから読み取る (trace は選ばれた閾値での1回分)
+export function decodeWithThreshold(sampling: OrientedSampling, threshold: number | null, customColors: CustomColor[], whiteBalanceMode: any, trace?: BandTrace): BandDecodeResult & { thresholdSelection: ThresholdSelection } {
+    const thresholdSelection: ThresholdSelection = threshold === null
+        ? selectThreshold(sampling, customColors, whiteBalanceMode)
+        : { mode: 'manual', threshold, candidates: [] };
+    const result = decodeSampledResistor(sampling, thresholdSelection.threshold, customColors, whiteBalanceMode, trace);
+    return { ...result, thresholdSelection };
+}
+
+// --- Detection Entry Point (worker and browser) ---
+
+export interface DetectOptions {
+    threshold?: number | null; // null / 省略: THRESHOLD_CANDIDATES から自動選択
+    mode?: any; // 'single' (既定) | 'multi'
+    orientation?: any; // orientImage の mode
+    whiteBalance?: any; // resolveWhiteBalance の mode
+    debug?: boolean; // extractBands の途中経過を trace として返す
+    customColors?: CustomColor[];
+}
+
+/**
+ * /api/detect-edges の解析部分。RGBA 画像から抵抗器を読み取り、レスポンスと同じ形 (crop / profile を除く) で返す。
+ * mode=multi では写真の中の抵抗器を1本ずつ切り分けて、すべて読み取る。
+ */
+export function detectResistor(image: RgbaImage, options: DetectOptions = {}) {
+    const { threshold = null, customColors = [], debug = false } = options;
+
+    if (options.mode === 'multi') {
+        const resistors = findResistorRegions(image).regions.map(region => {
+            const sampling = resampleAlongAxis(image, region.axis);
+            const trace = debug ? {} as BandTrace : undefined;
+            const result = decodeWithThreshold(sampling, threshold, customColors, options.whiteBalance, trace);
+            return {
+                boundingBox: region.boundingBox,
+                angle: region.axis.angle,
+                axis: region.axis,
+                bands: result.bands,
+                detected_bands: result.names,
+                value: resistanceText(result.resistance),
+                resistance: result.resistance,
+                reading: result.reading,
+                confidence: result.confidence,
+                whiteBalance: result.whiteBalance,
+                thresholdSelection: result.thresholdSelection,
+                quality: assessImageQuality(sampling, region.boundingBox),
+                ...(trace && { trace }),
+            };
+        });
+        return { mode: 'multi', count: resistors.length, resistors: resistors };
+    }
+    if (options.mode !== undefined && options.mode !== 'single') {
+        throw new InputError(`Invalid mode "${options.mode}" (use single or multi)`);
+    }
+
+    // 抵抗器の軸を推定し、斜めの場合は軸に沿って切り出した帯を走査する
+    const sampling = orientImage(image, options.orientation);
+    const trace = debug ? {} as BandTrace : undefined;
+    const { bands, names, reading, resistance, confidence, whiteBalance, thresholdSelection } =
+        decodeWithThreshold(sampling, threshold, customColors, options.whiteBalance, trace);
+    return {
+        bands: bands,
+        detected_bands: names,
+        resistor_value: resistanceText(resistance),
+        resistance: resistance,
+        reading: reading,
+        confidence: confidence,
+        orientation: sampling.reportedOrientation,
+        axis: sampling.axis, // 走査した軸 (角度と始点/終点) - UIで描画する
+        whiteBalance: whiteBalance,
+        thresholdSelection: thresholdSelection,
+        quality: assessImageQuality(sampling, image),
+        ...(trace && { trace })
+    };
+}
@@ -1,45 +1,50 @@
+import { decode as decodePng, convertIndexedToRgb, type DecodedPng } from 'fast-png';
+import * as jpeg from 'jpeg-js';
+import {
+    InputError, type Pixel, type ResistorColor, type CustomColor, type RgbaImage, type CropRect,
+    RESISTOR_COLORS, canonicalColorName, findClosestColor, estimateOrientation, median, rgbToHex, rgbToLab, labToRgb,
+    buildLearnedColorModels, capSamplesPerColor, readingConfidence,
+    type BandRole, type BandLayout, type ResistanceResult, BAND_LAYOUTS, calculateResistorValue, resolveReadingDirection,
+    resistanceText, roundOhms, formatResistance,
+    type SamplingOrientation, AXIS_ALIGNED_TOLERANCE, dominantRegion, orientImage, axisBoundingBox, findResistorRegions,
+    voteBandPositions, assessImageQuality, stackSlices, applyWhiteBalance, resolveWhiteBalance, averageLine,
+    extractBands, alignBands, THRESHOLD_CANDIDATES, readThreshold, decodeWithThreshold, detectResistor
+} from './analysis';
 
 export interface Env {
     LEARNING_STORE: KVNamespace;
     ASSETS: Fetcher;
 }
 
-interface Pixel {
-    r: number;
-    g: number;
-    b: number;
-    x?: number;
-}
-
 interface DetectionResult {
     colors: any[];
     detected_bands: string[];
     resistor_value: string | null;
+    resistance?: ResistanceResult;
     totalPixels?: number;
     slices?: any[];
 }
 
-interface ResistorColor {
-    name: string;
-    r: number;
-    g: number;
-    b: number;
-    value?: number;
-    multiplier?: number;
-    tolerance?: number;
-}
-
-interface CustomColor {
-    name: string;
-    r: number;
-    g: number;
-    b: number;
-}
-
 export default {
     async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
         const url = new URL(request.url);
 
+        if (url.pathname.startsWith('/api/learned-colors')) {
+            return handleLearnedColors(request, env, url);
+        }
+        if (url.pathname.startsWith('/api/profiles')) {
+            return handleProfiles(request, env, url);
+        }
+        if (url.pathname.startsWith('/api/inventory')) {
+            return handleInventory(request, env, url);
+        }
+        if (url.pathname === '/api/encode' && (request.method === 'GET' || request.method === 'POST')) {
+            return handleEncode(request);
+        }
+        if (url.pathname === '/api/render' && (request.method === 'GET' || request.method === 'POST')) {
+            return handleRender(request);
+        }
+
         // Serve API
         if (request.method === 'POST') {
             if (url.pathname === '/api/analyze') {
@@ -54,6 +59,12 @@ export default {
             if (url.pathname === '/api/detect-edges') {
                 return handleEdgeDetection(request, env);
             }
+            if (url.pathname === '/api/locate') {
+                return handleLocate(request, env);
+            }
+            if (url.pathname === '/api/batch') {
+                return handleBatch(request, env);
+            }
             if (url.pathname === '/api/learn') {
                 return handleLearn(request, env);
             }
@@ -89,73 +100,840 @@ function findDominantColor(bands: { name: string }[] | string[]): string | null
     return null;
 }
 
-// 新しく追加する関数
-function estimateOrientation(width: number, height: number): "horizontal" | "vertical" {
-    // 幅と高さの比率に基づいて向きを推定
-    // 抵抗器は通常、バンド部分が細長いため、
-    // 幅が高さより有意に大きい場合は水平、その逆は垂直と判断する。
-    // 閾値は調整可能だが、ここでは1.5倍を基準とする。
-    if (width > height * 1.5) { // 幅が高さの1.5倍より大きい場合
-        return "horizontal";
-    } else if (height > width * 1.5) { // 高さが幅の1.5倍より大きい場合
-        return "vertical";
+// --- Request Input (JSON pixels, binary RGBA or uploaded image) ---
+
+// デコード後の画素数の上限 (Workerのメモリ保護のため)
+const MAX_IMAGE_PIXELS = 4096 * 4096;
+
+interface AnalysisInput {
+    image?: RgbaImage;
+    crop?: CropRect;
+    source?: { type: string, width: number, height: number };
+    [key: string]: any;
+}
+
+/**
+ * Reads the body of an analysis request and normalizes the pixels to an RgbaImage (`image`).
+ * - application/octet-stream: raw RGBA bytes, size in X-Image-Width / X-Image-Height headers;
+ *   parameters (threshold, colorCount, ...) come from the query string
+ * - application/json: { rgba: "<base64 RGBA>", width, height, ... } or the legacy { pixels: [{r,g,b}], ... }
+ * - multipart/form-data: the file field (preferably "image") is decoded; other fields become parameters
+ * - image/*: the raw body is decoded; parameters come from the query string
+ * For uploads, `crop` may be given as {x,y,width,height} JSON or "x,y,width,height".
+ * `width`/`height` in the result always describe `image`.
+ */
+async function readAnalysisRequest(request: Request): Promise<AnalysisInput> {
+    const contentType = (request.headers.get('Content-Type') || '').toLowerCase();
+
+    if (contentType.startsWith('application/octet-stream')) {
+        const fields = readQueryFields(request);
+        const width = Number(request.headers.get('X-Image-Width') ?? fields.width);
+        const height = Number(request.headers.get('X-Image-Height') ?? fields.height);
+        const image = rgbaFromBytes(new Uint8Array(await request.arrayBuffer()), width, height);
+        return { ...fields, image, width, height };
+    }
+
+    if (contentType.startsWith('multipart/form-data')) {
+        const form = await request.formData();
+        const fields: { [key: string]: any } = {};
+        let file: File | null = null;
+        form.forEach((value, key) => {
+            if (typeof value === 'string') {
+                fields[key] = parseFieldValue(value);
+            } else if (key === 'image' || !file) {
+                file = value;
+            }
+        });
+        if (!file) throw new InputError('multipart body must contain an image file');
+        const upload: File = file;
+        const decoded = decodeImage(new Uint8Array(await upload.arrayBuffer()), upload.type, fields.crop);
+        return { ...fields, ...decoded, width: decoded.image.width, height: decoded.image.height };
+    }
+
+    if (contentType.startsWith('image/')) {
+        const fields = readQueryFields(request);
+        const mimeType = contentType.split(';')[0].trim();
+        const decoded = decodeImage(new Uint8Array(await request.arrayBuffer()), mimeType, fields.crop);
+        return { ...fields, ...decoded, width: decoded.image.width, height: decoded.image.height };
+    }
+
+    const body = await request.json() as AnalysisInput;
+    if (typeof body.rgba === 'string') {
+        body.image = rgbaFromBytes(base64ToBytes(body.rgba), Number(body.width), Number(body.height));
+        delete body.rgba;
+    } else if (Array.isArray(body.pixels) && body.pixels.length > 0) {
+        // 旧形式: {r,g,b} オブジェクトの配列 (width 未指定時は正方形、割り切れなければ1行と仮定)
+        const count = body.pixels.length;
+        let width = body.width || Math.round(Math.sqrt(count));
+        let height = body.height || count / width;
+        if (!Number.isInteger(height)) {
+            width = count;
+            height = 1;
+        }
+        body.image = pixelsToRgba(body.pixels, width, height);
+        delete body.pixels;
+    }
+    return body;
+}
+
+function readQueryFields(request: Request): { [key: string]: any } {
+    const fields: { [key: string]: any } = {};
+    new URL(request.url).searchParams.forEach((value, key) => {
+        fields[key] = parseFieldValue(value);
+    });
+    return fields;
+}
+
+// フォーム/クエリの文字列値を数値やJSONとして解釈する
+function parseFieldValue(value: string): any {
+    const trimmed = value.trim();
+    if (trimmed !== '' && !isNaN(Number(trimmed))) return Number(trimmed);
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch {
+            return value;
+        }
+    }
+    if (trimmed === 'true' || trimmed === 'false') return trimmed === 'true';
+    return value;
+}
+
+function base64ToBytes(base64: string): Uint8Array {
+    let binary: string;
+    try {
+        binary = atob(base64.replace(/^data:[^,]*,/, ''));
+    } catch {
+        throw new InputError('rgba is not valid base64');
+    }
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+function rgbaFromBytes(data: Uint8Array, width: number, height: number): RgbaImage {
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+        throw new InputError('Binary pixel data needs a positive integer width and height');
+    }
+    if (width * height > MAX_IMAGE_PIXELS) {
+        throw new InputError(`Image too large (${width}x${height}); max ${MAX_IMAGE_PIXELS} pixels`);
+    }
+    if (data.length !== width * height * 4) {
+        throw new InputError(`Expected ${width * height * 4} bytes of RGBA for ${width}x${height}, got ${data.length}`);
+    }
+    return { data, width, height };
+}
+
+function pixelsToRgba(pixels: Pixel[], width: number, height: number): RgbaImage {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const count = Math.min(pixels.length, width * height);
+    for (let i = 0; i < count; i++) {
+        const p = pixels[i];
+        data[i * 4] = p.r;
+        data[i * 4 + 1] = p.g;
+        data[i * 4 + 2] = p.b;
+        data[i * 4 + 3] = 255;
+    }
+    return { data, width, height };
+}
+
+// PNG / JPEG を RGBA (row-major) にデコードする
+// PNG の IHDR (シグネチャ直後の最初のチャンク) から幅と高さを読む。展開する前にサイズを確かめるため
+function pngDimensions(bytes: Uint8Array): { width: number, height: number } | null {
+    if (bytes.length < 24) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(12) !== 0x49484452) return null; // "IHDR"
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+function decodeRgba(bytes: Uint8Array, mimeType: string): RgbaImage {
+    // JPEG は maxResolutionInMP で制限される。PNG は decodePng が全体を展開してしまうので先に確かめる
+    const png = mimeType === 'image/png' ? pngDimensions(bytes) : null;
+    if (png && png.width * png.height > MAX_IMAGE_PIXELS) {
+        throw new InputError(`Image too large (${png.width}x${png.height}); max ${MAX_IMAGE_PIXELS} pixels`);
+    }
+    try {
+        if (mimeType === 'image/png') {
+            return pngToRgba(decodePng(bytes));
+        }
+        if (mimeType === 'image/jpeg' || mimeType === 'image/jpg') {
+            return jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_IMAGE_PIXELS / 1000000 });
+        }
+    } catch (e: any) {
+        throw new InputError(`Could not decode image: ${e.message}`);
+    }
+    throw new InputError(`Unsupported image type: ${mimeType || 'unknown'} (use image/png or image/jpeg)`);
+}
+
+// fast-png は元のチャンネル数/ビット深度/パレットのまま返すので 8bit RGBA に揃える
+function pngToRgba(png: DecodedPng): RgbaImage {
+    const { width, height } = png;
+    let data = png.data;
+    let channels = png.channels;
+    if (png.palette) {
+        data = convertIndexedToRgb(png);
+        channels = png.palette[0].length;
+    } else if (png.depth < 8) {
+        throw new Error(`${png.depth}-bit grayscale PNG is not supported`);
+    }
+
+    const shift = png.depth === 16 ? 8 : 0;
+    const out = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const src = i * channels;
+        const gray = channels <= 2; // Gray / Gray+Alpha
+        out[i * 4] = data[src] >> shift;
+        out[i * 4 + 1] = data[gray ? src : src + 1] >> shift;
+        out[i * 4 + 2] = data[gray ? src : src + 2] >> shift;
+        out[i * 4 + 3] = 255;
+    }
+    return { width, height, data: out };
+}
+
+function decodeImage(bytes: Uint8Array, mimeType: string, crop?: any): { image: RgbaImage, crop: CropRect, source: { type: string, width: number, height: number } } {
+    if (bytes.length === 0) throw new InputError('Image body is empty');
+    const decoded = decodeRgba(bytes, mimeType);
+    if (decoded.width * decoded.height > MAX_IMAGE_PIXELS) {
+        throw new InputError(`Image too large (${decoded.width}x${decoded.height}); max ${MAX_IMAGE_PIXELS} pixels`);
+    }
+
+    const rect = parseCrop(crop, decoded.width, decoded.height);
+    return {
+        image: cropRgba(decoded, rect),
+        crop: rect,
+        source: { type: mimeType, width: decoded.width, height: decoded.height }
+    };
+}
+
+function cropRgba(image: RgbaImage, rect: CropRect): RgbaImage {
+    if (rect.x === 0 && rect.y === 0 && rect.width === image.width && rect.height === image.height) return image;
+    const data = new Uint8Array(rect.width * rect.height * 4);
+    for (let y = 0; y < rect.height; y++) {
+        const start = ((rect.y + y) * image.width + rect.x) * 4;
+        data.set(image.data.subarray(start, start + rect.width * 4), y * rect.width * 4);
+    }
+    return { data, width: rect.width, height: rect.height };
+}
+
+// Crop rectangle from {x,y,width,height} or "x,y,width,height", clamped to the image. Defaults to the whole image.
+function parseCrop(crop: any, imgWidth: number, imgHeight: number): CropRect {
+    if (crop === undefined || crop === null || crop === '') {
+        return { x: 0, y: 0, width: imgWidth, height: imgHeight };
+    }
+
+    let values: number[];
+    if (typeof crop === 'string') {
+        values = crop.split(',').map(v => Number(v.trim()));
+    } else if (Array.isArray(crop)) {
+        values = crop.map(Number);
     } else {
-        // 比率があまり変わらない場合は、デフォルトで水平と仮定する。
-        return "horizontal";
+        values = [crop.x, crop.y, crop.width, crop.height].map(Number);
+    }
+    if (values.length !== 4 || values.some(v => !Number.isFinite(v))) {
+        throw new InputError('crop must be {x, y, width, height} or "x,y,width,height"');
+    }
+
+    const x = Math.max(0, Math.min(imgWidth, Math.round(values[0])));
+    const y = Math.max(0, Math.min(imgHeight, Math.round(values[1])));
+    const width = Math.min(imgWidth - x, Math.round(values[2]));
+    const height = Math.min(imgHeight - y, Math.round(values[3]));
+    if (width <= 0 || height <= 0) {
+        throw new InputError('crop rectangle is empty or outside the image');
+    }
+    return { x, y, width, height };
+}
+
+// /api/scan 用: 画像のバンド領域 (クロス軸の25%〜75%) から等間隔に1ピクセル幅のラインを切り出す
+function buildScanSlices(image: RgbaImage, sliceCount: number = 9, orientation: "horizontal" | "vertical" = estimateOrientation(image.width, image.height)): RgbaImage[] {
+    const { width, height, data } = image;
+    const mainDim = orientation === "horizontal" ? width : height;
+    const crossDim = orientation === "horizontal" ? height : width;
+
+    const slices: RgbaImage[] = [];
+    for (let i = 0; i < sliceCount; i++) {
+        const ratio = sliceCount === 1 ? 0.5 : 0.25 + 0.5 * (i / (sliceCount - 1));
+        const crossIdx = Math.min(crossDim - 1, Math.floor(crossDim * ratio));
+        const line = new Uint8Array(mainDim * 4);
+        for (let mainIdx = 0; mainIdx < mainDim; mainIdx++) {
+            const idx = (orientation === "horizontal" ? crossIdx * width + mainIdx : mainIdx * width + crossIdx) * 4;
+            line.set(data.subarray(idx, idx + 4), mainIdx * 4);
+        }
+        slices.push({ data: line, width: mainDim, height: 1 });
+    }
+    return slices;
+}
+
+// --- Learned Color Store (KV) ---
+
+const CUSTOM_COLORS_KEY = "custom_colors";
+// 直前の状態 (1世代分)。/api/learned-colors/undo で戻せる
+const CUSTOM_COLORS_PREVIOUS_KEY = "custom_colors_previous";
+
+// --- Calibration Profiles ---
+// 照明・カメラごとに学習データを分ける。"default" は従来の "custom_colors" キーをそのまま使い、
+// それ以外のプロファイルは "custom_colors:<name>" に保存する。
+const DEFAULT_PROFILE = "default";
+const PROFILES_KEY = "calibration_profiles";
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+interface CalibrationProfile {
+    name: string;
+    createdAt?: string; // ISO 8601 (the built-in default profile has none)
+    copiedFrom?: string;
+}
+
+function profileKey(baseKey: string, profile: string): string {
+    return profile === DEFAULT_PROFILE ? baseKey : `${baseKey}:${profile}`;
+}
+
+function parseProfileName(value: any): string {
+    if (value === undefined || value === null || value === '') return DEFAULT_PROFILE;
+    const name = String(value);
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+        throw new InputError(`Invalid profile name "${name}" (1-32 letters, digits, '-' or '_')`);
     }
+    return name;
+}
+
+async function listProfiles(env: Env): Promise<CalibrationProfile[]> {
+    const stored = env.LEARNING_STORE
+        ? await env.LEARNING_STORE.get<CalibrationProfile[]>(PROFILES_KEY, { type: "json" }) || []
+        : [];
+    return [{ name: DEFAULT_PROFILE }, ...stored];
+}
+
+// Validates the `profile` field of a request; unknown profiles are rejected instead of silently using another one
+async function resolveProfile(env: Env, value: any): Promise<string> {
+    const name = parseProfileName(value);
+    if (name === DEFAULT_PROFILE) return name;
+    const profiles = await listProfiles(env);
+    if (!profiles.some(p => p.name === name)) {
+        throw new InputError(`Unknown calibration profile "${name}"`);
+    }
+    return name;
+}
+
+// "<rgb hex>-<label>": the same RGB can be learned under different labels (e.g. a worn Gold and a Yellow)
+function customColorId(color: { name: string, r: number, g: number, b: number }): string {
+    const label = color.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${rgbToHex(color.r, color.g, color.b).slice(1).toLowerCase()}-${label}`;
+}
+
+// Learned samples must use a known color label and 0-255 channels, or they would poison classification
+function validateLearnedColor(color: any): void {
+    if (!color || typeof color.name !== 'string' || !RESISTOR_COLORS.some(c => c.name === color.name)) {
+        throw new InputError(`Unknown color name "${color && color.name}"`);
+    }
+    for (const channel of ['r', 'g', 'b']) {
+        const v = color[channel];
+        if (typeof v !== 'number' || !Number.isFinite(v) || v < 0 || v > 255) {
+            throw new InputError(`Color channel ${channel} must be a number from 0 to 255`);
+        }
+    }
+}
+
+async function loadCustomColors(env: Env, profile: string = DEFAULT_PROFILE): Promise<CustomColor[]> {
+    // Safety check for missing KV
+    if (!env.LEARNING_STORE) return [];
+    const definitions = await env.LEARNING_STORE.get<CustomColor[]>(profileKey(CUSTOM_COLORS_KEY, profile), { type: "json" }) || [];
+    // ids are derived from label + RGB, so entries stored with the older RGB-only ids get the current form
+    return definitions.map(def => ({ ...def, id: customColorId(def), sampleCount: def.sampleCount || 1 }));
+}
+
+// Replaces the stored list, keeping the current one as the undo snapshot.
+// Returns false when LEARNING_STORE is not configured (nothing persisted).
+async function writeCustomColors(env: Env, definitions: CustomColor[], caller: string, profile: string = DEFAULT_PROFILE): Promise<boolean> {
+    if (!env.LEARNING_STORE) {
+        console.warn(`[${caller}] LEARNING_STORE not configured, changes not persisted.`);
+        return false;
+    }
+    const key = profileKey(CUSTOM_COLORS_KEY, profile);
+    const current = await env.LEARNING_STORE.get(key);
+    await env.LEARNING_STORE.put(profileKey(CUSTOM_COLORS_PREVIOUS_KEY, profile), current || "[]");
+    await env.LEARNING_STORE.put(key, JSON.stringify(definitions));
+    return true;
+}
+
+// Adds learned colors. An existing entry with the same label and RGB has its sample count increased;
+// the same RGB under another label is kept as a separate sample.
+async function saveCustomColors(env: Env, colors: { name: string, r: number, g: number, b: number }[], source: string, caller: string, profile: string = DEFAULT_PROFILE): Promise<boolean> {
+    const definitions = await loadCustomColors(env, profile);
+    const now = new Date().toISOString();
+
+    for (const color of colors) {
+        validateLearnedColor(color);
+        const id = customColorId(color);
+        const existing = definitions.find(def => def.id === id);
+        if (existing) {
+            existing.sampleCount = (existing.sampleCount || 1) + 1;
+            existing.updatedAt = now;
+            existing.source = source;
+        } else {
+            definitions.push({ id, name: color.name, r: color.r, g: color.g, b: color.b, learnedAt: now, source, sampleCount: 1 });
+        }
+    }
+
+    return writeCustomColors(env, capSamplesPerColor(definitions), caller, profile);
+}
+
+function jsonResponse(body: any, status: number = 200, headers: { [key: string]: string } = {}): Response {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
 }
 
 // --- Main API Handlers ---
 
 async function handleLearn(request: Request, env: Env): Promise<Response> {
     try {
-        const { detectedColor, correctColorName } = await request.json() as any;
+        const { detectedColor, correctColorName, profile: profileField } = await request.json() as any;
 
         if (!detectedColor || !correctColorName) {
             return new Response('Invalid learning data', { status: 400 });
         }
+        const profile = await resolveProfile(env, profileField);
 
-        // Get current definitions, or initialize if null (safety check for missing KV)
-        let definitions: CustomColor[] = [];
-        if (env.LEARNING_STORE) {
-            definitions = await env.LEARNING_STORE.get<CustomColor[]>("custom_colors", { type: "json" }) || [];
-        }
-
-        // Add or update the definition
-        const existingIndex = definitions.findIndex(def =>
-            def.r === detectedColor.r && def.g === detectedColor.g && def.b === detectedColor.b
-        );
-
-        const newDefinition: CustomColor = {
+        await saveCustomColors(env, [{
             name: correctColorName,
             r: detectedColor.r,
             g: detectedColor.g,
             b: detectedColor.b,
-        };
+        }], '/api/learn', 'handleLearn', profile);
 
-        if (existingIndex > -1) {
-            definitions[existingIndex] = newDefinition;
-        } else {
-            definitions.push(newDefinition);
+        return new Response(JSON.stringify({ success: true, profile, message: `Learned that rgb(${detectedColor.r},${detectedColor.g},${detectedColor.b}) is ${correctColorName}` }), {
+            headers: { 'Content-Type': 'application/json' }
+        });
+
+    } catch (e: any) {
+        console.error(`[handleLearn] Error: ${e.message}`);
+        return new Response(JSON.stringify({ error: e.message }), { status: e instanceof InputError ? 400 : 500 });
+    }
+}
+
+
+/**
+ * Learned color management (all routes take ?profile=<name>, default "default"):
+ *   GET    /api/learned-colors          list (with metadata)
+ *   DELETE /api/learned-colors          delete all
+ *   GET    /api/learned-colors/export   download as JSON
+ *   POST   /api/learned-colors/import   { colors: [...] } or [...]; ?mode=merge (default) | replace
+ *   POST   /api/learned-colors/undo     restore the state before the last change
+ *   GET    /api/learned-colors/:id      one entry (id = "<RGB hex>-<label>", e.g. "d4af37-gold")
+ *   DELETE /api/learned-colors/:id      delete one entry
+ */
+async function handleLearnedColors(request: Request, env: Env, url: URL): Promise<Response> {
+    try {
+        const path = url.pathname.replace(/\/+$/, '');
+        const method = request.method;
+        const profile = await resolveProfile(env, url.searchParams.get('profile'));
+
+        if (path === '/api/learned-colors') {
+            if (method === 'GET') {
+                const colors = await loadCustomColors(env, profile);
+                // 分類に使われる色クラスごとの要約 (平均色・広がり・外れ値として除外された数)
+                const models = buildLearnedColorModels(colors).map(m => ({
+                    name: m.name,
+                    mean: labToRgb(m.mean),
+                    sigma: { l: Math.round(m.sigma.l * 10) / 10, a: Math.round(m.sigma.a * 10) / 10, b: Math.round(m.sigma.b * 10) / 10 },
+                    samples: m.samples,
+                    outliers: m.outliers,
+                }));
+                return jsonResponse({ profile, colors, count: colors.length, models });
+            }
+            if (method === 'DELETE') {
+                const colors = await loadCustomColors(env, profile);
+                const persisted = await writeCustomColors(env, [], 'handleLearnedColors', profile);
+                return jsonResponse({ success: true, deleted: colors.length, persisted });
+            }
+            return jsonResponse({ error: 'Method not allowed' }, 405);
         }
 
-        // Save back to KV (only if configured)
-        if (env.LEARNING_STORE) {
-            await env.LEARNING_STORE.put("custom_colors", JSON.stringify(definitions));
-        } else {
-            console.warn("[handleLearn] LEARNING_STORE not configured, changes not persisted.");
+        if (path === '/api/learned-colors/export' && method === 'GET') {
+            const colors = await loadCustomColors(env, profile);
+            const date = new Date().toISOString();
+            return jsonResponse({ version: 1, exportedAt: date, profile, colors }, 200, {
+                'Content-Disposition': `attachment; filename="learned-colors-${profile}-${date.slice(0, 10)}.json"`
+            });
         }
 
-        return new Response(JSON.stringify({ success: true, message: `Learned that rgb(${detectedColor.r},${detectedColor.g},${detectedColor.b}) is ${correctColorName}` }), {
-            headers: { 'Content-Type': 'application/json' }
-        });
+        if (path === '/api/learned-colors/import' && method === 'POST') {
+            const body = await request.json() as any;
+            const incoming = Array.isArray(body) ? body : body && body.colors;
+            if (!Array.isArray(incoming)) {
+                return jsonResponse({ error: 'Expected an array of colors or { colors: [...] }' }, 400);
+            }
+            const isChannel = (v: any) => Number.isInteger(v) && v >= 0 && v <= 255;
+            const isKnownName = (v: any) => typeof v === 'string' && RESISTOR_COLORS.some(c => c.name === v);
+            const invalid = incoming.findIndex((c: any) => !c || !isKnownName(c.name) || !isChannel(c.r) || !isChannel(c.g) || !isChannel(c.b));
+            if (invalid > -1) {
+                return jsonResponse({ error: `Invalid color entry at index ${invalid}` }, 400);
+            }
+
+            const mode = url.searchParams.get('mode') === 'replace' ? 'replace' : 'merge';
+            const merged = mode === 'replace' ? [] : await loadCustomColors(env, profile);
+            const now = new Date().toISOString();
+            for (const c of incoming) {
+                const entry: CustomColor = {
+                    id: customColorId(c),
+                    name: c.name,
+                    r: c.r,
+                    g: c.g,
+                    b: c.b,
+                    learnedAt: c.learnedAt || now,
+                    updatedAt: c.updatedAt,
+                    source: c.source || '/api/learned-colors/import',
+                    sampleCount: c.sampleCount || 1,
+                };
+                const existingIndex = merged.findIndex(def => def.id === entry.id);
+                if (existingIndex > -1) merged[existingIndex] = entry;
+                else merged.push(entry);
+            }
+            const capped = capSamplesPerColor(merged);
+            const persisted = await writeCustomColors(env, capped, 'handleLearnedColors', profile);
+            return jsonResponse({ success: true, mode, imported: incoming.length, count: capped.length, persisted });
+        }
+
+        if (path === '/api/learned-colors/undo' && method === 'POST') {
+            if (!env.LEARNING_STORE) return jsonResponse({ error: 'LEARNING_STORE not configured' }, 503);
+            const previous = await env.LEARNING_STORE.get(profileKey(CUSTOM_COLORS_PREVIOUS_KEY, profile));
+            if (previous === null) return jsonResponse({ error: 'Nothing to undo' }, 409);
+            // 現在の状態と入れ替えるので、もう一度 undo すると redo になる
+            await writeCustomColors(env, JSON.parse(previous), 'handleLearnedColors', profile);
+            const colors = await loadCustomColors(env, profile);
+            return jsonResponse({ success: true, colors, count: colors.length });
+        }
+
+        const match = path.match(/^\/api\/learned-colors\/([0-9a-f]{6}-[a-z0-9-]+)$/i);
+        if (match) {
+            const id = match[1].toLowerCase();
+            const colors = await loadCustomColors(env, profile);
+            const color = colors.find(c => c.id === id);
+            if (!color) return jsonResponse({ error: `Learned color ${id} not found` }, 404);
+            if (method === 'GET') return jsonResponse(color);
+            if (method === 'DELETE') {
+                const persisted = await writeCustomColors(env, colors.filter(c => c.id !== id), 'handleLearnedColors', profile);
+                return jsonResponse({ success: true, deleted: color, persisted });
+            }
+            return jsonResponse({ error: 'Method not allowed' }, 405);
+        }
 
+        return jsonResponse({ error: 'Not found' }, 404);
     } catch (e: any) {
-        console.error(`[handleLearn] Error: ${e.message}`);
-        return new Response(JSON.stringify({ error: e.message }), { status: 500 });
+        console.error(`[handleLearnedColors] Error: ${e.message}`);
+        return jsonResponse({ error: e.message }, e instanceof InputError ? 400 : 500);
     }
 }
 
+/**
+ * Calibration profiles:
+ *   GET    /api/profiles               list (with learned color counts)
+ *   POST   /api/profiles               { name, copyFrom? } create, optionally copying another profile's colors
+ *   POST   /api/profiles/:name/copy    { name } copy :name into a new profile
+ *   DELETE /api/profiles/:name         delete a profile and its learned colors ("default" cannot be deleted)
+ */
+async function handleProfiles(request: Request, env: Env, url: URL): Promise<Response> {
+    try {
+        const path = url.pathname.replace(/\/+$/, '');
+        const method = request.method;
+
+        if (path === '/api/profiles' && method === 'GET') {
+            const profiles = await listProfiles(env);
+            const withCounts = await Promise.all(profiles.map(async p => ({ ...p, count: (await loadCustomColors(env, p.name)).length })));
+            return jsonResponse({ profiles: withCounts });
+        }
+
+        if (path === '/api/profiles' && method === 'POST') {
+            const body = await request.json() as any;
+            return await createProfile(env, body && body.name, body && body.copyFrom);
+        }
+
+        const match = path.match(/^\/api\/profiles\/([^/]+)(\/copy)?$/);
+        if (match) {
+            const name = await resolveProfile(env, decodeURIComponent(match[1]));
+            if (match[2] && method === 'POST') {
+                const body = await request.json() as any;
+                return await createProfile(env, body && body.name, name);
+            }
+            if (!match[2] && method === 'DELETE') {
+                if (name === DEFAULT_PROFILE) return jsonResponse({ error: 'The default profile cannot be deleted' }, 400);
+                if (!env.LEARNING_STORE) return jsonResponse({ error: 'LEARNING_STORE not configured' }, 503);
+                const remaining = (await listProfiles(env)).filter(p => p.name !== name && p.name !== DEFAULT_PROFILE);
+                await env.LEARNING_STORE.put(PROFILES_KEY, JSON.stringify(remaining));
+                await env.LEARNING_STORE.delete(profileKey(CUSTOM_COLORS_KEY, name));
+                await env.LEARNING_STORE.delete(profileKey(CUSTOM_COLORS_PREVIOUS_KEY, name));
+                return jsonResponse({ success: true, deleted: name });
+            }
+            return jsonResponse({ error: 'Method not allowed' }, 405);
+        }
+
+        return jsonResponse({ error: 'Not found' }, 404);
+    } catch (e: any) {
+        console.error(`[handleProfiles] Error: ${e.message}`);
+        return jsonResponse({ error: e.message }, e instanceof InputError ? 400 : 500);
+    }
+}
+
+async function createProfile(env: Env, nameField: any, copyFrom?: any): Promise<Response> {
+    if (!nameField) throw new InputError('Profile name is required');
+    const name = parseProfileName(nameField);
+    const source = copyFrom === undefined || copyFrom === null ? null : await resolveProfile(env, copyFrom);
+    if (!env.LEARNING_STORE) return jsonResponse({ error: 'LEARNING_STORE not configured' }, 503);
+
+    const profiles = await listProfiles(env);
+    if (profiles.some(p => p.name === name)) {
+        return jsonResponse({ error: `Profile "${name}" already exists` }, 409);
+    }
+
+    const profile: CalibrationProfile = { name, createdAt: new Date().toISOString() };
+    if (source) profile.copiedFrom = source;
+    const colors = source ? await loadCustomColors(env, source) : [];
+
+    await env.LEARNING_STORE.put(PROFILES_KEY, JSON.stringify([...profiles.filter(p => p.name !== DEFAULT_PROFILE), profile]));
+    await env.LEARNING_STORE.put(profileKey(CUSTOM_COLORS_KEY, name), JSON.stringify(colors));
+    return jsonResponse({ success: true, profile: { ...profile, count: colors.length } }, 201);
+}
+
+// --- Parts Inventory (KV) ---
+// 読み取った抵抗器の在庫 (値・許容差・数量・保管場所)。学習データと同じ LEARNING_STORE の "inventory" キーに保存する。
+
+const INVENTORY_KEY = "inventory";
+
+interface InventoryRecord {
+    id: string;
+    ohms: number;
+    tolerancePercent: number;
+    value: string; // 表示用 (例: "4.7kΩ ±5%")
+    quantity: number;
+    location: string; // 保管場所 (引き出し・ビンの名前)
+    bands?: string[]; // 検出結果から追加した場合の読み取り順のバンド
+    confidence?: number;
+    note?: string;
+    source: 'detection' | 'manual';
+    createdAt: string; // ISO 8601
+    updatedAt: string;
+}
+
+async function loadInventory(env: Env): Promise<InventoryRecord[]> {
+    if (!env.LEARNING_STORE) return [];
+    return await env.LEARNING_STORE.get<InventoryRecord[]>(INVENTORY_KEY, { type: "json" }) || [];
+}
+
+// Returns false when LEARNING_STORE is not configured (nothing persisted).
+async function writeInventory(env: Env, records: InventoryRecord[]): Promise<boolean> {
+    if (!env.LEARNING_STORE) {
+        console.warn('[handleInventory] LEARNING_STORE not configured, inventory not persisted.');
+        return false;
+    }
+    await env.LEARNING_STORE.put(INVENTORY_KEY, JSON.stringify(records));
+    return true;
+}
+
+// POST / PATCH の本文は JSON オブジェクトに限る (null や配列のまま body.quantity を読むと 500 になる)
+async function readInventoryBody(request: Request): Promise<any> {
+    let body: any;
+    try {
+        body = await request.json();
+    } catch {
+        throw new InputError('Request body must be valid JSON');
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new InputError('Request body must be a JSON object');
+    }
+    return body;
+}
+
+function readQuantity(value: any, field: string, allowNegative: boolean = false): number {
+    if (!Number.isInteger(value) || (!allowNegative && value < 0)) {
+        throw new InputError(`${field} must be ${allowNegative ? 'an' : 'a non-negative'} integer`);
+    }
+    return value;
+}
+
+function inventoryValue(ohms: number, tolerancePercent: number): string {
+    return `${formatResistance(ohms)} ±${tolerancePercent}%`;
+}
+
+// 在庫に登録できる許容差 (カラーコードで表せる値と、許容差バンドのない ±20%)
+const INVENTORY_TOLERANCES = new Set([...RESISTOR_COLORS.flatMap(c => c.tolerance === undefined ? [] : [c.tolerance]), 20]);
+
+function readInventoryTolerance(value: any): number {
+    if (typeof value !== 'number' || !INVENTORY_TOLERANCES.has(value)) {
+        throw new InputError(`Unknown tolerance ${JSON.stringify(value)} (use one of ${[...INVENTORY_TOLERANCES].sort((a, b) => a - b).join(', ')})`);
+    }
+    return value;
+}
+
+function readInventoryOhms(value: any): number {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new InputError('Resistance must be a positive number of ohms');
+    }
+    return value;
+}
+
+// 追加する部品: 検出結果 (result) から、または値 (value, tolerance) を直接指定する
+// result はクライアントから送られてくるので、そのまま保存せずに値を検証する
+function readInventoryPart(body: any): Pick<InventoryRecord, 'ohms' | 'tolerancePercent' | 'bands' | 'confidence' | 'source'> {
+    if (body.result && typeof body.result === 'object') {
+        const resistance = body.result.resistance;
+        if (!resistance || typeof resistance !== 'object' || resistance.ok !== true) {
+            throw new InputError('The detection result has no decoded resistance');
+        }
+        const bands = body.result.reading?.bands ?? body.result.detected_bands;
+        const confidence = body.result.confidence;
+        return {
+            ohms: readInventoryOhms(resistance.ohms),
+            tolerancePercent: readInventoryTolerance(resistance.tolerancePercent),
+            bands: Array.isArray(bands) && bands.every(b => typeof b === 'string') ? bands : undefined,
+            confidence: typeof confidence === 'number' && Number.isFinite(confidence) ? confidence : undefined,
+            source: 'detection'
+        };
+    }
+    if (body.value === undefined || body.value === '') {
+        throw new InputError('Either result or value is required');
+    }
+    const { ohms, tolerancePercent } = readResistanceField(body.value);
+    return {
+        ohms: readInventoryOhms(ohms),
+        tolerancePercent: readInventoryTolerance(readNumberField(body.tolerance, 'tolerance') ?? tolerancePercent ?? 5),
+        source: 'manual'
+    };
+}
+
+// 検索条件: value (同じ抵抗値)、min / max (範囲)、location (保管場所の部分一致)
+function filterInventory(records: InventoryRecord[], params: URLSearchParams): InventoryRecord[] {
+    const resistance = (name: string) => {
+        const text = params.get(name);
+        if (text === null || text === '') return undefined;
+        const parsed = parseResistance(text);
+        if (!parsed) throw new InputError(`Invalid resistance value for ${name}: ${text}`);
+        return parsed.ohms;
+    };
+    const value = resistance('value');
+    const min = resistance('min');
+    const max = resistance('max');
+    const location = (params.get('location') || '').toLowerCase();
+    return records
+        .filter(r => value === undefined || r.ohms === value)
+        .filter(r => (min === undefined || r.ohms >= min) && (max === undefined || r.ohms <= max))
+        .filter(r => !location || r.location.toLowerCase().includes(location))
+        .sort((a, b) => a.ohms - b.ohms || a.location.localeCompare(b.location));
+}
+
+function inventoryCsv(records: InventoryRecord[]): string {
+    const header = ['id', 'value', 'ohms', 'tolerance_percent', 'quantity', 'location', 'bands', 'note', 'source', 'created_at', 'updated_at'];
+    const rows = records.map(r => [
+        r.id, r.value, r.ohms, r.tolerancePercent, r.quantity, r.location, (r.bands || []).join(' '), r.note, r.source, r.createdAt, r.updatedAt
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Inventory API:
+ * - GET    /api/inventory?value=4k7 | ?min=1k&max=10k | ?location=A1  search (sorted by value)
+ * - POST   /api/inventory            add {result | value, tolerance, quantity, location, note}; the same value, tolerance and
+ *                                     location is merged into one record by adding the quantity
+ * - GET    /api/inventory/export     CSV of the (filtered) records
+ * - GET / PATCH / DELETE /api/inventory/:id   PATCH takes {delta} or {quantity}, and optionally {location, note};
+ *                                     moving a record onto the same value, tolerance and location merges it into that record
+ */
+async function handleInventory(request: Request, env: Env, url: URL): Promise<Response> {
+    try {
+        const path = url.pathname.replace(/\/+$/, '');
+        const method = request.method;
+
+        if (path === '/api/inventory') {
+            if (method === 'GET') {
+                const records = filterInventory(await loadInventory(env), url.searchParams);
+                return jsonResponse({ records, count: records.length, totalQuantity: records.reduce((sum, r) => sum + r.quantity, 0) });
+            }
+            if (method === 'POST') {
+                const body = await readInventoryBody(request);
+                const part = readInventoryPart(body);
+                const quantity = readQuantity(body.quantity ?? 1, 'quantity');
+                const location = body.location === undefined ? '' : String(body.location).trim();
+                const records = await loadInventory(env);
+                const now = new Date().toISOString();
+
+                let record = records.find(r => r.ohms === part.ohms && r.tolerancePercent === part.tolerancePercent && r.location === location);
+                const merged = record !== undefined;
+                if (record) {
+                    record.quantity += quantity;
+                    record.updatedAt = now;
+                    if (part.bands) record.bands = part.bands;
+                    if (body.note !== undefined) record.note = String(body.note);
+                } else {
+                    record = {
+                        id: crypto.randomUUID(),
+                        ...part,
+                        value: inventoryValue(part.ohms, part.tolerancePercent),
+                        quantity,
+                        location,
+                        note: body.note === undefined ? undefined : String(body.note),
+                        createdAt: now,
+                        updatedAt: now
+                    };
+                    records.push(record);
+                }
+                const persisted = await writeInventory(env, records);
+                return jsonResponse({ success: true, record, merged, persisted }, merged ? 200 : 201);
+            }
+            return jsonResponse({ error: 'Method not allowed' }, 405);
+        }
+
+        if (path === '/api/inventory/export' && method === 'GET') {
+            const records = filterInventory(await loadInventory(env), url.searchParams);
+            return new Response(inventoryCsv(records), {
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': `attachment; filename="resistor-inventory-${new Date().toISOString().slice(0, 10)}.csv"`
+                }
+            });
+        }
+
+        const match = path.match(/^\/api\/inventory\/([0-9a-f-]{36})$/i);
+        if (match) {
+            const id = match[1].toLowerCase();
+            const records = await loadInventory(env);
+            const record = records.find(r => r.id === id);
+            if (!record) return jsonResponse({ error: `Inventory record ${id} not found` }, 404);
+            if (method === 'GET') return jsonResponse(record);
+            if (method === 'PATCH') {
+                const body = await readInventoryBody(request);
+                if (body.quantity !== undefined) {
+                    record.quantity = readQuantity(body.quantity, 'quantity');
+                } else if (body.delta !== undefined) {
+                    const quantity = record.quantity + readQuantity(body.delta, 'delta', true);
+                    if (quantity < 0) throw new InputError(`Only ${record.quantity} in stock`);
+                    record.quantity = quantity;
+                }
+                if (body.location !== undefined) record.location = String(body.location).trim();
+                if (body.note !== undefined) record.note = String(body.note);
+                record.updatedAt = new Date().toISOString();
+
+                // 移動先に同じ値・許容差の記録があれば POST と同じく1件にまとめる
+                const existing = records.find(r => r !== record && r.ohms === record.ohms && r.tolerancePercent === record.tolerancePercent && r.location === record.location);
+                if (existing) {
+                    existing.quantity += record.quantity;
+                    existing.updatedAt = record.updatedAt;
+                    if (record.bands) existing.bands = record.bands;
+                    if (body.note !== undefined) existing.note = record.note;
+                    const persisted = await writeInventory(env, records.filter(r => r !== record));
+                    return jsonResponse({ success: true, record: existing, merged: true, mergedFrom: record.id, persisted });
+                }
+                const persisted = await writeInventory(env, records);
+                return jsonResponse({ success: true, record, merged: false, persisted });
+            }
+            if (method === 'DELETE') {
+                const persisted = await writeInventory(env, records.filter(r => r.id !== id));
+                return jsonResponse({ success: true, deleted: record, persisted });
+            }
+            return jsonResponse({ error: 'Method not allowed' }, 405);
+        }
+
+        return jsonResponse({ error: 'Not found' }, 404);
+    } catch (e: any) {
+        console.error(`[handleInventory] Error: ${e.message}`);
+        return jsonResponse({ error: e.message }, e instanceof InputError ? 400 : 500);
+    }
+}
 
 async function handleAnalysis(request: Request, env: Env): Promise<Response> {
     // Forward to the new endpoint to keep it simple
@@ -164,19 +942,28 @@ async function handleAnalysis(request: Request, env: Env): Promise<Response> {
 
 async function handleScan(request: Request, env: Env): Promise<Response> {
     try {
-        const { slices } = await request.json() as { slices: Pixel[][] };
-        const customColors = env.LEARNING_STORE
-            ? await env.LEARNING_STORE.get<CustomColor[]>("custom_colors", { type: "json" }) || []
-            : [];
+        const input = await readAnalysisRequest(request);
+        // Legacy clients send ready-made slices; images (binary or uploaded) are sliced along the resistor axis here
+        const sampling = !Array.isArray(input.slices) && input.image ? orientImage(input.image, input.orientation) : undefined;
+        const slices: RgbaImage[] | undefined = Array.isArray(input.slices)
+            ? input.slices.map((slice: Pixel[]) => pixelsToRgba(slice, slice.length, 1))
+            : sampling ? buildScanSlices(sampling.image, 9, sampling.orientation) : undefined;
+        const profile = await resolveProfile(env, input.profile);
+        const customColors = await loadCustomColors(env, profile);
 
 
-        if (!slices || !Array.isArray(slices)) {
+        if (!slices) {
             return new Response('Invalid data', { status: 400 });
         }
 
-        const sliceResults = slices.map(slicePixels => {
-            // slicePixels.length が幅、高さは1 (1ピクセル幅の線データ)
-            const bands = extractBands(slicePixels, slicePixels.length, 1, 10, "horizontal", customColors); // orientationを明示的に指定
+        // 照明はスライス間で共通なので、画像全体 (旧形式ではスライスをつなげたもの) から一度だけ推定する
+        const whiteBalance = resolveWhiteBalance(input.whiteBalance, sampling
+            ? averageLine(sampling.image, sampling.orientation)
+            : slices.flatMap(slice => averageLine(slice, "horizontal")));
+
+        const sliceResults = slices.map(slice => {
+            // slice.width が幅、高さは1 (1ピクセル幅の線データ)
+            const bands = extractBands(slice, 10, "horizontal", customColors, whiteBalance); // orientationを明示的に指定
             return {
                 colors: bands.map(b => ({
                     r: b.rgb.r,
@@ -184,7 +971,11 @@ async function handleScan(request: Request, env: Env): Promise<Response> {
                     b: b.rgb.b,
                     name: b.colorName,
                     hex: rgbToHex(b.rgb.r, b.rgb.g, b.rgb.b),
-                    count: b.width
+                    count: b.width,
+                    center: b.mainAxisCenter,
+                    confidence: b.confidence,
+                    rule: b.rule,
+                    candidates: b.candidates
                 })),
                 detected_bands: bands.map(b => b.colorName)
             };
@@ -212,58 +1003,76 @@ async function handleScan(request: Request, env: Env): Promise<Response> {
                 ? foundBodyBand.name
                 : null;
 
-            return withoutBeige.filter((b: any) => b.name !== bodyColorName).map((b: any) => b.name);
-        });
-
-        const sequenceCounts: { [key: string]: number } = {};
-        allProcessedSequences.forEach(seq => {
-            if (seq.length >= 3) {
-                const key = seq.join(',');
-                sequenceCounts[key] = (sequenceCounts[key] || 0) + 1;
-            }
+            return withoutBeige.filter((b: any) => b.name !== bodyColorName);
         });
 
-        let bestSequence: string[] = [];
-        if (Object.keys(sequenceCounts).length > 0) {
-            const [topSequence] = Object.entries(sequenceCounts).sort((a, b) => b[1] - a[1])[0];
-            bestSequence = topSequence.split(',');
-        }
-
-        const resistorValue = calculateResistorValue(bestSequence);
+        const stacked = sampling ? null : stackSlices(slices);
+        const quality = sampling ? assessImageQuality(sampling, input.image!)
+            : stacked ? assessImageQuality(orientImage(stacked, "horizontal"), stacked) : undefined;
+
+        // 並び全体の一致ではなく、軸上の位置ごとに投票して合意した並びを作る
+        const votedBands = voteBandPositions(allProcessedSequences);
+        const bestSequence = votedBands.map(b => b.colorName);
+        const consensusBands = votedBands.map(b => ({
+            colorName: b.colorName,
+            confidence: b.confidence,
+            agreement: b.agreement,
+            support: b.support,
+            votes: b.votes,
+            rule: b.rule,
+            candidates: b.candidates
+        }));
+
+        const reading = resolveReadingDirection(bestSequence, votedBands.map(b => b.center));
+        const resistance = reading.resistance;
+        // 位置ごとの合意率 (票の割合 × 検出したスライスの割合) の平均を全体の一致度とする
+        const agreement = votedBands.length > 0
+            ? Math.round(votedBands.reduce((sum, b) => sum + b.agreement * b.support, 0) / votedBands.length * 1000) / 1000
+            : 0;
+        const confidence = Math.round(readingConfidence(consensusBands.map(b => b.confidence), reading) * agreement * 1000) / 1000;
 
         return new Response(JSON.stringify({
             slices: sliceResults,
+            bands: consensusBands,
             detected_bands: bestSequence,
-            resistor_value: resistorValue
+            resistor_value: resistanceText(resistance),
+            resistance: resistance,
+            reading: reading,
+            confidence: confidence,
+            agreement: agreement,
+            crop: input.crop,
+            orientation: sampling ? sampling.reportedOrientation : undefined,
+            axis: sampling ? sampling.axis : undefined,
+            profile: profile,
+            whiteBalance: whiteBalance,
+            quality: quality
         }), { headers: { 'Content-Type': 'application/json' } });
 
     } catch (e: any) {
-        return new Response(JSON.stringify({ error: e.message }), { status: 500 });
+        return new Response(JSON.stringify({ error: e.message }), { status: e instanceof InputError ? 400 : 500 });
     }
 }
 
 async function handleExtractColors(request: Request, env: Env): Promise<Response> {
     try {
-        const { pixels, colorCount, width, height } = await request.json() as {
-            pixels: Pixel[],
-            colorCount: number,
-            width?: number,
-            height?: number
-        };
-        const customColors = env.LEARNING_STORE
-            ? await env.LEARNING_STORE.get<CustomColor[]>("custom_colors", { type: "json" }) || []
-            : [];
+        const { image: sourceImage, colorCount, crop, profile: profileField, whiteBalance: whiteBalanceMode, orientation: orientationMode } = await readAnalysisRequest(request);
+        const profile = await resolveProfile(env, profileField);
+        const customColors = await loadCustomColors(env, profile);
 
-        if (!pixels || !Array.isArray(pixels) || !colorCount) {
+        if (!sourceImage || !colorCount) {
             return new Response('Invalid data', { status: 400 });
         }
 
-        const imageWidth = width || Math.sqrt(pixels.length); // width が指定されなかった場合の推定
-        const imageHeight = height || Math.sqrt(pixels.length); // height が指定されなかった場合の推定
-        const orientation = estimateOrientation(imageWidth, imageHeight); // ここで向きを推定
+        // 斜めの抵抗器は軸に沿って切り出した帯から代表色を求める (avgX が軸上の位置になる)
+        const sampling = orientImage(sourceImage, orientationMode);
+        const image = sampling.image;
+        const imageWidth = image.width;
+        const orientation = sampling.orientation;
 
         // --- Median Cut Quantization ---
-        const dominantColors = getDominantColors(pixels, colorCount);
+        const whiteBalance = resolveWhiteBalance(whiteBalanceMode, averageLine(image, orientation));
+        // 代表色は照明補正後の色で分類する (補正前の色は raw に残す)
+        const dominantColors = getDominantColors(image, colorCount).map(color => ({ ...color, raw: color.rgb, rgb: applyWhiteBalance(color.rgb, whiteBalance) }));
 
         // --- Apply Edge Detection Logic: Position-based Color Refinement ---
         const enrichedColors = dominantColors.map((color, index) => {
@@ -309,7 +1118,7 @@ async function handleExtractColors(request: Request, env: Env): Promise<Response
         });
 
         // --- Improved Body Filtering using Width Information ---
-        const totalPixels = pixels.length;
+        const totalPixels = image.width * image.height;
 
         // Calculate width statistics (similar to extractBands)
         const colorWidths = enrichedColors.map(c => c.count);
@@ -335,7 +1144,10 @@ async function handleExtractColors(request: Request, env: Env): Promise<Response
         });
 
         const filteredBandNames = filteredEnrichedColors.map(c => c.name);
-        const resistorValue = calculateResistorValue(filteredBandNames);
+        // 出現頻度順ではなく位置 (avgX) 順に並べて読み取り方向を判定する
+        const byPosition = [...filteredEnrichedColors].sort((a, b) => a.avgX - b.avgX);
+        const reading = resolveReadingDirection(byPosition.map(c => c.name), byPosition.map(c => c.avgX));
+        const resistance = reading.resistance;
 
         return new Response(JSON.stringify({
             colors: filteredEnrichedColors.map(c => ({
@@ -343,44 +1155,58 @@ async function handleExtractColors(request: Request, env: Env): Promise<Response
                 g: c.rgb.g,
                 b: c.rgb.b,
                 hex: c.hex,
+                raw: c.raw,
                 name: c.name,
                 count: c.count,
                 avgX: c.avgX,
                 position: c.position,
                 isAtEdge: c.isAtEdge
             })),
-            totalPixels: pixels.length,
+            totalPixels: totalPixels,
             detected_bands: filteredBandNames,
-            resistor_value: resistorValue,
-            orientation: orientation // orientationをレスポンスに追加
+            resistor_value: resistanceText(resistance),
+            resistance: resistance,
+            reading: reading,
+            orientation: sampling.reportedOrientation, // orientationをレスポンスに追加
+            axis: sampling.axis,
+            crop: crop,
+            profile: profile,
+            whiteBalance: whiteBalance,
+            quality: assessImageQuality(sampling, sourceImage)
         }), { headers: { 'Content-Type': 'application/json' } });
 
     } catch (e: any) {
         console.error(`[handleExtractColors] Error: ${e.message}`);
+        if (e instanceof InputError) return new Response(JSON.stringify({ error: e.message }), { status: 400 });
         return new Response(JSON.stringify({ error: e.message, stack: e.stack }), { status: 500 });
     }
 }
 
-function getDominantColors(pixels: Pixel[], k: number): { rgb: Pixel, count: number, avgX: number }[] {
-    if (pixels.length === 0 || k === 0) return [];
+function getDominantColors(image: RgbaImage, k: number): { rgb: Pixel, count: number, avgX: number }[] {
+    const { data, width } = image;
+    const pixelCount = image.width * image.height;
+    if (pixelCount === 0 || k === 0) return [];
 
-    // 1. Create a bucket with all pixels
-    let buckets: Pixel[][] = [pixels];
+    // 1. Create a bucket with all pixels (buckets hold pixel indices into the RGBA buffer)
+    const all = new Uint32Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) all[i] = i;
+    let buckets: Uint32Array[] = [all];
 
     // 2. Iteratively split buckets
     while (buckets.length < k) {
         let largestBucketIndex = -1;
         let largestRange = -1;
-        let dimensionToSplit: 'r' | 'g' | 'b' | -1 = -1;
+        let channelToSplit = -1; // 0: r, 1: g, 2: b
 
         // Find the bucket with the largest color range to split
         for (let i = 0; i < buckets.length; i++) {
             if (buckets[i].length === 0) continue;
             let minR = 255, maxR = 0, minG = 255, maxG = 0, minB = 255, maxB = 0;
-            for (const p of buckets[i]) {
-                minR = Math.min(minR, p.r); maxR = Math.max(maxR, p.r);
-                minG = Math.min(minG, p.g); maxG = Math.max(maxG, p.g);
-                minB = Math.min(minB, p.b); maxB = Math.max(maxB, p.b);
+            for (const idx of buckets[i]) {
+                const r = data[idx * 4], g = data[idx * 4 + 1], b = data[idx * 4 + 2];
+                if (r < minR) minR = r; if (r > maxR) maxR = r;
+                if (g < minG) minG = g; if (g > maxG) maxG = g;
+                if (b < minB) minB = b; if (b > maxB) maxB = b;
             }
             const rangeR = maxR - minR, rangeG = maxG - minG, rangeB = maxB - minB;
             const currentLargestRange = Math.max(rangeR, rangeG, rangeB);
@@ -388,22 +1214,23 @@ function getDominantColors(pixels: Pixel[], k: number): { rgb: Pixel, count: num
             if (currentLargestRange > largestRange) {
                 largestRange = currentLargestRange;
                 largestBucketIndex = i;
-                if (rangeR >= rangeG && rangeR >= rangeB) dimensionToSplit = 'r';
-                else if (rangeG >= rangeR && rangeG >= rangeB) dimensionToSplit = 'g';
-                else dimensionToSplit = 'b';
+                if (rangeR >= rangeG && rangeR >= rangeB) channelToSplit = 0;
+                else if (rangeG >= rangeR && rangeG >= rangeB) channelToSplit = 1;
+                else channelToSplit = 2;
             }
         }
 
-        if (largestBucketIndex === -1 || dimensionToSplit === -1) break; // No more splits possible
+        if (largestBucketIndex === -1 || channelToSplit === -1) break; // No more splits possible
 
         // 3. Split the chosen bucket
         const bucketToSplit = buckets[largestBucketIndex];
-        bucketToSplit.sort((a, b) => a[dimensionToSplit as 'r' | 'g' | 'b'] - b[dimensionToSplit as 'r' | 'g' | 'b']);
+        const channel = channelToSplit;
+        bucketToSplit.sort((a, b) => data[a * 4 + channel] - data[b * 4 + channel]);
 
         const medianIndex = Math.floor(bucketToSplit.length / 2);
 
-        const newBucket1 = bucketToSplit.slice(0, medianIndex);
-        const newBucket2 = bucketToSplit.slice(medianIndex);
+        const newBucket1 = bucketToSplit.subarray(0, medianIndex);
+        const newBucket2 = bucketToSplit.subarray(medianIndex);
 
         // Replace the original bucket with the two new ones
         buckets.splice(largestBucketIndex, 1, newBucket1, newBucket2);
@@ -411,547 +1238,865 @@ function getDominantColors(pixels: Pixel[], k: number): { rgb: Pixel, count: num
 
     // 4. Average the colors in each bucket
     return buckets.filter(b => b.length > 0).map(bucket => {
-        const colorSum = bucket.reduce((acc, p) => ({ r: acc.r + p.r, g: acc.g + p.g, b: acc.b + p.b, x: (acc.x || 0) + (p.x || 0) }), { r: 0, g: 0, b: 0, x: 0 });
+        let sumR = 0, sumG = 0, sumB = 0, sumX = 0;
+        for (const idx of bucket) {
+            sumR += data[idx * 4];
+            sumG += data[idx * 4 + 1];
+            sumB += data[idx * 4 + 2];
+            sumX += idx % width;
+        }
         const avgColor = {
-            r: Math.round(colorSum.r / bucket.length),
-            g: Math.round(colorSum.g / bucket.length),
-            b: Math.round(colorSum.b / bucket.length),
+            r: Math.round(sumR / bucket.length),
+            g: Math.round(sumG / bucket.length),
+            b: Math.round(sumB / bucket.length),
         };
-        const avgX = Math.round(colorSum.x! / bucket.length);
+        const avgX = Math.round(sumX / bucket.length);
         return { rgb: avgColor, count: bucket.length, avgX: avgX };
     }).sort((a, b) => b.count - a.count); // Sort by prevalence
 }
 
 
 
-// --- Analysis Logic (Copied and adapted from test_edge_detection.js) ---
-
-const RESISTOR_COLORS: ResistorColor[] = [
-    // Standard EIA color codes
-    { name: 'Black', r: 0, g: 0, b: 0, value: 0, multiplier: 1 },
-    { name: 'Brown', r: 165, g: 42, b: 42, value: 1, multiplier: 10, tolerance: 1 },
-    { name: 'Red', r: 255, g: 0, b: 0, value: 2, multiplier: 100, tolerance: 2 },
-    { name: 'Orange', r: 255, g: 165, b: 0, value: 3, multiplier: 1000 },
-    { name: 'Yellow', r: 255, g: 255, b: 0, value: 4, multiplier: 10000 },
-    { name: 'Green', r: 0, g: 128, b: 0, value: 5, multiplier: 100000, tolerance: 0.5 },
-    { name: 'Blue', r: 0, g: 0, b: 255, value: 6, multiplier: 1000000, tolerance: 0.25 },
-    { name: 'Violet', r: 238, g: 130, b: 238, value: 7, multiplier: 10000000, tolerance: 0.1 },
-    { name: 'Gray', r: 128, g: 128, b: 128, value: 8, multiplier: 100000000, tolerance: 0.05 },
-    { name: 'White', r: 255, g: 255, b: 255, value: 9, multiplier: 1000000000 },
-    { name: 'Gold', r: 255, g: 215, b: 0, multiplier: 0.1, tolerance: 5 },
-    { name: 'Gold_Light', r: 255, g: 220, b: 100, value: -1, tolerance: 5 }, // 反射で白飛び気味のゴールド
-    { name: 'Gold_Metallic', r: 212, g: 175, b: 55, value: -1, tolerance: 5 }, // メタリックな質感
-    { name: 'Gold_Dark', r: 184, g: 134, b: 11, value: -1, tolerance: 5 }, // 影の部分
-    { name: 'Gold_Ochre', r: 204, g: 119, b: 34, value: -1, tolerance: 5 }, // 黄土色に近いゴールド
-    { name: 'Silver', r: 192, g: 192, b: 192, multiplier: 0.01, tolerance: 10 },
-    // Body color variants (expanded for better Gold vs Body discrimination)
-    { name: 'Beige (Body)', r: 245, g: 245, b: 220 },
-    { name: 'Tan (Body)', r: 210, g: 180, b: 140 },
-    { name: 'Sandy (Body)', r: 244, g: 164, b: 96 }, // 砂色系のBody
-    { name: 'Cream (Body)', r: 255, g: 253, b: 208 }, // クリーム色系のBody
-    { name: 'Khaki (Body)', r: 195, g: 176, b: 145 }, // カーキ色系のBody
-    { name: 'Light Blue (Body)', r: 173, g: 216, b: 230 },
-    // Dark variants for better detection under shadows
-    { name: 'Violet_Dark', r: 100, g: 50, b: 150, value: 7, multiplier: 10000000, tolerance: 0.1 }
-];
-
-function findClosestColor(pixel: { r: number, g: number, b: number }, customColors: CustomColor[] = []): ResistorColor {
-    let minDist = Infinity;
-    let closest = RESISTOR_COLORS[0];
-
-    // First check user-learned colors with high bias
-    if (customColors && Array.isArray(customColors)) {
-        for (const color of customColors) {
-            const dist = colorDistance(pixel, color);
-            // Smaller multiplier means higher priority
-            // Adjusted from 0.4 to 0.7 to avoid false positives from shadow/dark bands
-            const biasedDist = dist * 0.7;
-
-            if (biasedDist < minDist) {
-                minDist = biasedDist;
-                // Map CustomColor to ResistorColor structure
-                closest = { ...color, name: color.name, value: -1 }; // Approximate
-            }
-        }
-    }
+// --- Value Encoding ---
+// 抵抗値 (+ 許容差・温度係数) から、その値を表すカラーバンドの並びを作る。calculateResistorValue の逆変換。
 
-    // Then check standard colors
-    const pixelLab = rgbToLab(pixel.r, pixel.g, pixel.b);
-    const pixelChroma = Math.sqrt(pixelLab.a * pixelLab.a + pixelLab.b * pixelLab.b);
+interface EncodeOptions {
+    tolerancePercent?: number; // 省略時はレイアウトの標準 (3本: 20%, 4本: 5%, 5/6本: 1%)
+    bandCount?: number; // 省略時は値の有効桁数と温度係数から決める
+    tempcoPpm?: number; // 6本のみ
+}
 
-    // Calculate hue angle in Lab color space for better Gold vs Body discrimination
-    const hueAngle = Math.atan2(pixelLab.b, pixelLab.a) * (180 / Math.PI);
+interface EncodedBand {
+    color: string;
+    role: BandRole;
+    value: number;
+    hex: string;
+}
 
-    for (const color of RESISTOR_COLORS) {
-        let dist = colorDistance(pixel, color);
-        const colorLab = rgbToLab(color.r, color.g, color.b);
-        const colorChroma = Math.sqrt(colorLab.a * colorLab.a + colorLab.b * colorLab.b);
+interface EncodedResistance {
+    layout: BandLayout;
+    ohms: number; // バンドが表す値 (有効桁数に丸めた値)
+    exact: boolean; // 要求された値をそのまま表せたか
+    tolerancePercent: number;
+    tempcoPpm?: number;
+    bands: EncodedBand[];
+    colors: string[];
+    display: string;
+}
 
-        // --- IMPROVEMENT: Enhanced Gold vs Body Color Discrimination ---
+const MIN_MULTIPLIER_EXPONENT = -2; // Silver (×0.01)
+const MAX_MULTIPLIER_EXPONENT = 9; // White (×10^9)
 
-        // 1. Chroma-based Penalty for Neutral Colors
-        const isNeutral = ['Black', 'Gray', 'White', 'Silver'].includes(color.name) || color.name.includes('(Body)');
-        if (pixelChroma > 10 && isNeutral) {
-            dist *= (1.0 + (pixelChroma / 50));
-        }
+// 色コードの標準色 (Gold の各シェードや本体色を除く)
+function standardBandColors(): ResistorColor[] {
+    return RESISTOR_COLORS.filter(c => !c.name.includes('_') && !c.name.includes('(Body)'));
+}
 
-        // 2. Gold-specific enhancement with saturation check
-        if (color.name.startsWith('Gold')) {
-            // Gold has high saturation (chroma > 30) and specific hue (60-90 degrees)
-            const isGoldLike = pixelChroma > 30 && hueAngle > 60 && hueAngle < 100;
-            if (isGoldLike) {
-                dist *= 0.55; // Strong preference for Gold when characteristics match
-            } else {
-                dist *= 0.75; // Moderate preference otherwise
-            }
-        } else if (color.name === 'Silver') {
-            dist *= 0.8;
-        }
-
-        // 3. Body colors: penalize if pixel has high saturation (Gold-like)
-        if (color.name.includes('(Body)')) {
-            if (pixelChroma > 35) {
-                // High saturation pixel is unlikely to be Body color
-                dist *= 1.5;
-            } else if (pixelChroma < 15) {
-                // Low saturation is typical for Body colors
-                dist *= 0.85;
-            } else {
-                dist *= 0.95;
-            }
-        }
+// 有効桁数 digitCount に丸めた値を、数字と乗数の指数に分解する。範囲外なら null
+function splitSignificand(ohms: number, digitCount: number): { digits: number[], exponent: number } | null {
+    let exponent = Math.max(Math.floor(Math.log10(ohms)) - (digitCount - 1), MIN_MULTIPLIER_EXPONENT);
+    let significand = Math.round(roundOhms(ohms / Math.pow(10, exponent)));
+    // 丸めで桁が繰り上がった場合 (例: 9.96k を2桁で → 100) は乗数を1つ上げる
+    if (significand >= Math.pow(10, digitCount)) {
+        significand = Math.round(significand / 10);
+        exponent++;
+    }
+    if (significand === 0 || exponent > MAX_MULTIPLIER_EXPONENT) return null;
+    const digits = String(significand).padStart(digitCount, '0').split('').map(Number);
+    return { digits, exponent };
+}
 
-        if (dist <= minDist) {
-            minDist = dist;
-            closest = color;
-        }
+/**
+ * Encodes a resistance as a color band sequence (IEC 60062). Values are rounded to the layout's significant digits;
+ * `exact` tells whether the bands still represent the requested value.
+ * Throws InputError for values or options that no band sequence can express.
+ */
+function encodeResistance(ohms: number, options: EncodeOptions = {}): EncodedResistance {
+    if (!isFinite(ohms) || ohms <= 0) {
+        throw new InputError('Resistance must be a positive number of ohms');
+    }
+    const { tolerancePercent, tempcoPpm } = options;
+    let bandCount = options.bandCount;
+    if (bandCount === undefined) {
+        const twoDigits = splitSignificand(ohms, 2);
+        const needsThreeDigits = !twoDigits || roundOhms(parseInt(twoDigits.digits.join('')) * Math.pow(10, twoDigits.exponent)) !== roundOhms(ohms);
+        bandCount = tempcoPpm !== undefined ? 6 : needsThreeDigits ? 5 : tolerancePercent === 20 ? 3 : 4;
+    }
+    const layout = BAND_LAYOUTS[bandCount];
+    if (!layout) {
+        throw new InputError(`bandCount must be 3, 4, 5 or 6 (got ${bandCount})`);
+    }
+    if (tempcoPpm !== undefined && bandCount !== 6) {
+        throw new InputError('A temperature coefficient needs the 6-band layout');
+    }
+
+    const colors = standardBandColors();
+    const tolerance = tolerancePercent ?? (bandCount === 3 ? 20 : bandCount === 4 ? 5 : 1);
+    if (bandCount === 3 && tolerance !== 20) {
+        throw new InputError('The 3-band layout always means ±20%; use 4 or more bands for other tolerances');
     }
 
-    // Unify different shades of Gold into a single 'Gold'
-    if (closest.name && closest.name.startsWith('Gold')) {
-        const gold = RESISTOR_COLORS.find(c => c.name === 'Gold');
-        if (gold) return gold;
+    const digitCount = layout.roles.filter(r => r === 'digit').length;
+    const split = splitSignificand(ohms, digitCount);
+    if (!split) {
+        throw new InputError(`${ohms}Ω is outside the range a ${layout.layout} code can express`);
     }
 
-    // Unify Dark Violet back to Violet
-    if (closest.name === 'Violet_Dark') {
-        const violet = RESISTOR_COLORS.find(c => c.name === 'Violet');
-        if (violet) return violet;
+    const bands: EncodedBand[] = [];
+    const pick = (role: BandRole, value: number, find: (c: ResistorColor) => boolean, label: string) => {
+        const color = colors.find(find);
+        if (!color) throw new InputError(`No ${role} color for ${label}`);
+        bands.push({ color: color.name, role, value, hex: rgbToHex(color.r, color.g, color.b) });
+    };
+    split.digits.forEach(d => pick('digit', d, c => c.value === d, String(d)));
+    const multiplier = roundOhms(Math.pow(10, split.exponent));
+    pick('multiplier', multiplier, c => c.multiplier === multiplier, `×${multiplier}`);
+    if (bandCount >= 4) pick('tolerance', tolerance, c => c.tolerance === tolerance, `±${tolerance}%`);
+    if (bandCount === 6) {
+        const tempco = tempcoPpm ?? 100;
+        pick('tempco', tempco, c => c.tempco === tempco, `${tempco}ppm/K`);
     }
 
-    return closest;
+    // 表示文字列と値は復号側と同じ計算で求める
+    const decoded = calculateResistorValue(bands.map(b => b.color));
+    if (!decoded.ok) {
+        throw new Error(`Encoded sequence could not be decoded: ${decoded.error.message}`);
+    }
+    return {
+        layout: layout.layout,
+        ohms: decoded.ohms,
+        exact: decoded.ohms === roundOhms(ohms),
+        tolerancePercent: decoded.tolerancePercent,
+        tempcoPpm: decoded.tempcoPpm,
+        bands,
+        colors: bands.map(b => b.color),
+        display: decoded.display
+    };
 }
 
-function calculateResistorValue(bands: string[]): string | null {
-    if (!bands || bands.length < 3) return null;
+// --- Resistor Rendering (SVG) ---
+// バンドの並びからリード付き抵抗器のイラストを描く。検出結果の確認用。
 
-    let colorObjsFull = bands.map(bandName => {
-        return RESISTOR_COLORS.find(c => c.name === bandName) || null;
-    }).filter(obj => obj !== null) as ResistorColor[];
+type RenderBody = 'beige' | 'blue';
 
-    if (colorObjsFull.length < 3) {
-        return "Not enough valid bands";
-    }
+interface RenderOptions {
+    body?: RenderBody; // 省略時は 3/4本: beige (カーボン), 5/6本: blue (金属皮膜)
+    title?: string; // <title> に入れる説明 (例: 抵抗値)
+}
 
-    let resistance = 0;
-    let tolerance = 20; // Default tolerance
-    let digits: ResistorColor[] = [];
-    let multiplierObj: ResistorColor | null = null;
-    let toleranceObj: ResistorColor | null = null;
+const RENDER_WIDTH = 320;
+const RENDER_HEIGHT = 100;
+const RENDER_BODY_COLORS: { [body in RenderBody]: { fill: string, edge: string } } = {
+    beige: { fill: '#D9BE8F', edge: '#A88A5A' },
+    blue: { fill: '#7FB2D9', edge: '#4D7FA6' },
+};
+// 金属色はグラデーションで描く
+const RENDER_METALLIC: { [name: string]: string[] } = {
+    Gold: ['#8B6914', '#FFD95A', '#B8860B'],
+    Silver: ['#7A7A7A', '#F0F0F0', '#9A9A9A'],
+};
 
-    // Determine 3, 4, 5, or 6 band resistor
-    // For simplicity, we will assume 4 or 5 band, where the last band is tolerance and second-to-last is multiplier
-    const lastBand = colorObjsFull[colorObjsFull.length - 1];
+function escapeXml(text: string): string {
+    return text.replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]!));
+}
 
-    // Silver/Gold are usually tolerance/multiplier, never first digit
-    if (lastBand.tolerance !== undefined) {
-        toleranceObj = lastBand;
-        multiplierObj = colorObjsFull[colorObjsFull.length - 2];
-        digits = colorObjsFull.slice(0, colorObjsFull.length - 2);
-    } else {
-        // Assume 3-band code
-        multiplierObj = colorObjsFull[colorObjsFull.length - 1];
-        digits = colorObjsFull.slice(0, colorObjsFull.length - 1);
+// バンドの中心 x 座標。許容差 (と温度係数) は本体の反対端に寄せ、間に広い隙間 (間隔の1.8倍) を空ける。
+// 3本の抵抗器は許容差バンドの位置が空いているものとして描く
+function bandPositions(roles: (BandRole | null)[], bodyStart: number, bodyEnd: number): number[] {
+    const margin = (bodyEnd - bodyStart) * 0.14;
+    const first = bodyStart + margin;
+    const last = bodyEnd - margin;
+    if (roles.some(r => r === null)) {
+        const step = roles.length > 1 ? (last - first) / (roles.length - 1) : 0;
+        return roles.map((_, i) => roles.length > 1 ? first + step * i : (first + last) / 2);
     }
+    const leading = roles.filter(r => r === 'digit' || r === 'multiplier').length;
+    const trailing = Math.max(1, roles.length - leading);
+    const step = (last - first) / (leading + trailing - 0.2);
+    return roles.map((_, i) => i < leading ? first + step * i : last - step * (roles.length - 1 - i));
+}
 
-    if (digits.length === 0 || digits.some(d => d.value === undefined) || !multiplierObj || multiplierObj.multiplier === undefined) {
-        // Fallback for 3-band or misidentified sequences
-        return "Invalid band sequence";
-    }
+/**
+ * Draws a through-hole resistor with the given bands (left to right, in reading order) as an SVG document.
+ * Band names may be any detected color name; shades such as Gold_Light are drawn as their base color.
+ */
+function renderResistorSvg(colorNames: string[], options: RenderOptions = {}): string {
+    const names = colorNames.map(canonicalColorName);
+    const colors = names.map(name => {
+        const color = standardBandColors().find(c => c.name === name);
+        if (!color) throw new InputError(`Unknown band color: ${name}`);
+        return color;
+    });
+    const layout = BAND_LAYOUTS[colors.length];
+    const roles: (BandRole | null)[] = layout ? layout.roles : colors.map(() => null);
+    const body = RENDER_BODY_COLORS[options.body ?? (colors.length >= 5 ? 'blue' : 'beige')];
+
+    const cy = RENDER_HEIGHT / 2;
+    const bodyStart = 60, bodyEnd = RENDER_WIDTH - 60;
+    const capWidth = 34, capHalf = 24, neckHalf = 18;
+    // 両端がふくらんだ本体の輪郭
+    const bodyPath = [
+        `M ${bodyStart} ${cy}`,
+        `C ${bodyStart} ${cy - capHalf - 4}, ${bodyStart + capWidth} ${cy - capHalf - 4}, ${bodyStart + capWidth} ${cy - neckHalf}`,
+        `L ${bodyEnd - capWidth} ${cy - neckHalf}`,
+        `C ${bodyEnd - capWidth} ${cy - capHalf - 4}, ${bodyEnd} ${cy - capHalf - 4}, ${bodyEnd} ${cy}`,
+        `C ${bodyEnd} ${cy + capHalf + 4}, ${bodyEnd - capWidth} ${cy + capHalf + 4}, ${bodyEnd - capWidth} ${cy + neckHalf}`,
+        `L ${bodyStart + capWidth} ${cy + neckHalf}`,
+        `C ${bodyStart + capWidth} ${cy + capHalf + 4}, ${bodyStart} ${cy + capHalf + 4}, ${bodyStart} ${cy}`,
+        'Z'
+    ].join(' ');
+
+    const bandWidth = Math.min(12, (bodyEnd - bodyStart) / (colors.length * 2 + 2));
+    const positions = bandPositions(roles, bodyStart, bodyEnd);
+    const gradients: string[] = [];
+    const bands = colors.map((color, i) => {
+        let fill = rgbToHex(color.r, color.g, color.b);
+        const metallic = RENDER_METALLIC[color.name];
+        if (metallic) {
+            const id = `metal-${i}`;
+            gradients.push(`<linearGradient id="${id}" x1="0" y1="0" x2="0" y2="1">`
+                + metallic.map((stop, k) => `<stop offset="${k / (metallic.length - 1)}" stop-color="${stop}"/>`).join('')
+                + '</linearGradient>');
+            fill = `url(#${id})`;
+        }
+        const x = Math.round((positions[i] - bandWidth / 2) * 10) / 10;
+        const role = roles[i] ? ` data-role="${roles[i]}"` : '';
+        return `<rect x="${x}" y="0" width="${Math.round(bandWidth * 10) / 10}" height="${RENDER_HEIGHT}" fill="${fill}" data-color="${color.name}"${role}/>`;
+    });
 
-    const digitValue = parseInt(digits.map(d => d.value).join(''));
-    resistance = digitValue * multiplierObj.multiplier;
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${RENDER_WIDTH} ${RENDER_HEIGHT}" width="${RENDER_WIDTH}" height="${RENDER_HEIGHT}">`,
+        options.title ? `<title>${escapeXml(options.title)}</title>` : '',
+        '<defs>',
+        `<clipPath id="body-clip"><path d="${bodyPath}"/></clipPath>`,
+        '<linearGradient id="shade" x1="0" y1="0" x2="0" y2="1">'
+        + '<stop offset="0" stop-color="#FFFFFF" stop-opacity="0.45"/>'
+        + '<stop offset="0.35" stop-color="#FFFFFF" stop-opacity="0"/>'
+        + '<stop offset="1" stop-color="#000000" stop-opacity="0.3"/>'
+        + '</linearGradient>',
+        ...gradients,
+        '</defs>',
+        `<line x1="0" y1="${cy}" x2="${RENDER_WIDTH}" y2="${cy}" stroke="#A8A8A8" stroke-width="4" stroke-linecap="round"/>`,
+        `<path d="${bodyPath}" fill="${body.fill}"/>`,
+        `<g clip-path="url(#body-clip)">`,
+        ...bands,
+        `<rect x="0" y="0" width="${RENDER_WIDTH}" height="${RENDER_HEIGHT}" fill="url(#shade)"/>`,
+        '</g>',
+        `<path d="${bodyPath}" fill="none" stroke="${body.edge}" stroke-width="1.5"/>`,
+        '</svg>'
+    ].join('');
+}
 
-    if (toleranceObj && toleranceObj.tolerance) {
-        tolerance = toleranceObj.tolerance;
-    }
+async function handleLearnFromValue(request: Request, env: Env): Promise<Response> {
+    try {
+        const { detectedBands, correctValue, correctTolerance, profile: profileField } = await request.json() as any;
 
-    return formatResistance(resistance) + ` ±${tolerance}%`;
-}
+        if (!detectedBands || !Array.isArray(detectedBands) || !correctValue) {
+            return new Response(JSON.stringify({ error: 'Invalid input data.' }), { status: 400 });
+        }
+        const profile = await resolveProfile(env, profileField);
 
+        const parsed = parseResistance(correctValue);
+        if (parsed === null) return new Response(JSON.stringify({ error: 'Invalid resistance value format.' }), { status: 400 });
 
-function formatResistance(ohms: number): string {
-    if (ohms >= 1000000) return (ohms / 1000000).toFixed(1).replace(/\.0$/, '') + 'MΩ';
-    if (ohms >= 1000) return (ohms / 1000).toFixed(1).replace(/\.0$/, '') + 'kΩ';
-    return ohms + 'Ω';
-}
+        // Body (本体色) のセグメントとRGBを持たないバンドは対象外
+        const bands = detectedBands.filter((b: any) => {
+            if (!b || !b.rgb) return false;
+            const name = String(b.colorName || '').toLowerCase();
+            return !b.isBody && !name.includes('body') && !name.includes('beige') && !name.includes('tan');
+        });
+        if (bands.length === 0) {
+            return new Response(JSON.stringify({ error: 'No detected bands with RGB samples to learn from.' }), { status: 400 });
+        }
 
-function rgbToHex(r: number, g: number, b: number): string {
-    return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
-}
+        // 値に許容差が書かれていれば ("4.7k 1%", "4K7F") 選択された許容差より優先する
+        const tolerance = parsed.tolerancePercent !== undefined ? String(parsed.tolerancePercent) : correctTolerance;
+        // 写っている本数で並びを作る (5バンドの 10k を 4バンドの並びと対応付けない)
+        const correctColorSequence = resistanceToColors(parsed.ohms, tolerance, bands.length);
+        if (correctColorSequence.length === 0) return new Response(JSON.stringify({ error: 'Could not determine sequence.' }), { status: 400 });
 
+        const alignment = alignBands(bands.map((b: any) => b.rgb), correctColorSequence);
 
-function rgbToLab(r: number, g: number, b: number): { l: number, a: number, b: number } {
-    r /= 255, g /= 255, b /= 255;
-    r = r > 0.04045 ? Math.pow((r + 0.055) / 1.055, 2.4) : r / 12.92;
-    g = g > 0.04045 ? Math.pow((g + 0.055) / 1.055, 2.4) : g / 12.92;
-    b = b > 0.04045 ? Math.pow((b + 0.055) / 1.055, 2.4) : b / 12.92;
-    let x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) * 100;
-    let y = (r * 0.2126729 + g * 0.7151522 + b * 0.0721750) * 100;
-    let z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) * 100;
-    x /= 95.047, y /= 100, z /= 108.883;
-    x = x > 0.008856 ? Math.pow(x, 1 / 3) : (7.787 * x) + 16 / 116;
-    y = y > 0.008856 ? Math.pow(y, 1 / 3) : (7.787 * y) + 16 / 116;
-    z = z > 0.008856 ? Math.pow(z, 1 / 3) : (7.787 * z) + 16 / 116;
-    return { l: (116 * y) - 16, a: 500 * (x - y), b: 200 * (y - z) };
-}
+        const learned = alignment.pairs.map(pair => {
+            const band = bands[pair.detectedIndex];
+            const correctColor = correctColorSequence[pair.expectedIndex];
+            return {
+                bandIndex: pair.detectedIndex,
+                position: pair.expectedIndex,
+                detectedColor: band.colorName,
+                correctColor: correctColor,
+                rgb: { r: Math.round(band.rgb.r), g: Math.round(band.rgb.g), b: Math.round(band.rgb.b) },
+                distance: pair.distance,
+                relabelled: band.colorName !== correctColor,
+            };
+        });
 
-function colorDistance(c1: { r: number, g: number, b: number }, c2: { r: number, g: number, b: number }): number {
-    const lab1 = rgbToLab(c1.r, c1.g, c1.b);
-    const lab2 = rgbToLab(c2.r, c2.g, c2.b);
-    return Math.sqrt(Math.pow(lab1.l - lab2.l, 2) + Math.pow(lab1.a - lab2.a, 2) + Math.pow(lab1.b - lab2.b, 2));
-}
+        const persisted = await saveCustomColors(env, learned.map(l => ({ name: l.correctColor, ...l.rgb })), '/api/learn-from-value', 'handleLearnFromValue', profile);
 
-function averageColor(colors: Pixel[]): Pixel {
-    if (colors.length === 0) return { r: 0, g: 0, b: 0 };
-    const sum = colors.reduce((acc, c) => ({ r: acc.r + c.r, g: acc.g + c.g, b: acc.b + c.b }), { r: 0, g: 0, b: 0 });
-    return { r: Math.round(sum.r / colors.length), g: Math.round(sum.g / colors.length), b: Math.round(sum.b / colors.length) };
-}
+        const unaligned = {
+            detected: alignment.unmatchedDetected.map(i => ({ bandIndex: i, colorName: bands[i].colorName, rgb: bands[i].rgb })),
+            expected: alignment.unmatchedExpected.map(i => ({ position: i, color: correctColorSequence[i] })),
+        };
+        const countMismatch = bands.length !== correctColorSequence.length;
+        const relabelled = learned.filter(l => l.relabelled);
+        const unalignedCount = unaligned.detected.length + unaligned.expected.length;
 
-function extractBands(pixels: Pixel[], width: number, height: number, colorChangeThreshold: number, orientation: "horizontal" | "vertical", customColors: CustomColor[] = []): any[] {
-    if (pixels.length === 0 || width === 0 || height === 0) return [];
+        return new Response(JSON.stringify({
+            success: true,
+            message: `Learned ${learned.length} band(s), ${relabelled.length} relabelled`
+                + (countMismatch ? `; band count mismatch (detected ${bands.length}, expected ${correctColorSequence.length})` : '')
+                + (unalignedCount > 0 ? `; ${unalignedCount} band(s) could not be aligned` : ''),
+            correctColorSequence: correctColorSequence,
+            direction: alignment.direction,
+            learned: learned,
+            relabelled: relabelled,
+            unaligned: unaligned,
+            persisted: persisted,
+            profile: profile,
+        }), { headers: { 'Content-Type': 'application/json' } });
 
-    let mainDim: number; // 走査する軸の長さ (水平ならwidth, 垂直ならheight)
-    let crossDim: number; // 平均化する軸の長さ (水平ならheight, 垂直ならwidth)
+    } catch (e: any) {
+        return new Response(JSON.stringify({ error: e.message }), { status: e instanceof InputError ? 400 : 500 });
+    }
+}
 
-    // ピクセルインデックス取得ヘルパー
-    const getPixel = (mainIdx: number, crossIdx: number): Pixel | undefined => {
-        if (orientation === "horizontal") {
-            // 水平の場合: x = mainIdx, y = crossIdx
-            const idx = crossIdx * width + mainIdx;
-            return pixels[idx];
-        } else {
-            // 垂直の場合: x = crossIdx, y = mainIdx
-            const idx = mainIdx * width + crossIdx;
-            return pixels[idx];
+interface ParsedResistance {
+    ohms: number;
+    tolerancePercent?: number; // 値に許容差が付いていた場合 ("4.7k 5%", "4K7J")
+}
+
+// SI 接頭辞 (と RKM コードの小数点文字) の倍率。m (ミリ) と M (メガ) は大文字小文字で区別する
+const RESISTANCE_PREFIXES: { [prefix: string]: number } = {
+    m: 1e-3, R: 1, r: 1, k: 1e3, K: 1e3, M: 1e6, MEG: 1e6, Meg: 1e6, meg: 1e6, G: 1e9, g: 1e9,
+};
+// IEC 60062 の許容差記号 (値の末尾、例: 4K7J, 47kF, 100RJ)
+const TOLERANCE_LETTERS: { [letter: string]: number } = {
+    B: 0.1, C: 0.25, D: 0.5, F: 1, G: 2, J: 5, K: 10, M: 20,
+};
+const PREFIX_PATTERN = 'MEG|Meg|meg|[mRrkKMGg]';
+// 接頭辞のあとの1文字は許容差記号 ("10K" は 10kΩ、"10KK" は 10kΩ ±10%)
+const PLAIN_RESISTANCE = new RegExp(`^(\\d+(?:\\.\\d*)?|\\.\\d+)(?:[eE]([+-]?\\d+))?(${PREFIX_PATTERN})?([BCDFGJKM])?$`);
+const RKM_RESISTANCE = new RegExp(`^(\\d*)(${PREFIX_PATTERN})(\\d+)([BCDFGJKM])?$`);
+
+/**
+ * Parses a resistance as written in BOMs and on parts: "4.7k", "4.7 kΩ", "4K7", "R47", "2M2", "100 ohm", "1G",
+ * "470mΩ" (milli; "M" is mega), "4.7e3", optionally followed by a tolerance ("10k ±1%", "4K7J", "47kF", "100RJ").
+ * Returns null when the text is not a resistance.
+ */
+function parseResistance(valueStr: string): ParsedResistance | null {
+    if (valueStr === undefined || valueStr === null) return null;
+    // 全角数字・全角記号と Ω (U+2126) を NFKC で揃え、空白と桁区切りのカンマを除く
+    let str = String(valueStr).normalize('NFKC').replace(/\s+/g, '').replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+
+    let tolerancePercent: number | undefined;
+    const tolerance = str.match(/(?:±|\+\/-|\+-)?(\d+(?:\.\d+)?|\.\d+)%$/);
+    if (tolerance) {
+        tolerancePercent = parseFloat(tolerance[1]);
+        str = str.slice(0, tolerance.index);
+    }
+    str = str.replace(/(?:ohms?|Ω)$/i, '');
+    if (str === '') return null;
+
+    const plain = str.match(PLAIN_RESISTANCE);
+    if (plain) {
+        const [, number, exponent, prefix, letter] = plain;
+        if (letter) {
+            if (tolerancePercent !== undefined) return null;
+            tolerancePercent = TOLERANCE_LETTERS[letter];
         }
-    };
+        const ohms = parseFloat(number) * Math.pow(10, exponent ? parseInt(exponent) : 0) * (prefix ? RESISTANCE_PREFIXES[prefix] : 1);
+        return isFinite(ohms) ? { ohms: roundOhms(ohms), tolerancePercent } : null;
+    }
 
-    if (orientation === "horizontal") {
-        mainDim = width;
-        crossDim = height;
-    } else { // vertical
-        mainDim = height;
-        crossDim = width;
-    }
-
-    const averagedLine: Pixel[] = [];
-    // 抵抗器のバンド部分をスキャンする範囲 (crossDimの25%から75%)
-    const crossAxisStart = Math.floor(crossDim * 0.25);
-    const crossAxisEnd = Math.floor(crossDim * 0.75);
-
-    for (let mainIdx = 0; mainIdx < mainDim; mainIdx++) {
-        let sumR = 0, sumG = 0, sumB = 0;
-        let count = 0;
-        for (let crossIdx = crossAxisStart; crossIdx < crossAxisEnd; crossIdx++) {
-            const p = getPixel(mainIdx, crossIdx);
-            if (p) {
-                sumR += p.r;
-                sumG += p.g;
-                sumB += p.b;
-                count++;
-            }
+    // RKM コード: 接頭辞の文字が小数点を兼ねる (4K7 = 4.7k, R47 = 0.47)
+    const rkm = str.match(RKM_RESISTANCE);
+    if (rkm) {
+        const [, whole, prefix, fraction, letter] = rkm;
+        if (letter) {
+            if (tolerancePercent !== undefined) return null;
+            tolerancePercent = TOLERANCE_LETTERS[letter];
         }
-        if (count > 0) {
-            // mainIdxが水平の場合はx、垂直の場合はyに相当
-            averagedLine.push({
-                r: Math.round(sumR / count),
-                g: Math.round(sumG / count),
-                b: Math.round(sumB / count),
-                x: mainIdx // ここでは便宜的にxを使うが、垂直の場合はy軸の位置を示す
-            });
-        } else {
-            averagedLine.push({ r: 0, g: 0, b: 0, x: mainIdx });
+        const ohms = parseFloat(`${whole || '0'}.${fraction}`) * RESISTANCE_PREFIXES[prefix];
+        return { ohms: roundOhms(ohms), tolerancePercent };
+    }
+    return null;
+}
+
+// 学習用の正解の並び。許容差の指定がなければ従来どおり3本 (±20%) として扱う
+// bandCount の本数でそのまま表せなければ (許容差がその本数にない、丸めが必要など) 値から本数を推定する
+function resistanceToColors(ohms: number, tolerance: string | null = null, bandCount?: number): string[] {
+    const tolerancePercent = tolerance ? parseFloat(tolerance) : NaN;
+    if (bandCount !== undefined) {
+        try {
+            // 許容差の指定がなければその本数の既定値 (4バンドは ±5%、5/6バンドは ±1%)
+            const encoded = encodeResistance(ohms, { bandCount, tolerancePercent: isNaN(tolerancePercent) ? undefined : tolerancePercent });
+            if (encoded.exact) return encoded.colors;
+        } catch (e) {
+            if (!(e instanceof InputError)) throw e;
         }
     }
+    try {
+        return encodeResistance(ohms, { tolerancePercent: isNaN(tolerancePercent) ? 20 : tolerancePercent }).colors;
+    } catch (e) {
+        if (e instanceof InputError) return [];
+        throw e;
+    }
+}
 
-    const segments: { start_main_idx: number, end_main_idx: number, pixels: Pixel[] }[] = [];
-    if (averagedLine.length === 0) return [];
+// 数値フィールド ("5%", "±5", "100ppm" のような単位付きの文字列も可)。空なら undefined
+function readNumberField(value: any, field: string): number | undefined {
+    if (value === undefined || value === null || value === '') return undefined;
+    const n = typeof value === 'number' ? value : parseFloat(String(value).trim().replace(/^±/, ''));
+    if (!isFinite(n)) throw new InputError(`${field} must be a number`);
+    return n;
+}
 
-    let currentSegment = {
-        start_main_idx: (averagedLine[0].x || 0), // averagedLine[i].x は mainIdx を示す
-        end_main_idx: (averagedLine[0].x || 0),
-        pixels: [averagedLine[0]]
-    };
-    for (let i = 1; i < averagedLine.length; i++) {
-        const prevColor = averagedLine[i - 1];
-        const currentColor = averagedLine[i];
-
-        if (colorDistance(prevColor, currentColor) > colorChangeThreshold) {
-            segments.push(currentSegment);
-            currentSegment = {
-                start_main_idx: (currentColor.x || 0),
-                end_main_idx: (currentColor.x || 0),
-                pixels: [currentColor]
-            };
-        } else {
-            currentSegment.end_main_idx = (currentColor.x || 0);
-            currentSegment.pixels.push(currentColor);
-        }
-    }
-    segments.push(currentSegment);
-
-    const finalBands: any[] = [];
-    const minBandWidth = 3;
-
-    // 全セグメントの幅の統計を先に取る（後のフィルタリング用）
-    const allWidths = segments.map(s => s.end_main_idx - s.start_main_idx + 1).filter(w => w >= minBandWidth);
-    const medianWidth = allWidths.length > 0 ? allWidths.sort((a, b) => a - b)[Math.floor(allWidths.length / 2)] : 10;
-
-    segments.forEach((seg, index) => {
-        const avgColor = averageColor(seg.pixels);
-        const lab = rgbToLab(avgColor.r, avgColor.g, avgColor.b);
-        const l = lab.l;
-        const segWidth = seg.end_main_idx - seg.start_main_idx + 1;
-
-        if (segWidth < minBandWidth) return;
-
-        // 【改善ポイント1】まず色を判定する (除外する前に判断する)
-        let resistorColor = findClosestColor(avgColor, customColors);
-
-        const isAtEdge = (index === 0 || index >= segments.length - 2);
-
-        // Doc.txtに基づくSilver/Gold検出の強化: Role(位置) + Physicalによる判定
-        const isLowChroma = Math.abs(lab.a) < 3 && Math.abs(lab.b) < 3;
-        const isCandidateSilver =
-            isLowChroma &&
-            l > 60 && l < 95 &&
-            segWidth < medianWidth * 1.5 &&
-            isAtEdge;
-
-        // Gold Candidate: 強化された判定ロジック
-        // 1. 色相: 黄色系 (Lab b > 20)
-        // 2. 彩度: 高彩度 (chroma > 30) - Body色との区別
-        // 3. 位置: 端にある
-        // 4. 幅: 細い (tolerance band)
-        const chroma = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
-        const isWarm = lab.a > -5 && lab.b > 20;
-        const isHighSaturation = chroma > 30; // Body色は通常 chroma < 25
-        const isCandidateGold =
-            isWarm &&
-            isHighSaturation &&
-            l > 25 && l < 90 &&
-            segWidth < medianWidth * 1.2 && // Goldは通常細い
-            isAtEdge;
-
-        if (isCandidateSilver) {
-            const silverColor = RESISTOR_COLORS.find(c => c.name === 'Silver');
-            if (silverColor) resistorColor = silverColor;
-        } else if (isCandidateGold) {
-            // 黄色やオレンジと迷いやすいGoldを、位置情報から積極的に採用する
-            const goldColor = RESISTOR_COLORS.find(c => c.name === 'Gold');
-            if (goldColor) resistorColor = goldColor;
-        }
-
-        // Additional check: If detected as Body color but has Gold-like characteristics, reconsider
-        if (resistorColor.name.includes('(Body)') && isAtEdge) {
-            const bodyChroma = Math.sqrt(lab.a * lab.a + lab.b * lab.b);
-            // If Body color at edge has high saturation and warm tone, likely Gold
-            if (bodyChroma > 30 && lab.b > 25 && segWidth < medianWidth * 1.2) {
-                const goldColor = RESISTOR_COLORS.find(c => c.name === 'Gold');
-                if (goldColor) resistorColor = goldColor;
-            }
+// 抵抗値フィールド (数値ならオーム、文字列なら parseResistance の書式)
+function readResistanceField(value: any): ParsedResistance {
+    if (typeof value === 'number') {
+        return { ohms: value };
+    }
+    const parsed = parseResistance(String(value));
+    if (parsed === null) throw new InputError('Invalid resistance value format.');
+    return parsed;
+}
+
+/**
+ * Value-to-bands lookup: GET /api/encode?value=4.7k&tolerance=5 or POST {value, tolerance, bandCount, tempco}.
+ * Returns the color sequence with a hex swatch for each band.
+ */
+async function handleEncode(request: Request): Promise<Response> {
+    try {
+        const input: any = request.method === 'POST' ? await request.json() : readQueryFields(request);
+        if (input.value === undefined || input.value === '') {
+            return jsonResponse({ error: 'value is required' }, 400);
         }
+        const { ohms, tolerancePercent } = readResistanceField(input.value);
+        const encoded = encodeResistance(ohms, {
+            tolerancePercent: readNumberField(input.tolerance, 'tolerance') ?? tolerancePercent,
+            bandCount: readNumberField(input.bandCount, 'bandCount'),
+            tempcoPpm: readNumberField(input.tempco, 'tempco'),
+        });
+        return jsonResponse({ success: true, requestedOhms: ohms, ...encoded });
+    } catch (e: any) {
+        return jsonResponse({ error: e.message }, e instanceof InputError ? 400 : 500);
+    }
+}
 
-        const isMetallic = resistorColor.name.startsWith('Gold') || resistorColor.name === 'Silver';
 
-        // 【改善ポイント2】輝度制限の動的緩和
-        // 金属色（金色・銀色）の可能性がある場合は、白飛び(L>99)や影(L<5)を許容する
-        if (!isMetallic && (l < 5 || l > 99)) return;
+// 描画するバンドの並び: colors (配列または "Brown,Black,Red")、検出結果 (result)、または抵抗値 (value) から
+function readRenderColors(input: any): string[] {
+    if (input.colors !== undefined) {
+        const colors = Array.isArray(input.colors) ? input.colors : String(input.colors).split(',');
+        return colors.map((c: any) => String(c).trim()).filter((c: string) => c !== '');
+    }
+    if (input.result && typeof input.result === 'object') {
+        // 複数検出の結果なら resistorIndex 番目 (既定は先頭) の抵抗器を描く
+        const result = Array.isArray(input.result.resistors) ? input.result.resistors[input.resistorIndex ?? 0] : input.result;
+        if (!result) throw new InputError('resistorIndex is out of range');
+        // 読み取り方向が判定済みならその順に並べる
+        const names = result.reading?.bands ?? result.detected_bands;
+        if (!Array.isArray(names)) throw new InputError('result has no detected bands');
+        return names.filter((name: string) => !String(name).includes('(Body)'));
+    }
+    if (input.value !== undefined && input.value !== '') {
+        const { ohms, tolerancePercent } = readResistanceField(input.value);
+        return encodeResistance(ohms, {
+            tolerancePercent: readNumberField(input.tolerance, 'tolerance') ?? tolerancePercent,
+            bandCount: readNumberField(input.bandCount, 'bandCount'),
+            tempcoPpm: readNumberField(input.tempco, 'tempco'),
+        }).colors;
+    }
+    throw new InputError('One of colors, result or value is required');
+}
 
-        // 【改善ポイント3】端のバンドに対する幅制限の緩和
-        // 4バンド目の金色は、画像端で広く認識されやすいため、
-        // 配列の最初や最後付近のセグメントは、2.5倍ルールから除外する
-        if (!isAtEdge && segWidth > medianWidth * 2.5) {
-            // 中央付近で異常に太い場合は、依然として本体色(Body)の可能性が高い
-            if (resistorColor.name.includes('Body')) return;
+/**
+ * SVG illustration of a resistor: GET /api/render?colors=Brown,Black,Red,Gold or POST {colors | result | value}.
+ * Options: body ('beige' | 'blue') and bandCount (checked against the colors, or used to encode `value`).
+ */
+async function handleRender(request: Request): Promise<Response> {
+    try {
+        const input: any = request.method === 'POST' ? await request.json() : readQueryFields(request);
+        const colors = readRenderColors(input).map(canonicalColorName);
+        if (colors.length === 0) {
+            throw new InputError('No bands to draw');
         }
-
-        // finalBandsに格納する座標は、orientationに応じてmainAxisCenterとなる
-        finalBands.push({
-            x: orientation === "horizontal" ? Math.round((seg.start_main_idx + seg.end_main_idx) / 2) : Math.round(crossDim / 2), // 水平ならmainAxisCenter、垂直ならcrossDimの中心
-            y: orientation === "vertical" ? Math.round((seg.start_main_idx + seg.end_main_idx) / 2) : Math.round(crossDim / 2), // 垂直ならmainAxisCenter、水平ならcrossDimの中心
-            mainAxisCenter: Math.round((seg.start_main_idx + seg.end_main_idx) / 2), // 汎用的な中心座標
-            colorName: resistorColor.name,
-            rgb: avgColor,
-            l: l,
-            width: segWidth, // mainAxis方向の幅
-            chroma: chroma,
+        const bandCount = readNumberField(input.bandCount, 'bandCount');
+        if (bandCount !== undefined && input.value === undefined && bandCount !== colors.length) {
+            throw new InputError(`bandCount is ${bandCount} but ${colors.length} colors were given`);
+        }
+        // "toString" などの継承したキーを受け付けないように自身のキーだけを見る
+        if (input.body !== undefined && (typeof input.body !== 'string' || !Object.prototype.hasOwnProperty.call(RENDER_BODY_COLORS, input.body))) {
+            throw new InputError(`body must be one of: ${Object.keys(RENDER_BODY_COLORS).join(', ')}`);
+        }
+        const resistance = calculateResistorValue(colors);
+        const svg = renderResistorSvg(colors, {
+            body: input.body,
+            title: resistance.ok ? resistance.display : colors.join(' '),
         });
-    });
-
-    // ソートもorientationに応じて
-    return finalBands.sort((a, b) => a.mainAxisCenter - b.mainAxisCenter);
+        return new Response(svg, { headers: { 'Content-Type': 'image/svg+xml' } });
+    } catch (e: any) {
+        return jsonResponse({ error: e.message }, e instanceof InputError ? 400 : 500);
+    }
 }
 
 
-async function handleLearnFromValue(request: Request, env: Env): Promise<Response> {
+/**
+ * Locates the resistor body (leads and background trimmed) and returns a box around it plus its angle.
+ * `padding` widens the box by that fraction of the body length/thickness on each side (default 0.05).
+ * When several parts are visible the dominant one is returned; `others` tells how many were skipped.
+ */
+async function handleLocate(request: Request, env: Env): Promise<Response> {
     try {
-        const { detectedBands, correctValue, correctTolerance } = await request.json() as any;
-
-        if (!detectedBands || !Array.isArray(detectedBands) || !correctValue) {
-            return new Response(JSON.stringify({ error: 'Invalid input data.' }), { status: 400 });
+        const input = await readAnalysisRequest(request);
+        const { image, crop } = input;
+        if (!image) {
+            return new Response('Invalid data', { status: 400 });
+        }
+        const padding: number = input.padding ?? 0.05;
+        if (typeof padding !== 'number' || padding < 0 || padding > 1) {
+            throw new InputError('padding must be a number between 0 and 1');
         }
 
-        const ohms = parseResistance(correctValue);
-        if (ohms === null) return new Response(JSON.stringify({ error: 'Invalid resistance value format.' }), { status: 400 });
-
-        const correctColorSequence = resistanceToColors(ohms, correctTolerance);
-        if (correctColorSequence.length === 0) return new Response(JSON.stringify({ error: 'Could not determine sequence.' }), { status: 400 });
+        const search = findResistorRegions(image);
+        const regions = search.regions;
+        const dominant = dominantRegion(search);
+        if (!dominant) {
+            return jsonResponse({
+                success: true,
+                found: false,
+                message: regions.length > 1
+                    ? `No single dominant resistor (${regions.length} candidates); use mode=multi on /api/detect-edges`
+                    : 'Could not separate a resistor from the background',
+                candidates: regions.map(r => r.boundingBox),
+                crop: crop
+            });
+        }
 
-        // Learning logic would go here, involving saving to KV
-        return new Response(JSON.stringify({
+        const { axis } = dominant;
+        const tilt = Math.abs(axis.angle);
+        return jsonResponse({
             success: true,
-            message: "Value parsed, correct sequence determined.",
-            correctColorSequence: correctColorSequence,
-            yourDetectedBands: detectedBands,
-        }), { headers: { 'Content-Type': 'application/json' } });
-
+            found: true,
+            boundingBox: axisBoundingBox(axis, image, padding),
+            angle: axis.angle,
+            orientation: tilt <= AXIS_ALIGNED_TOLERANCE ? "horizontal" : tilt >= 90 - AXIS_ALIGNED_TOLERANCE ? "vertical" : "diagonal",
+            axis: axis,
+            others: regions.length - 1,
+            crop: crop
+        });
     } catch (e: any) {
-        return new Response(JSON.stringify({ error: e.message }), { status: 500 });
+        console.error(`[handleLocate] Error: ${e.message}`);
+        return jsonResponse({ error: e.message }, e instanceof InputError ? 400 : 500);
     }
 }
 
-function parseResistance(valueStr: string): number | null {
-    if (!valueStr) return null;
-    const str = String(valueStr).trim().toUpperCase();
-    let multiplier = 1;
-    let numericPart = str;
+// --- Batch Analysis ---
+// 複数の写真 (または zip) をまとめて locate → detect し、ファイルごとの読み取り結果を JSON か CSV の表で返す。
 
-    if (str.endsWith('K')) { multiplier = 1000; numericPart = str.slice(0, -1); }
-    else if (str.endsWith('M')) { multiplier = 1000000; numericPart = str.slice(0, -1); }
+const MAX_BATCH_FILES = 50;
+// threshold=auto は1枚ごとに THRESHOLD_CANDIDATES の全閾値で読み取る (13倍の CPU) ので枚数を絞る
+const MAX_BATCH_FILES_AUTO_THRESHOLD = 10;
+const BATCH_DEFAULT_THRESHOLD = 1; // 省略時は UI のスライダーの既定値と同じ固定の閾値
+const BATCH_LOCATE_PADDING = 0.05; // /api/locate の既定値と同じ
+const BATCH_LOW_CONFIDENCE = 0.5;
+const BATCH_AMBIGUOUS_DIRECTION = 0.6;
+const BATCH_IMAGE_NAME = /\.(png|jpe?g)$/i;
+const MAX_ZIP_ENTRY_BYTES = 20 * 1024 * 1024; // zip の中の1ファイルを展開したサイズの上限 (deflate bomb 対策)
 
-    const value = parseFloat(numericPart);
-    return isNaN(value) ? null : value * multiplier;
+interface BatchFile {
+    name: string;
+    type: string; // 空なら内容から判定する
+    read: () => Promise<Uint8Array>; // zip の中身は解析する直前に展開する
 }
 
-function resistanceToColors(ohms: number, tolerance: string | null = null): string[] {
-    if (ohms < 0.1) return [];
-
-    const colorMap = [
-        { name: 'Black', value: 0 }, { name: 'Brown', value: 1 }, { name: 'Red', value: 2 },
-        { name: 'Orange', value: 3 }, { name: 'Yellow', value: 4 }, { name: 'Green', value: 5 },
-        { name: 'Blue', value: 6 }, { name: 'Violet', value: 7 }, { name: 'Gray', value: 8 },
-        { name: 'White', value: 9 }
-    ];
-
-    const toleranceMap: { [key: string]: string } = {
-        '1': 'Brown', '2': 'Red', '0.5': 'Green', '0.25': 'Blue',
-        '0.1': 'Violet', '5': 'Gold', '10': 'Silver', '20': 'None'
-    };
+interface BatchResult {
+    file: string;
+    ok: boolean;
+    value: string | null;
+    ohms?: number;
+    tolerancePercent?: number;
+    bands: string[];
+    confidence: number;
+    orientation?: SamplingOrientation;
+    angle?: number;
+    boundingBox?: CropRect; // 抵抗器を見つけた範囲 (見つからなければ画像全体を解析する)
+    threshold?: number; // 使った colorChangeThreshold (自動選択の場合は選ばれた値)
+    qualityScore?: number; // assessImageQuality の score
+    warnings: string[];
+    error?: string;
+}
 
-    const exponent = Math.floor(Math.log10(ohms));
-    let firstTwoDigits = Math.round(ohms / Math.pow(10, exponent - 1));
+// ファイル名や Content-Type が当てにならない (zip の中身、type の空なアップロード) ので先頭のシグネチャで判定する
+function sniffImageType(bytes: Uint8Array): string {
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) return 'image/png';
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+    return '';
+}
 
-    // Handle cases where rounding goes to 100
-    if (firstTwoDigits === 100) {
-        firstTwoDigits = 10;
-        // multiplier will shift accordingly
+// 展開後のサイズが maxBytes を超えた時点で読むのをやめる (ヘッダのサイズは偽装できるので当てにしない)
+async function inflateRaw(data: Uint8Array, maxBytes: number): Promise<Uint8Array> {
+    const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks: Uint8Array[] = [];
+    let total = 0;
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        total += value.byteLength;
+        if (total > maxBytes) {
+            await reader.cancel();
+            throw new InputError(`Entry is larger than ${maxBytes / (1024 * 1024)} MB when uncompressed`);
+        }
+        chunks.push(value);
     }
-
-    const firstDigit = Math.floor(firstTwoDigits / 10);
-    const secondDigit = firstTwoDigits % 10;
-    const multiplierValue = Math.log10(ohms / firstTwoDigits) + 1;
-
-    const firstBand = colorMap.find(c => c.value === firstDigit);
-    const secondBand = colorMap.find(c => c.value === secondDigit);
-
-    // Multiplier can be Gold (-1) or Silver (-2)
-    let multiplierBandName = '';
-    if (multiplierValue === -1) multiplierBandName = 'Gold';
-    else if (multiplierValue === -2) multiplierBandName = 'Silver';
-    else {
-        const mb = colorMap.find(c => c.value === Math.round(multiplierValue));
-        if (mb) multiplierBandName = mb.name;
+    const output = new Uint8Array(total);
+    let position = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, position);
+        position += chunk.byteLength;
     }
+    return output;
+}
 
-    if (firstBand && secondBand && multiplierBandName) {
-        const sequence = [firstBand.name, secondBand.name, multiplierBandName];
-        if (tolerance && toleranceMap[tolerance]) {
-            const tc = toleranceMap[tolerance];
-            if (tc !== 'None') sequence.push(tc);
+/**
+ * Lists the PNG/JPEG entries of a zip archive (stored or deflated; no ZIP64 or encryption).
+ * macOS metadata (__MACOSX/, dot files) is skipped. Entries over MAX_ZIP_ENTRY_BYTES fail when read.
+ */
+function readZipImages(bytes: Uint8Array): BatchFile[] {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // End of central directory は末尾 (最大 64KB のコメントの前) にある
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
         }
-        return sequence;
     }
+    if (eocd < 0) throw new InputError('Not a zip archive (end of central directory not found)');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const files: BatchFile[] = [];
+    for (let n = 0; n < entryCount; n++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+            throw new InputError('Broken zip central directory');
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const uncompressedSize = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const baseName = name.split('/').pop() || '';
+        if (!BATCH_IMAGE_NAME.test(name) || name.startsWith('__MACOSX/') || baseName.startsWith('.')) continue;
+        if (flags & 1) throw new InputError(`${name}: encrypted zip entries are not supported`);
+        if (compressedSize === 0xffffffff || localOffset === 0xffffffff) throw new InputError(`${name}: ZIP64 archives are not supported`);
+        if (method !== 0 && method !== 8) throw new InputError(`${name}: unsupported zip compression method ${method}`);
+
+        files.push({
+            name,
+            type: '',
+            read: async () => {
+                if (uncompressedSize > MAX_ZIP_ENTRY_BYTES || (method === 0 && compressedSize > MAX_ZIP_ENTRY_BYTES)) {
+                    throw new InputError(`${name}: larger than ${MAX_ZIP_ENTRY_BYTES / (1024 * 1024)} MB when uncompressed`);
+                }
+                // ローカルヘッダの名前・拡張フィールドの長さはセントラルディレクトリと異なることがある
+                const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+                const data = bytes.subarray(dataStart, dataStart + compressedSize);
+                return method === 0 ? data : inflateRaw(data, MAX_ZIP_ENTRY_BYTES);
+            }
+        });
+    }
+    return files;
+}
 
-    return [];
+function isZipUpload(type: string, name: string): boolean {
+    return /zip/.test(type) || /\.zip$/i.test(name);
 }
 
+// multipart (画像と zip を何個でも) または zip 本体を受け取る。その他のフィールド/クエリは解析パラメータ
+async function readBatchRequest(request: Request): Promise<{ files: BatchFile[], fields: { [key: string]: any } }> {
+    const contentType = (request.headers.get('Content-Type') || '').toLowerCase();
+    const files: BatchFile[] = [];
+    let fields: { [key: string]: any };
+
+    if (contentType.startsWith('multipart/form-data')) {
+        const form = await request.formData();
+        fields = readQueryFields(request);
+        const uploads: File[] = [];
+        form.forEach((value, key) => {
+            if (typeof value === 'string') fields[key] = parseFieldValue(value);
+            else uploads.push(value);
+        });
+        for (const upload of uploads) {
+            const bytes = new Uint8Array(await upload.arrayBuffer());
+            if (isZipUpload(upload.type, upload.name)) {
+                files.push(...readZipImages(bytes).map(f => ({ ...f, name: `${upload.name}/${f.name}` })));
+            } else {
+                files.push({ name: upload.name, type: upload.type, read: async () => bytes });
+            }
+        }
+    } else if (isZipUpload(contentType, '')) {
+        fields = readQueryFields(request);
+        files.push(...readZipImages(new Uint8Array(await request.arrayBuffer())));
+    } else {
+        throw new InputError('Send multipart/form-data with image or zip files, or an application/zip body');
+    }
 
-async function handleEdgeDetection(request: Request, env: Env): Promise<Response> {
-    try {
-        const { pixels, width, height, threshold } = await request.json() as { pixels: Pixel[], width: number, height: number, threshold: number };
-        const customColors = env.LEARNING_STORE
-            ? await env.LEARNING_STORE.get<CustomColor[]>("custom_colors", { type: "json" }) || []
-            : [];
+    if (files.length === 0) throw new InputError('No PNG or JPEG images found in the request');
+    if (files.length > MAX_BATCH_FILES) throw new InputError(`Too many images (${files.length}); max ${MAX_BATCH_FILES} per batch`);
+    return { files, fields };
+}
 
-        if (!pixels || !Array.isArray(pixels) || !width || !height || threshold === undefined) {
-            return new Response('Invalid data', { status: 400 });
-        }
+// 1枚分: /api/locate と同じく主な抵抗器を切り出し、/api/detect-edges と同じ手順で読み取る
+function analyzeBatchImage(image: RgbaImage, threshold: number | null, customColors: CustomColor[], whiteBalanceMode: any): Omit<BatchResult, 'file'> {
+    const warnings: string[] = [];
+    const search = findResistorRegions(image);
+    const dominant = dominantRegion(search);
+    let target = image;
+    let boundingBox: CropRect | undefined;
+    if (dominant) {
+        boundingBox = axisBoundingBox(dominant.axis, image, BATCH_LOCATE_PADDING);
+        target = cropRgba(image, boundingBox);
+        if (search.regions.length > 1) warnings.push(`${search.regions.length - 1} other part(s) in the photo were ignored`);
+    } else {
+        warnings.push(search.regions.length > 1
+            ? `No single dominant resistor (${search.regions.length} candidates); analysed the whole image`
+            : 'Could not locate the resistor; analysed the whole image');
+    }
 
-        const orientation = estimateOrientation(width, height); // ここで向きを推定
+    const sampling = orientImage(target, 'auto');
+    const quality = assessImageQuality(sampling, target);
+    const result = decodeWithThreshold(sampling, threshold, customColors, whiteBalanceMode);
+    warnings.push(...quality.warnings.map(w => w.message));
+    if (!result.resistance.ok) warnings.push(result.resistance.error.message);
+    if (result.confidence < BATCH_LOW_CONFIDENCE) warnings.push(`Low confidence (${Math.round(result.confidence * 100)}%)`);
+    if (result.names.length >= 3 && result.reading.confidence < BATCH_AMBIGUOUS_DIRECTION) warnings.push('Reading direction is ambiguous');
+
+    return {
+        ok: result.resistance.ok,
+        value: resistanceText(result.resistance),
+        ohms: result.resistance.ok ? result.resistance.ohms : undefined,
+        tolerancePercent: result.resistance.ok ? result.resistance.tolerancePercent : undefined,
+        bands: result.reading.bands,
+        confidence: result.confidence,
+        orientation: sampling.reportedOrientation,
+        angle: dominant ? dominant.axis.angle : sampling.axis.angle,
+        boundingBox,
+        threshold: result.thresholdSelection.threshold,
+        qualityScore: quality.score,
+        warnings
+    };
+}
 
-        const bands = extractBands(pixels, width, height, threshold, orientation, customColors);
+// 利用者が入力した文字列 (保管場所、メモ、zip の中のファイル名) が表計算ソフトで数式として実行されないように、
+// = + - @ (とタブ・改行) で始まる文字列の先頭に ' を付ける。数値はそのまま (負の角度など)
+function csvCell(value: any): string {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-        // --- Refined Body Filtering ---
-        // 1. Mark segments that are clearly body colors by name (case-insensitive)
-        let processedBands = bands.map(b => {
-            const name = b.colorName.toLowerCase();
-            return {
-                ...b,
-                isBody: name.includes('body') || name.includes('beige') || name.includes('tan')
-            };
-        });
+function batchReportCsv(results: BatchResult[]): string {
+    const header = ['file', 'ok', 'value', 'ohms', 'tolerance_percent', 'bands', 'confidence', 'orientation', 'angle', 'threshold', 'quality_score', 'warnings', 'error'];
+    const rows = results.map(r => [
+        r.file, r.ok, r.value, r.ohms, r.tolerancePercent, r.bands.join(' '), r.confidence, r.orientation, r.angle, r.threshold, r.qualityScore,
+        r.warnings.join('; '), r.error
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
 
-        // 2. Identify segments that are "wide" compared to others
-        if (processedBands.length >= 3) {
-            const widths = processedBands.map((b: any) => b.width).sort((a: number, b: number) => a - b);
-            const medianWidth = widths[Math.floor(widths.length / 2)];
+/**
+ * Batch analysis: POST /api/batch with several images and/or zip files (multipart), or a zip body.
+ * Each image is located and decoded independently; a file that fails does not stop the batch.
+ * `format=csv` returns the report as CSV instead of JSON. The threshold defaults to BATCH_DEFAULT_THRESHOLD;
+ * `threshold=auto` runs the per-image sweep and is limited to MAX_BATCH_FILES_AUTO_THRESHOLD images.
+ */
+async function handleBatch(request: Request, env: Env): Promise<Response> {
+    try {
+        const { files, fields } = await readBatchRequest(request);
+        const format = fields.format ?? 'json';
+        if (format !== 'json' && format !== 'csv') {
+            throw new InputError(`Invalid format "${format}" (use json or csv)`);
+        }
+        const threshold = fields.threshold === undefined ? BATCH_DEFAULT_THRESHOLD : readThreshold(fields.threshold);
+        if (threshold === null && files.length > MAX_BATCH_FILES_AUTO_THRESHOLD) {
+            throw new InputError(`Too many images (${files.length}) for threshold=auto; max ${MAX_BATCH_FILES_AUTO_THRESHOLD} per batch (send a fixed threshold for up to ${MAX_BATCH_FILES})`);
+        }
+        const profile = await resolveProfile(env, fields.profile);
+        const customColors = await loadCustomColors(env, profile);
+
+        const results: BatchResult[] = [];
+        for (const file of files) {
+            try {
+                const bytes = await file.read();
+                const { image } = decodeImage(bytes, sniffImageType(bytes) || file.type);
+                results.push({ file: file.name, ...analyzeBatchImage(image, threshold, customColors, fields.whiteBalance) });
+            } catch (e: any) {
+                console.error(`[handleBatch] ${file.name}: ${e.message}`);
+                results.push({ file: file.name, ok: false, value: null, bands: [], confidence: 0, warnings: [], error: e.message });
+            }
+        }
 
-            // If a segment is > 2.5x the median width, it's highly likely to be the body or a gap
-            processedBands = processedBands.map((b: any) => {
-                if (b.width > medianWidth * 2.5) {
-                    return { ...b, isBody: true };
+        if (format === 'csv') {
+            return new Response(batchReportCsv(results), {
+                headers: {
+                    'Content-Type': 'text/csv; charset=utf-8',
+                    'Content-Disposition': 'attachment; filename="resistor-batch.csv"'
                 }
-                return b;
             });
         }
+        return jsonResponse({
+            success: true,
+            count: results.length,
+            decoded: results.filter(r => r.ok).length,
+            failed: results.filter(r => r.error !== undefined).length,
+            results,
+            profile
+        });
+    } catch (e: any) {
+        console.error(`[handleBatch] Error: ${e.message}`);
+        return jsonResponse({ error: e.message }, e instanceof InputError ? 400 : 500);
+    }
+}
 
-        // 3. Filter out those marked as body
-        const filteredBands = processedBands.filter((b: any) => !b.isBody);
-        const filteredBandNames = filteredBands.map((b: any) => b.colorName);
-
-        const resistorValue = calculateResistorValue(filteredBandNames);
-
+async function handleEdgeDetection(request: Request, env: Env): Promise<Response> {
+    try {
+        const input = await readAnalysisRequest(request);
+        const { image, crop } = input;
+        // 省略時は閾値を自動で選ぶ (THRESHOLD_CANDIDATES を試して最も自然なバンド構成のもの)
+        const threshold = readThreshold(input.threshold);
+        const profile = await resolveProfile(env, input.profile);
+        const customColors = await loadCustomColors(env, profile);
+
+        if (!image) {
+            return new Response('Invalid data', { status: 400 });
+        }
+        // debug=true: extractBands の途中経過 (プロファイル、色距離、全セグメント、上書き判定) を trace として返す
+        const debug = input.debug === true || input.debug === 1;
+
+        // 解析は analysis.ts の detectResistor (ブラウザのローカル解析と同じコード)
+        const detection = detectResistor(image, {
+            threshold,
+            mode: input.mode,
+            orientation: input.orientation,
+            whiteBalance: input.whiteBalance,
+            debug,
+            customColors
+        });
         return new Response(JSON.stringify({
             success: true,
-            bands: filteredBands,
-            detected_bands: filteredBandNames,
-            resistor_value: resistorValue,
-            orientation: orientation // orientationをレスポンスに追加
+            ...detection,
+            crop: crop,
+            profile: profile
         }), { headers: { 'Content-Type': 'application/json' } });
     } catch (e: any) {
         console.error(`[handleEdgeDetection] Error: ${e.message}`);
-        return new Response(JSON.stringify({ error: e.message }), { status: 500 });
+        return new Response(JSON.stringify({ error: e.message }), { status: e instanceof InputError ? 400 : 500 });
     }
 }
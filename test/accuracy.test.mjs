@@ -0,0 +1,201 @@
+// 合成画像による読み取り精度のレポートと回帰テスト
+// 値 × 撮影条件 (synthetic.mjs の CONDITIONS) の画像を /api/detect-edges に通し、
+// 条件ごと・色ごとの正解率を表示する。正解率が baseline.json を下回ったら失敗する。
+// clean の画像でバンドの本数が合わなければ (本体に吸収された・分かれた) 失敗する。
+//
+//   npm test                          すべてのテスト
+//   node test/accuracy.test.mjs       精度レポートだけ
+//   UPDATE_BASELINE=1 npm test        改善したときに baseline.json を書き換える
+
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { test } from 'node:test';
+import { CONDITIONS, renderResistor } from './synthetic.mjs';
+import { detectBands, encodeValue } from './worker.mjs';
+
+const BASELINE_FILE = new URL('./baseline.json', import.meta.url);
+
+// 12色すべてが数字・乗数・許容差のどこかに出るように選んだ値 ([値, バンド数])
+const CASES = [
+    ['1k', 4],
+    ['4.7k', 4],
+    ['220', 4],
+    ['33k', 4],
+    ['560', 4],
+    ['8.2k', 4],
+    ['91', 4],
+    ['1.5M', 4],
+    ['68', 4],
+    ['0.47', 4],
+    ['100k ±10%', 4],
+    ['47k', 3],
+    ['10k', 5],
+    ['249', 5],
+    ['7.5k', 5],
+    ['4.7k', 6],
+];
+
+// Gold の各シェードと Violet_Dark は同じ色として数える (canonicalColorName と同じ)
+function canonical(name) {
+    if (name.startsWith('Gold')) return 'Gold';
+    if (name === 'Violet_Dark') return 'Violet';
+    return name;
+}
+
+// 期待した並びのうち、検出結果と順序を保って一致したバンドの位置 (最長共通部分列)
+function matchedPositions(expected, detected) {
+    const table = Array.from({ length: expected.length + 1 }, () => new Array(detected.length + 1).fill(0));
+    for (let i = expected.length - 1; i >= 0; i--) {
+        for (let j = detected.length - 1; j >= 0; j--) {
+            table[i][j] = expected[i] === detected[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+    const matched = new Set();
+    for (let i = 0, j = 0; i < expected.length && j < detected.length;) {
+        if (expected[i] === detected[j]) {
+            matched.add(i);
+            i++;
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return matched;
+}
+
+function percent(hit, total) {
+    return total === 0 ? '-' : `${(100 * hit / total).toFixed(1)}%`;
+}
+
+function printTable(title, header, rows) {
+    const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => String(row[i]).length)));
+    const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ');
+    console.log(`\n${title}`);
+    console.log(line(header));
+    console.log(widths.map(w => '-'.repeat(w)).join('  '));
+    rows.forEach(row => console.log(line(row)));
+}
+
+function readsValue(body, encoded) {
+    return body.resistance?.ok === true
+        && body.resistance.ohms === encoded.ohms
+        && body.resistance.tolerancePercent === encoded.tolerancePercent;
+}
+
+async function runSweep() {
+    const byCondition = {};
+    const byColor = {};
+    const failures = [];
+    const bandCounts = [];
+    for (const [value, bandCount] of CASES) {
+        const encoded = await encodeValue(value, bandCount);
+        for (const [condition, options] of Object.entries(CONDITIONS)) {
+            const { status, body } = await detectBands(renderResistor(encoded.colors, options));
+            assert.equal(status, 200, `${value} (${condition}): ${JSON.stringify(body)}`);
+
+            const detected = (body.reading?.bands ?? []).map(canonical);
+            const matched = matchedPositions(encoded.colors, detected);
+            const correct = readsValue(body, encoded);
+
+            bandCounts.push({ condition, value: encoded.display, expected: encoded.colors.length, detected: detected.length });
+
+            const stats = byCondition[condition] ??= { images: 0, correct: 0, bands: 0, matchedBands: 0 };
+            stats.images++;
+            stats.bands += encoded.colors.length;
+            stats.matchedBands += matched.size;
+            if (correct) stats.correct++;
+            else failures.push(`${condition.padEnd(10)} ${encoded.display.padEnd(12)} ${encoded.colors.join('-')} → ${detected.join('-') || '(none)'}`);
+
+            encoded.colors.forEach((color, i) => {
+                const colorStats = byColor[color] ??= { total: 0, matched: 0, conditions: {} };
+                colorStats.total++;
+                if (matched.has(i)) colorStats.matched++;
+                const perCondition = colorStats.conditions[condition] ??= { total: 0, matched: 0 };
+                perCondition.total++;
+                if (matched.has(i)) perCondition.matched++;
+            });
+        }
+    }
+    return { byCondition, byColor, failures, bandCounts };
+}
+
+function report({ byCondition, byColor, failures }) {
+    const conditions = Object.keys(CONDITIONS);
+    printTable('Accuracy by condition', ['condition', 'images', 'value', 'bands'],
+        conditions.map(c => {
+            const s = byCondition[c];
+            return [c, s.images, percent(s.correct, s.images), percent(s.matchedBands, s.bands)];
+        }));
+    printTable('Band accuracy by color', ['color', 'bands', 'all', ...conditions],
+        Object.entries(byColor).map(([color, s]) => [
+            color, s.total, percent(s.matched, s.total),
+            ...conditions.map(c => s.conditions[c] ? percent(s.conditions[c].matched, s.conditions[c].total) : '-'),
+        ]));
+    if (process.env.SHOW_FAILURES) {
+        console.log('\nMisread images');
+        failures.forEach(f => console.log(`  ${f}`));
+    }
+}
+
+// 比較用の値 (0-1)。小数第3位で丸めて、浮動小数の誤差で失敗しないようにする
+function summarize({ byCondition, byColor }) {
+    const round = v => Math.round(v * 1000) / 1000;
+    const conditions = {};
+    for (const [name, s] of Object.entries(byCondition)) {
+        conditions[name] = { value: round(s.correct / s.images), bands: round(s.matchedBands / s.bands) };
+    }
+    const colors = {};
+    for (const [name, s] of Object.entries(byColor)) colors[name] = round(s.matched / s.total);
+    return { conditions, colors };
+}
+
+const results = await runSweep();
+report(results);
+
+test('synthetic accuracy does not regress below the baseline', () => {
+    const current = summarize(results);
+
+    if (process.env.UPDATE_BASELINE) {
+        writeFileSync(BASELINE_FILE, JSON.stringify(current, null, 4) + '\n');
+        console.log(`\nbaseline written to ${BASELINE_FILE.pathname}`);
+        return;
+    }
+
+    const baseline = JSON.parse(readFileSync(BASELINE_FILE, 'utf8'));
+    const regressions = [];
+    for (const [name, expected] of Object.entries(baseline.conditions)) {
+        const actual = current.conditions[name];
+        if (!actual) continue;
+        if (actual.value < expected.value) regressions.push(`${name} value ${actual.value} < ${expected.value}`);
+        if (actual.bands < expected.bands) regressions.push(`${name} bands ${actual.bands} < ${expected.bands}`);
+    }
+    for (const [name, expected] of Object.entries(baseline.colors)) {
+        if (current.colors[name] !== undefined && current.colors[name] < expected) {
+            regressions.push(`${name} ${current.colors[name]} < ${expected}`);
+        }
+    }
+    assert.deepEqual(regressions, [], 'accuracy regressed (run with SHOW_FAILURES=1 for the misread images)');
+});
+
+// 色の読み間違いと違い、本数の違いは色の基準値に関係なくバンドの切り出しの誤り
+test('clean renders keep every band', () => {
+    const wrong = results.bandCounts
+        .filter(r => r.condition === 'clean' && r.detected !== r.expected)
+        .map(r => `${r.value}: ${r.detected} of ${r.expected} bands`);
+    assert.deepEqual(wrong, []);
+});
+
+test('white balance improves the reads under warm light', async () => {
+    let uncorrected = 0;
+    for (const [value, bandCount] of CASES) {
+        const encoded = await encodeValue(value, bandCount);
+        const { body } = await detectBands(renderResistor(encoded.colors, CONDITIONS['warm-light']), { whiteBalance: 'none' });
+        if (readsValue(body, encoded)) uncorrected++;
+    }
+    const corrected = results.byCondition['warm-light'].correct;
+    assert.ok(corrected > uncorrected, `${corrected} of ${CASES.length} with white balance, ${uncorrected} without`);
+});
@@ -0,0 +1,69 @@
+// ブラウザ用にビルドした解析コア (public/analysis.js と同じ手順) が /api/detect-edges と同じ結果を返すこと
+
+import assert from 'node:assert/strict';
+import { unlinkSync } from 'node:fs';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { describe, test } from 'node:test';
+import { buildAnalysis } from '../scripts/build-analysis.mjs';
+import { CONDITIONS, renderResistor, stackImages } from './synthetic.mjs';
+import { detectBands } from './worker.mjs';
+
+async function loadBrowserBuild() {
+    const file = buildAnalysis(join(import.meta.dirname, '..', 'dist', 'test', `analysis-browser.${process.pid}.mjs`));
+    try {
+        return await import(pathToFileURL(file).href);
+    } finally {
+        unlinkSync(file);
+    }
+}
+
+const analysis = await loadBrowserBuild();
+
+// レスポンスから Worker 側だけの項目 (success, crop, profile) を除く
+function detection(body) {
+    const { success, crop, profile, ...rest } = body;
+    return rest;
+}
+
+describe('browser build of the analysis core', () => {
+    const cases = [
+        ['auto threshold', renderResistor(['Brown', 'Green', 'Green', 'Gold']), {}],
+        ['manual threshold with trace', renderResistor(['Yellow', 'Violet', 'Red', 'Gold'], { rotation: 25 }), { threshold: 3, debug: true }],
+        ['white balance', renderResistor(['Brown', 'Black', 'Orange', 'Gold'], CONDITIONS['warm-light']), { whiteBalance: 'gray-world' }],
+        ['multiple resistors', stackImages([
+            renderResistor(['Red', 'Red', 'Brown', 'Gold']),
+            renderResistor(['Yellow', 'Violet', 'Orange'], { rotation: 15 }),
+        ]), { mode: 'multi' }],
+    ];
+    for (const [name, image, options] of cases) {
+        test(`matches /api/detect-edges (${name})`, async () => {
+            const { status, body } = await detectBands(image, options);
+            assert.equal(status, 200);
+            const local = analysis.detectResistor(image, { ...options, threshold: options.threshold ?? null });
+            assert.deepEqual(JSON.parse(JSON.stringify(local)), detection(body));
+            if (options.mode === 'multi') assert.equal(body.count, 2);
+        });
+    }
+
+    test('rejects an unknown mode like the worker', async () => {
+        const image = renderResistor(['Brown', 'Green', 'Green', 'Gold']);
+        assert.throws(() => analysis.detectResistor(image, { mode: 'all' }), analysis.InputError);
+        assert.equal((await detectBands(image, { mode: 'all' })).status, 400);
+    });
+});
+
+describe('calculateResistorValue', () => {
+    test('decodes dark variants like the standard color', () => {
+        const standard = analysis.calculateResistorValue(['Brown', 'Black', 'Black', 'Red', 'Brown', 'Violet']);
+        const dark = analysis.calculateResistorValue(['Brown', 'Black', 'Black', 'Red', 'Brown', 'Violet_Dark']);
+        assert.equal(dark.ok, true);
+        assert.equal(dark.tempcoPpm, standard.tempcoPpm);
+    });
+
+    test('knows the IEC 60062 tolerances of Orange, Yellow and Gray', () => {
+        assert.equal(analysis.calculateResistorValue(['Brown', 'Black', 'Black', 'Red', 'Orange']).tolerancePercent, 0.05);
+        assert.equal(analysis.calculateResistorValue(['Brown', 'Black', 'Black', 'Red', 'Yellow']).tolerancePercent, 0.02);
+        assert.equal(analysis.calculateResistorValue(['Brown', 'Black', 'Black', 'Red', 'Gray']).tolerancePercent, 0.01);
+    });
+});
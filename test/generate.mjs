@@ -0,0 +1,58 @@
+// 合成抵抗器画像を PNG で書き出す (目で確認したり、UI に読み込ませたりする用)
+//
+//   npm run generate:synthetic -- 4k7
+//   npm run generate:synthetic -- 10k --bands 5 --condition glare --rotation 30 --out dist/10k.png
+//   npm run generate:synthetic -- 220 --all          CONDITIONS のすべてを dist/synthetic/ に書き出す
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { encode as encodePng } from 'fast-png';
+import { CONDITIONS, renderResistor } from './synthetic.mjs';
+import { encodeValue } from './worker.mjs';
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        bands: { type: 'string' },
+        condition: { type: 'string', default: 'clean' },
+        all: { type: 'boolean', default: false },
+        body: { type: 'string' },
+        rotation: { type: 'string' },
+        glare: { type: 'string' },
+        blur: { type: 'string' },
+        noise: { type: 'string' },
+        seed: { type: 'string' },
+        out: { type: 'string' },
+    },
+});
+
+const value = positionals[0];
+if (!value) {
+    console.error('usage: node test/generate.mjs <value> [--bands 3-6] [--condition name | --all] [--body beige|blue] [--rotation deg] [--glare 0-1] [--blur px] [--noise sd] [--out file.png]');
+    process.exit(1);
+}
+
+const encoded = await encodeValue(value, args.bands ? Number(args.bands) : undefined);
+
+// 個別指定 (--rotation など) は条件の設定より優先する
+const overrides = {};
+for (const key of ['rotation', 'glare', 'blur', 'noise', 'seed']) {
+    if (args[key] !== undefined) overrides[key] = Number(args[key]);
+}
+if (args.body) overrides.body = args.body;
+
+const conditions = args.all ? Object.keys(CONDITIONS) : [args.condition];
+for (const condition of conditions) {
+    if (!CONDITIONS[condition]) {
+        console.error(`Unknown condition "${condition}" (${Object.keys(CONDITIONS).join(', ')})`);
+        process.exit(1);
+    }
+    const image = renderResistor(encoded.colors, { ...CONDITIONS[condition], ...overrides });
+    const file = args.out && !args.all
+        ? args.out
+        : join('dist', 'synthetic', `${value.replace(/[^\w.]+/g, '_')}-${encoded.layout}-${condition}.png`);
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, encodePng({ width: image.width, height: image.height, data: image.data, channels: 4 }));
+    console.log(`${file}: ${encoded.display} (${encoded.colors.join(' ')})`);
+}
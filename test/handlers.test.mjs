@@ -0,0 +1,611 @@
+// Worker のハンドラーを合成画像で呼ぶテスト (値の変換、読み取り、本体の位置、スキャンの投票、閾値の自動選択、トレース、画像品質、学習色、一括解析)
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { deflateRawSync } from 'node:zlib';
+import { encode as encodePng } from 'fast-png';
+import { renderResistor } from './synthetic.mjs';
+import { callWorker, createEnv, detectBands, encodeValue, postImage } from './worker.mjs';
+
+// 回転やボケなどの条件を変えても正しく読める値 (精度全体は accuracy.test.mjs で見る)
+const STABLE_VALUE = '1.5M';
+const STABLE_COLORS = ['Brown', 'Green', 'Green', 'Gold'];
+
+function pngBlob(image) {
+    return new Blob([encodePng({ width: image.width, height: image.height, data: image.data, channels: 4 })], { type: 'image/png' });
+}
+
+describe('/api/encode', () => {
+    test('infers the band count from the value and tolerance', async () => {
+        assert.deepEqual((await encodeValue('4K7')).colors, ['Yellow', 'Violet', 'Red', 'Gold']);
+        assert.deepEqual((await encodeValue('100k ±10%')).colors, ['Brown', 'Black', 'Yellow', 'Silver']);
+        assert.deepEqual((await encodeValue('47k ±20%')).colors, ['Yellow', 'Violet', 'Orange']);
+    });
+
+    test('encodes the IEC precision tolerances', async () => {
+        for (const [tolerance, color] of [['0.05', 'Orange'], ['0.02', 'Yellow'], ['0.01', 'Gray']]) {
+            const encoded = await encodeValue(`10k ±${tolerance}%`, 5);
+            assert.deepEqual(encoded.colors, ['Brown', 'Black', 'Black', 'Red', color], tolerance);
+            assert.equal(encoded.tolerancePercent, Number(tolerance));
+        }
+    });
+
+    test('reads IEC tolerance letters after plain and RKM values', async () => {
+        for (const [value, ohms, tolerancePercent] of [
+            ['4K7J', 4700, 5],
+            ['47kF', 47000, 1],
+            ['10kJ', 10000, 5],
+            ['100RJ', 100, 5],
+            ['2.2MK', 2200000, 10],
+            ['10K', 10000, 5],
+            ['1G', 1e9, 5],
+        ]) {
+            const encoded = await encodeValue(value);
+            assert.equal(encoded.ohms, ohms, value);
+            assert.equal(encoded.tolerancePercent, tolerancePercent, value);
+        }
+        const { status } = await callWorker(`/api/encode?value=${encodeURIComponent('10kJ ±1%')}`, { method: 'GET' });
+        assert.equal(status, 400);
+    });
+
+    test('honours an explicit band count', async () => {
+        const encoded = await encodeValue('10k', 5);
+        assert.equal(encoded.layout, '5-band');
+        assert.deepEqual(encoded.colors, ['Brown', 'Black', 'Black', 'Red', 'Brown']);
+        assert.equal((await encodeValue('4.7k', 6)).colors.length, 6);
+    });
+
+    test('rejects values that cannot be parsed', async () => {
+        const { status, body } = await callWorker('/api/encode?value=abc', { method: 'GET' });
+        assert.equal(status, 400);
+        assert.match(body.error, /Invalid resistance value/);
+    });
+});
+
+describe('/api/render', () => {
+    test('returns an SVG illustration of the value', async () => {
+        const { status, body } = await callWorker('/api/render?value=4k7', { method: 'GET' });
+        assert.equal(status, 200);
+        assert.match(body, /^<svg/);
+    });
+
+    test('rejects unknown body colors', async () => {
+        for (const body of ['toString', '__proto__', 'red']) {
+            const { status } = await callWorker(`/api/render?colors=Brown,Black,Red,Gold&body=${body}`, { method: 'GET' });
+            assert.equal(status, 400, body);
+        }
+        const { status } = await callWorker('/api/render', { body: { colors: ['Brown', 'Black', 'Red', 'Gold'], body: ['blue'] } });
+        assert.equal(status, 400);
+        assert.equal((await callWorker('/api/render?colors=Brown,Black,Red,Gold&body=blue', { method: 'GET' })).status, 200);
+    });
+});
+
+describe('/api/detect-edges', () => {
+    test('reads a synthetic resistor', async () => {
+        const { status, body } = await detectBands(renderResistor(STABLE_COLORS));
+        assert.equal(status, 200);
+        assert.deepEqual(body.reading.bands, STABLE_COLORS);
+        assert.equal(body.resistance.ohms, 1500000);
+        assert.equal(body.resistance.tolerancePercent, 5);
+        assert.equal(body.orientation, 'horizontal');
+    });
+
+    // Blue (CIEDE2000 で Violet と分ける)、背景と同じ色の White、数字の位置の Yellow (Gold と迷う) を含む値
+    test('reads Blue, White and Yellow digits on clean renders', async () => {
+        for (const value of ['560', '68', '91', '0.47']) {
+            const encoded = await encodeValue(value);
+            const { body } = await detectBands(renderResistor(encoded.colors));
+            assert.deepEqual(body.reading.bands, encoded.colors, value);
+            assert.equal(body.resistance.ohms, encoded.ohms, value);
+        }
+    });
+
+    test('finds the whole body when it is close to the background color', async () => {
+        // 暖色光では薄茶の本体と白い背景の Lab 距離が 30 を下回る
+        const clean = await detectBands(renderResistor(STABLE_COLORS));
+        const warm = await detectBands(renderResistor(STABLE_COLORS, { tint: [1.08, 0.96, 0.76] }));
+        assert.ok(Math.abs(warm.body.axis.length - clean.body.axis.length) <= 4, `axis ${warm.body.axis.length} vs ${clean.body.axis.length}`);
+        assert.deepEqual(warm.body.reading.bands, STABLE_COLORS);
+    });
+
+    test('corrects warm light from the body color', async () => {
+        const { body } = await detectBands(renderResistor(STABLE_COLORS, { tint: [1.08, 0.96, 0.76] }));
+        assert.equal(body.whiteBalance.method, 'body');
+        // 線形RGBで青を 1.8 倍 (グレーワールドの上限) より強く戻す必要がある
+        assert.ok(body.whiteBalance.gains.b > 1.8, `blue gain ${body.whiteBalance.gains.b}`);
+    });
+
+    test('follows a rotated resistor along its axis', async () => {
+        const { body } = await detectBands(renderResistor(STABLE_COLORS, { rotation: 25 }));
+        assert.ok(Math.abs(body.axis.angle - 25) <= 1, `axis angle ${body.axis.angle}`);
+        assert.equal(body.resistor_value, (await encodeValue(STABLE_VALUE, 4)).display);
+    });
+
+    test('selects the threshold automatically unless one is sent', async () => {
+        const image = renderResistor(STABLE_COLORS);
+        const auto = (await detectBands(image)).body.thresholdSelection;
+        assert.equal(auto.mode, 'auto');
+        assert.ok(auto.candidates.length > 1);
+        assert.equal(auto.candidates[0].threshold, auto.threshold);
+
+        const manual = (await detectBands(image, { threshold: 3 })).body.thresholdSelection;
+        assert.deepEqual(manual, { mode: 'manual', threshold: 3, candidates: [] });
+
+        const invalid = await detectBands(image, { threshold: 'high' });
+        assert.equal(invalid.status, 400);
+    });
+
+    test('returns the extraction trace in debug mode', async () => {
+        const { body } = await detectBands(renderResistor(STABLE_COLORS), { debug: 'true' });
+        const { trace } = body;
+        assert.equal(trace.distances.length, trace.profile.balanced.length - 1);
+        const kept = trace.segments.filter(s => s.kept);
+        assert.equal(kept.length, body.bands.length);
+        for (const segment of trace.segments.filter(s => !s.kept)) {
+            assert.ok(segment.dropReason, `segment ${segment.index} has no drop reason`);
+        }
+        assert.equal((await detectBands(renderResistor(STABLE_COLORS))).body.trace, undefined);
+    });
+
+    test('rejects oversized PNGs before decoding them', async () => {
+        // IHDR だけ 20000x20000 に書き換える (展開すれば 1.6GB)
+        const png = encodePng({ ...renderResistor(STABLE_COLORS), channels: 4 });
+        const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+        view.setUint32(16, 20000);
+        view.setUint32(20, 20000);
+        const form = new FormData();
+        form.append('image', new Blob([png], { type: 'image/png' }), 'huge.png');
+        const { status, body } = await callWorker('/api/detect-edges', { body: form });
+        assert.equal(status, 400);
+        assert.match(body.error, /Image too large \(20000x20000\)/);
+    });
+
+    test('warns about low resolution and blur', async () => {
+        const small = await detectBands(renderResistor(STABLE_COLORS, { width: 90, height: 40 }));
+        assert.ok(small.body.quality.warnings.some(w => w.code === 'low-resolution'));
+
+        const sharp = await detectBands(renderResistor(STABLE_COLORS));
+        const blurred = await detectBands(renderResistor(STABLE_COLORS, { blur: 4 }));
+        assert.ok(blurred.body.quality.metrics.edgeWidth > sharp.body.quality.metrics.edgeWidth);
+        assert.ok(blurred.body.quality.score < sharp.body.quality.score);
+    });
+});
+
+// 最小限の zip (CRC は読み手が検証しないので 0)。sizeInHeader で展開後サイズを偽ったエントリも作れる
+function zipArchive(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const { name, data, sizeInHeader } of entries) {
+        const nameBytes = new TextEncoder().encode(name);
+        const compressed = deflateRawSync(data);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(sizeInHeader, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(sizeInHeader, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes, compressed);
+        centrals.push(central, nameBytes);
+        offset += local.length + nameBytes.length + compressed.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return new Uint8Array(Buffer.concat([...locals, directory, end]));
+}
+
+describe('/api/locate', () => {
+    // renderResistor の本体: 中心 (180, 80)、長さ 360 × 0.6 = 216、太さ 160 × 0.26 ≈ 42。リード線は幅いっぱいまで伸びる
+    test('returns a box around the body without the leads', async () => {
+        const { status, body } = await postImage('/api/locate', renderResistor(STABLE_COLORS), { padding: 0 });
+        assert.equal(status, 200);
+        assert.equal(body.found, true);
+        assert.equal(body.orientation, 'horizontal');
+        const box = body.boundingBox;
+        assert.ok(Math.abs(box.x - 72) <= 3 && Math.abs(box.width - 216) <= 4, `box ${JSON.stringify(box)}`);
+        assert.ok(Math.abs(box.y + box.height / 2 - 80) <= 2 && box.height >= 34 && box.height <= 44, `box ${JSON.stringify(box)}`);
+
+        const padded = (await postImage('/api/locate', renderResistor(STABLE_COLORS), { padding: 0.1 })).body.boundingBox;
+        assert.ok(padded.x < box.x && padded.width > box.width && padded.height > box.height, `padded ${JSON.stringify(padded)}`);
+    });
+
+    test('reports the angle of a rotated body', async () => {
+        const { body } = await postImage('/api/locate', renderResistor(STABLE_COLORS, { rotation: 25 }), { padding: 0 });
+        assert.ok(Math.abs(body.angle - 25) <= 1, `angle ${body.angle}`);
+        assert.equal(body.orientation, 'diagonal');
+        // 傾いた本体の外接矩形: 216 cos25° + 42 sin25° ≈ 213、216 sin25° + 42 cos25° ≈ 129
+        const box = body.boundingBox;
+        assert.ok(Math.abs(box.width - 213) <= 6 && Math.abs(box.height - 129) <= 6, `box ${JSON.stringify(box)}`);
+    });
+
+    test('reports when nothing stands out from the background', async () => {
+        const blank = { width: 200, height: 100, data: new Uint8ClampedArray(200 * 100 * 4).fill(236) };
+        const { status, body } = await postImage('/api/locate', blank);
+        assert.equal(status, 200);
+        assert.equal(body.found, false);
+        assert.equal((await postImage('/api/locate', renderResistor(STABLE_COLORS), { padding: 2 })).status, 400);
+    });
+});
+
+describe('/api/scan', () => {
+    test('reads the bands in both directions', async () => {
+        const forward = (await postImage('/api/scan', renderResistor(STABLE_COLORS))).body;
+        assert.deepEqual(forward.detected_bands, STABLE_COLORS);
+        assert.equal(forward.reading.direction, 'forward');
+        assert.equal(forward.agreement, 1);
+
+        // 180° 回すと Gold が左に来る。位置の並びは逆のまま、読み取りの向きで正しい値に戻す
+        const reversed = (await postImage('/api/scan', renderResistor(STABLE_COLORS, { rotation: 180 }))).body;
+        assert.deepEqual(reversed.detected_bands, [...STABLE_COLORS].reverse());
+        assert.equal(reversed.reading.direction, 'reversed');
+        assert.deepEqual(reversed.reading.bands, STABLE_COLORS);
+        assert.equal(reversed.resistance.ohms, 1500000);
+    });
+
+    test('votes each band position when no two slices agree', async () => {
+        const image = renderResistor(STABLE_COLORS);
+        const bands = (await detectBands(image)).body.bands;
+        const row = y => Array.from({ length: image.width }, (_, x) => {
+            const i = (y * image.width + x) * 4;
+            return { r: image.data[i], g: image.data[i + 1], b: image.data[i + 2] };
+        });
+        const bodyColor = row(80)[Math.round((bands[0].x + bands[1].x) / 2)];
+        const blue = { r: 20, g: 40, b: 200 };
+        // スライスごとに別のバンドを消す・塗り替える・1本足す (並び全体が一致するスライスはない)
+        const edits = [
+            paint => paint(bands[0].x, bands[0].width, bodyColor),
+            paint => paint(bands[1].x, bands[1].width, bodyColor),
+            paint => paint(bands[3].x, bands[3].width, bodyColor),
+            paint => paint((bands[2].x + bands[3].x) / 2, 6, blue),
+            paint => paint(bands[0].x, bands[0].width - 2, blue),
+        ];
+        const slices = [66, 72, 80, 88, 94].map((y, i) => {
+            const line = row(y);
+            edits[i]((center, width, color) => {
+                for (let x = Math.round(center - width / 2) - 1; x <= Math.round(center + width / 2) + 1; x++) line[x] = color;
+            });
+            return line;
+        });
+
+        const { status, body } = await callWorker('/api/scan', { body: { slices } });
+        assert.equal(status, 200);
+        const sequences = body.slices.map(s => s.detected_bands.filter(name => !name.includes('(Body)')).join(','));
+        assert.equal(new Set(sequences).size, slices.length);
+        assert.deepEqual(body.detected_bands, STABLE_COLORS);
+        assert.equal(body.resistance.ohms, 1500000);
+        // 1本目は Brown が 3 票、塗り替えた Blue が 1 票。足した Blue は 1 スライスにしかないので捨てる
+        assert.deepEqual(Object.keys(body.bands[0].votes).sort(), ['Blue', 'Brown']);
+        assert.ok(body.bands[0].agreement > 0.5 && body.bands[0].agreement < 1, `agreement ${body.bands[0].agreement}`);
+        assert.deepEqual(body.bands.map(b => b.support), [0.8, 0.8, 1, 0.8]);
+    });
+});
+
+describe('/api/learn', () => {
+    test('rejects unknown color names and out-of-range channels', async () => {
+        const env = createEnv();
+        for (const sample of [
+            { detectedColor: { r: 10, g: 20, b: 30 }, correctColorName: 'Purple' },
+            { detectedColor: { r: 10, g: 20, b: 30 }, correctColorName: { name: 'Red' } },
+            { detectedColor: { r: 256, g: 20, b: 30 }, correctColorName: 'Red' },
+            { detectedColor: { r: -1, g: 20, b: 30 }, correctColorName: 'Red' },
+            { detectedColor: { r: '10', g: 20, b: 30 }, correctColorName: 'Red' },
+            { detectedColor: { r: 10, g: 20 }, correctColorName: 'Red' },
+        ]) {
+            const { status } = await callWorker('/api/learn', { body: sample, env });
+            assert.equal(status, 400, JSON.stringify(sample));
+        }
+        assert.equal((await callWorker('/api/learned-colors', { method: 'GET', env })).body.count, 0);
+    });
+
+    test('keeps the same RGB learned under different labels as separate samples', async () => {
+        const env = createEnv();
+        const detectedColor = { r: 200, g: 160, b: 40 };
+        for (const correctColorName of ['Gold', 'Yellow', 'Gold']) {
+            assert.equal((await callWorker('/api/learn', { body: { detectedColor, correctColorName }, env })).status, 200);
+        }
+        const { colors } = (await callWorker('/api/learned-colors', { method: 'GET', env })).body;
+        assert.deepEqual(colors.map(c => [c.id, c.name, c.sampleCount]), [['c8a028-gold', 'Gold', 2], ['c8a028-yellow', 'Yellow', 1]]);
+
+        const { status } = await callWorker('/api/learned-colors/c8a028-yellow', { method: 'DELETE', env });
+        assert.equal(status, 200);
+        const remaining = (await callWorker('/api/learned-colors', { method: 'GET', env })).body.colors;
+        assert.deepEqual(remaining.map(c => c.name), ['Gold']);
+    });
+
+    test('learned samples change how the band is classified', async () => {
+        const env = createEnv();
+        // 赤い塗料は標準色では Brown に近い (GOLD_BODY_DISCRIMINATION.md の「現在の弱点」)
+        const image = renderResistor(['Red', 'Red', 'Brown', 'Gold']);
+        const before = (await detectBands(image, {}, env)).body.bands;
+        assert.deepEqual(before.map(b => b.colorName), ['Brown', 'Brown', 'Brown', 'Gold']);
+
+        // 1サンプルでは標準色の事前分布が勝つので、同じ色を繰り返し教える
+        for (let i = 0; i < 5; i++) {
+            await callWorker('/api/learn', { body: { detectedColor: before[0].rgb, correctColorName: 'Red' }, env });
+        }
+        const after = (await detectBands(image, {}, env)).body.bands;
+        assert.deepEqual(after.map(b => b.colorName), ['Red', 'Red', 'Brown', 'Gold']);
+        assert.equal(after[0].rule, 'learned');
+    });
+
+    test('keeps only the most recent samples of each color', async () => {
+        const env = createEnv();
+        // 古い順に 45 件の Red と 1 件の Gold を読み込み、上限 (40 件) を超えた古い Red だけが消えることを見る
+        const reds = Array.from({ length: 45 }, (_, i) => ({
+            name: 'Red', r: 150 + i, g: 30, b: 30, learnedAt: new Date(Date.UTC(2025, 0, 1, 0, i)).toISOString(),
+        }));
+        const gold = { name: 'Gold', r: 210, g: 170, b: 60, learnedAt: '2024-01-01T00:00:00.000Z' };
+        const imported = await callWorker('/api/learned-colors/import', { body: [...reds, gold], env });
+        assert.equal(imported.status, 200);
+        assert.equal(imported.body.count, 41);
+
+        await callWorker('/api/learn', { body: { detectedColor: { r: 220, g: 20, b: 20 }, correctColorName: 'Red' }, env });
+        const { colors } = (await callWorker('/api/learned-colors', { method: 'GET', env })).body;
+        const kept = colors.filter(c => c.name === 'Red');
+        assert.equal(kept.length, 40);
+        // 最も古い 6 件 (r = 150..155) が落ち、新しく学習した 1 件は残る
+        assert.equal(Math.min(...kept.map(c => c.r)), 156);
+        assert.ok(kept.some(c => c.r === 220));
+        assert.ok(colors.some(c => c.name === 'Gold'));
+    });
+});
+
+describe('/api/learned-colors', () => {
+    const learn = (env, correctColorName, detectedColor) => callWorker('/api/learn', { body: { detectedColor, correctColorName }, env });
+    const list = async env => (await callWorker('/api/learned-colors', { method: 'GET', env })).body;
+
+    test('lists samples with their metadata and undoes the last change', async () => {
+        const env = createEnv();
+        await learn(env, 'Red', { r: 200, g: 40, b: 40 });
+        await learn(env, 'Gold', { r: 200, g: 170, b: 60 });
+        const { colors, models } = await list(env);
+        assert.deepEqual(colors.map(c => [c.name, c.source, c.sampleCount]), [['Red', '/api/learn', 1], ['Gold', '/api/learn', 1]]);
+        assert.ok(colors.every(c => !Number.isNaN(Date.parse(c.learnedAt))));
+        assert.deepEqual(models.map(m => m.name).sort(), ['Gold', 'Red']);
+
+        assert.equal((await callWorker('/api/learned-colors', { method: 'DELETE', env })).body.deleted, 2);
+        assert.equal((await list(env)).count, 0);
+        assert.equal((await callWorker('/api/learned-colors/undo', { env })).status, 200);
+        assert.deepEqual((await list(env)).colors.map(c => c.name), ['Red', 'Gold']);
+    });
+
+    test('exports and imports the learned set', async () => {
+        const source = createEnv();
+        await learn(source, 'Red', { r: 200, g: 40, b: 40 });
+        await learn(source, 'Red', { r: 200, g: 40, b: 40 });
+        const exported = await callWorker('/api/learned-colors/export', { method: 'GET', env: source });
+        assert.equal(exported.body.version, 1);
+
+        const target = createEnv();
+        await learn(target, 'Gold', { r: 200, g: 170, b: 60 });
+        assert.equal((await callWorker('/api/learned-colors/import', { body: exported.body, env: target })).status, 200);
+        assert.deepEqual((await list(target)).colors.map(c => [c.name, c.sampleCount]), [['Gold', 1], ['Red', 2]]);
+
+        await callWorker('/api/learned-colors/import?mode=replace', { body: exported.body, env: target });
+        assert.deepEqual((await list(target)).colors.map(c => c.name), ['Red']);
+    });
+
+    test('rejects imports with unknown names or invalid channels', async () => {
+        const env = createEnv();
+        for (const colors of [
+            [{ name: 'Purple', r: 10, g: 20, b: 30 }],
+            [{ name: 'Red', r: 10.5, g: 20, b: 30 }],
+            [{ name: 'Red', r: 10, g: 20 }],
+            { colors: 'Red' },
+        ]) {
+            const { status } = await callWorker('/api/learned-colors/import', { body: colors, env });
+            assert.equal(status, 400, JSON.stringify(colors));
+        }
+        assert.equal((await list(env)).count, 0);
+    });
+});
+
+describe('/api/profiles', () => {
+    test('keeps learned colors and their effect inside the selected profile', async () => {
+        const env = createEnv();
+        assert.equal((await callWorker('/api/profiles', { body: { name: 'bench' }, env })).status, 201);
+        const image = renderResistor(['Red', 'Red', 'Brown', 'Gold']);
+        const red = (await detectBands(image, {}, env)).body.bands[0];
+        for (let i = 0; i < 5; i++) {
+            await callWorker('/api/learn', { body: { detectedColor: red.rgb, correctColorName: 'Red', profile: 'bench' }, env });
+        }
+
+        const counts = (await callWorker('/api/profiles', { method: 'GET', env })).body.profiles.map(p => [p.name, p.count]);
+        assert.deepEqual(counts, [['default', 0], ['bench', 1]]);
+        assert.equal((await callWorker('/api/learned-colors?profile=bench', { method: 'GET', env })).body.colors[0].sampleCount, 5);
+
+        const bench = (await detectBands(image, { profile: 'bench' }, env)).body;
+        assert.equal(bench.profile, 'bench');
+        assert.deepEqual(bench.reading.bands.slice(0, 2), ['Red', 'Red']);
+        const standard = (await detectBands(image, {}, env)).body;
+        assert.equal(standard.profile, 'default');
+        assert.deepEqual(standard.reading.bands.slice(0, 2), ['Brown', 'Brown']);
+    });
+
+    test('copies a profile without sharing later changes', async () => {
+        const env = createEnv();
+        await callWorker('/api/profiles', { body: { name: 'lamp' }, env });
+        await callWorker('/api/learn', { body: { detectedColor: { r: 200, g: 40, b: 40 }, correctColorName: 'Red', profile: 'lamp' }, env });
+        assert.equal((await callWorker('/api/profiles/lamp/copy', { body: { name: 'lamp-2' }, env })).status, 201);
+        await callWorker('/api/learn', { body: { detectedColor: { r: 200, g: 170, b: 60 }, correctColorName: 'Gold', profile: 'lamp-2' }, env });
+
+        const names = async profile => (await callWorker(`/api/learned-colors?profile=${profile}`, { method: 'GET', env })).body.colors.map(c => c.name);
+        assert.deepEqual(await names('lamp'), ['Red']);
+        assert.deepEqual(await names('lamp-2'), ['Red', 'Gold']);
+
+        assert.equal((await callWorker('/api/profiles/lamp', { method: 'DELETE', env })).status, 200);
+        assert.equal(await env.LEARNING_STORE.get('custom_colors:lamp'), null);
+        assert.deepEqual(await names('lamp-2'), ['Red', 'Gold']);
+    });
+
+    test('rejects unknown profiles instead of falling back to the default one', async () => {
+        const env = createEnv();
+        const learned = await callWorker('/api/learn', { body: { detectedColor: { r: 200, g: 40, b: 40 }, correctColorName: 'Red', profile: 'missing' }, env });
+        assert.equal(learned.status, 400);
+        assert.equal((await detectBands(renderResistor(STABLE_COLORS), { profile: 'missing' }, env)).status, 400);
+        assert.equal((await callWorker('/api/profiles/default', { method: 'DELETE', env })).status, 400);
+        assert.equal(await env.LEARNING_STORE.get('custom_colors'), null);
+    });
+});
+
+describe('/api/learn-from-value', () => {
+    test('builds the correct sequence with the detected band count', async () => {
+        const env = createEnv();
+        // 5バンドの 10kΩ ±1%。本数を値から推定すると 4バンドの Brown-Black-Orange-Brown になる
+        const colors = ['Brown', 'Black', 'Black', 'Red', 'Brown'];
+        const detection = await detectBands(renderResistor(colors));
+        assert.equal(detection.body.bands.length, 5);
+
+        const { status, body } = await callWorker('/api/learn-from-value', {
+            body: { detectedBands: detection.body.bands, correctValue: '10k', correctTolerance: '1' },
+            env,
+        });
+        assert.equal(status, 200);
+        assert.deepEqual(body.correctColorSequence, colors);
+
+        const stored = JSON.parse(await env.LEARNING_STORE.get('custom_colors'));
+        assert.deepEqual([...new Set(stored.map(c => c.name))].sort(), ['Black', 'Brown', 'Red']);
+        const red = stored.find(c => c.name === 'Red');
+        assert.ok(red.r > 150 && red.g < 80 && red.b < 80, `Red sample ${JSON.stringify(red)}`);
+    });
+
+    test('falls back to the inferred band count when the detected count cannot express the value', async () => {
+        const env = createEnv();
+        // 4バンドでは 2.49kΩ を表せないので 5バンドの並びで対応付ける
+        const detection = await detectBands(renderResistor(STABLE_COLORS));
+        const { status, body } = await callWorker('/api/learn-from-value', {
+            body: { detectedBands: detection.body.bands, correctValue: '2.49k', correctTolerance: '1' },
+            env,
+        });
+        assert.equal(status, 200);
+        assert.deepEqual(body.correctColorSequence, ['Red', 'Yellow', 'White', 'Brown', 'Brown']);
+    });
+});
+
+describe('/api/inventory', () => {
+    test('adds a part from a detection result', async () => {
+        const env = createEnv();
+        const result = (await detectBands(renderResistor(STABLE_COLORS))).body;
+        const { status, body } = await callWorker('/api/inventory', { body: { result, location: 'A1' }, env });
+        assert.equal(status, 201);
+        assert.equal(body.record.ohms, 1500000);
+        assert.equal(body.record.tolerancePercent, 5);
+        assert.deepEqual(body.record.bands, STABLE_COLORS);
+    });
+
+    test('rejects detection results with an invalid resistance', async () => {
+        const env = createEnv();
+        for (const resistance of [
+            { ok: true, ohms: 'abc', tolerancePercent: 5 },
+            { ok: true },
+            { ok: true, ohms: -100, tolerancePercent: 5 },
+            { ok: true, ohms: 100, tolerancePercent: -5 },
+            { ok: true, ohms: 100, tolerancePercent: 7 },
+        ]) {
+            const { status } = await callWorker('/api/inventory', { body: { result: { resistance } }, env });
+            assert.equal(status, 400, JSON.stringify(resistance));
+        }
+        assert.equal((await callWorker('/api/inventory', { method: 'GET', env })).body.count, 0);
+    });
+
+    test('rejects bodies that are not JSON objects', async () => {
+        const env = createEnv();
+        const record = (await callWorker('/api/inventory', { body: { value: '4k7' }, env })).body.record;
+        for (const body of ['null', '[]', '42', '"4k7"', '{']) {
+            const headers = { 'Content-Type': 'application/json' };
+            assert.equal((await callWorker('/api/inventory', { body, headers, env })).status, 400, `POST ${body}`);
+            assert.equal((await callWorker(`/api/inventory/${record.id}`, { method: 'PATCH', body, headers, env })).status, 400, `PATCH ${body}`);
+        }
+        const list = (await callWorker('/api/inventory', { method: 'GET', env })).body;
+        assert.deepEqual(list.records.map(r => r.quantity), [1]);
+    });
+
+    test('merges a record moved onto an existing value and location', async () => {
+        const env = createEnv();
+        const a1 = (await callWorker('/api/inventory', { body: { value: '4k7', quantity: 3, location: 'A1' }, env })).body.record;
+        const b2 = (await callWorker('/api/inventory', { body: { value: '4k7', quantity: 5, location: 'B2' }, env })).body.record;
+        const { status, body } = await callWorker(`/api/inventory/${b2.id}`, { method: 'PATCH', body: { location: 'A1' }, env });
+        assert.equal(status, 200);
+        assert.equal(body.merged, true);
+        assert.equal(body.record.id, a1.id);
+        assert.equal(body.record.quantity, 8);
+        const list = (await callWorker('/api/inventory', { method: 'GET', env })).body;
+        assert.deepEqual(list.records.map(r => [r.location, r.quantity]), [['A1', 8]]);
+    });
+
+    test('exports user text so spreadsheets do not run it as a formula', async () => {
+        const env = createEnv();
+        await callWorker('/api/inventory', { body: { value: '220', location: '=HYPERLINK("http://x")', note: '@SUM(1)' }, env });
+        const { body } = await callWorker('/api/inventory/export', { method: 'GET', env });
+        const row = body.trim().split('\r\n')[1];
+        assert.match(row, /,"'=HYPERLINK\(""http:\/\/x""\)",/);
+        assert.match(row, /,'@SUM\(1\),/);
+        assert.match(row, /,220,5,1,/);
+    });
+});
+
+describe('/api/batch', () => {
+    test('analyses every uploaded image', async () => {
+        const form = new FormData();
+        form.append('images', pngBlob(renderResistor(STABLE_COLORS)), 'straight.png');
+        form.append('images', pngBlob(renderResistor(STABLE_COLORS, { rotation: 25 })), 'rotated.png');
+        form.append('images', new Blob(['not an image'], { type: 'image/png' }), 'broken.png');
+
+        const { status, body } = await callWorker('/api/batch', { body: form });
+        assert.equal(status, 200);
+        assert.equal(body.count, 3);
+        assert.deepEqual(body.results.map(r => r.file), ['straight.png', 'rotated.png', 'broken.png']);
+        assert.equal(body.failed, 1);
+        assert.ok(body.results[2].error);
+        assert.equal(body.results[1].angle, 25);
+    });
+
+    test('uses a fixed threshold unless auto is requested for a small batch', async () => {
+        const image = pngBlob(renderResistor(STABLE_COLORS));
+        const form = new FormData();
+        form.append('images', image, 'fixed.png');
+        assert.equal((await callWorker('/api/batch', { body: form })).body.results[0].threshold, 1);
+
+        const many = new FormData();
+        for (let i = 0; i < 11; i++) many.append('images', image, `${i}.png`);
+        many.append('threshold', 'auto');
+        const { status, body } = await callWorker('/api/batch', { body: many });
+        assert.equal(status, 400);
+        assert.match(body.error, /threshold=auto/);
+    });
+
+    test('escapes formula-like file names in the CSV report', async () => {
+        const form = new FormData();
+        form.append('images', pngBlob(renderResistor(STABLE_COLORS)), '+cmd.png');
+        form.append('format', 'csv');
+        const { body } = await callWorker('/api/batch', { body: form });
+        assert.match(body.split('\r\n')[1], /^'\+cmd\.png,/);
+    });
+
+    test('refuses zip entries that inflate beyond the size limit', async () => {
+        const image = encodePng({ ...renderResistor(STABLE_COLORS), channels: 4 });
+        const bomb = new Uint8Array(21 * 1024 * 1024);
+        const zip = zipArchive([
+            { name: 'ok.png', data: image, sizeInHeader: image.length },
+            { name: 'declared.png', data: bomb, sizeInHeader: bomb.length },
+            { name: 'lying.png', data: bomb, sizeInHeader: 1000 },
+        ]);
+        const { status, body } = await callWorker('/api/batch', { body: zip, headers: { 'Content-Type': 'application/zip' } });
+        assert.equal(status, 200);
+        assert.equal(body.results[0].error, undefined);
+        assert.match(body.results[1].error, /larger than 20 MB/);
+        assert.match(body.results[2].error, /larger than 20 MB/);
+    });
+});
@@ -0,0 +1,215 @@
+// 合成抵抗器画像ジェネレーター (テスト用)
+// カラーコードの並びから、照明の色かぶり・反射・ボケ・ノイズ・回転・本体色を変えた RGBA 画像を描く。
+// 出力は /api/detect-edges に application/octet-stream でそのまま送れる { data, width, height }。
+
+// 実物の塗料に近い色 (RESISTOR_COLORS の基準色とはわざとずらしてある)
+export const BAND_PAINT = {
+    Black: [32, 30, 30],
+    Brown: [115, 62, 38],
+    Red: [200, 38, 36],
+    Orange: [232, 118, 32],
+    Yellow: [236, 204, 42],
+    Green: [38, 138, 72],
+    Blue: [38, 82, 188],
+    Violet: [128, 62, 158],
+    Gray: [132, 132, 132],
+    White: [238, 238, 236],
+    Gold: [196, 154, 64],
+    Silver: [188, 188, 192],
+};
+
+export const BODY_PAINT = {
+    beige: [217, 190, 143],
+    blue: [127, 178, 217],
+};
+
+const METALLIC = new Set(['Gold', 'Silver']);
+const BACKGROUND = [236, 236, 232];
+const LEAD = [150, 150, 152];
+
+// 本体の長さに対するバンド中心の位置 (許容差・温度係数バンドは右端に寄せる)
+const BAND_LAYOUT = {
+    3: { centers: [0.22, 0.35, 0.48], width: 0.065 },
+    4: { centers: [0.22, 0.35, 0.48, 0.78], width: 0.065 },
+    5: { centers: [0.18, 0.3, 0.42, 0.54, 0.8], width: 0.055 },
+    6: { centers: [0.16, 0.27, 0.38, 0.49, 0.72, 0.84], width: 0.05 },
+};
+
+/**
+ * Named capture conditions used by the accuracy suite. Each one changes a single factor
+ * relative to `clean` so the per-condition accuracy points at what breaks.
+ */
+export const CONDITIONS = {
+    'clean': {},
+    'warm-light': { tint: [1.08, 0.96, 0.76] },
+    'cool-light': { tint: [0.86, 0.96, 1.12] },
+    'glare': { glare: 0.55 },
+    'blur': { blur: 2 },
+    'noise': { noise: 10 },
+    'rotated': { rotation: 25 },
+    'blue-body': { body: 'blue' },
+};
+
+// 再現性のための疑似乱数 (mulberry32)
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 走査軸上の位置 t (本体の左端 0 〜 右端 1) にあるバンドの色名。なければ null
+function bandAt(t, bands) {
+    const layout = BAND_LAYOUT[bands.length];
+    for (let i = 0; i < bands.length; i++) {
+        if (Math.abs(t - layout.centers[i]) <= layout.width / 2) return bands[i];
+    }
+    return null;
+}
+
+// 1サンプル分の色 (照明補正前)。along/across は抵抗器の軸に沿った座標 (ピクセル、中心が0)
+function shadeSample(along, across, geometry, bands, options) {
+    const { bodyLength, thickness, leadLength } = geometry;
+    const half = thickness / 2;
+    // 両端の少し太いキャップ部分
+    const capLength = bodyLength * 0.12;
+    const distFromEnd = bodyLength / 2 - Math.abs(along);
+    const radius = distFromEnd < capLength ? half : half * 0.9;
+
+    if (Math.abs(along) <= bodyLength / 2 && Math.abs(across) <= radius) {
+        const name = bandAt(along / bodyLength + 0.5, bands);
+        const paint = name ? BAND_PAINT[name] : BODY_PAINT[options.body];
+        // 円柱の陰影: 中央が明るく、縁に向かって暗くなる
+        const v = across / radius;
+        const cylinder = Math.sqrt(Math.max(0, 1 - v * v));
+        let shade = 0.62 + 0.38 * cylinder;
+        let highlight = options.glare * Math.exp(-((v + 0.4) ** 2) / (2 * 0.16 ** 2));
+        if (name && METALLIC.has(name)) {
+            // 金属色は光沢が強く、陰影のコントラストも大きい
+            shade = 0.5 + 0.6 * cylinder;
+            highlight = Math.min(1, highlight * 1.5 + 0.12 * Math.exp(-((v + 0.2) ** 2) / (2 * 0.2 ** 2)));
+        }
+        return paint.map(c => c * shade + (255 - c * shade) * highlight);
+    }
+    if (Math.abs(along) <= leadLength / 2 && Math.abs(across) <= Math.max(1, thickness * 0.06)) {
+        return LEAD;
+    }
+    return BACKGROUND;
+}
+
+// 走査方向ごとの単純なボックスブラー (半径 radius ピクセル)
+function boxBlur(values, width, height, radius) {
+    const pass = (src, horizontal) => {
+        const dst = new Float32Array(src.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0, n = 0;
+                for (let d = -radius; d <= radius; d++) {
+                    const sx = horizontal ? Math.min(width - 1, Math.max(0, x + d)) : x;
+                    const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + d));
+                    const o = (sy * width + sx) * 3;
+                    r += src[o]; g += src[o + 1]; b += src[o + 2]; n++;
+                }
+                const o = (y * width + x) * 3;
+                dst[o] = r / n; dst[o + 1] = g / n; dst[o + 2] = b / n;
+            }
+        }
+        return dst;
+    };
+    return pass(pass(values, true), false);
+}
+
+/**
+ * Renders a resistor with the given band colors (left to right, 3-6 bands).
+ * options:
+ * - width, height: image size (default 360x160)
+ * - body: 'beige' | 'blue'
+ * - tint: per-channel gains of the light, e.g. [1.08, 0.96, 0.76] for warm light
+ * - glare: 0-1, strength of the specular stripe along the body
+ * - blur: box blur radius in pixels
+ * - noise: standard deviation of the per-pixel noise (0-255 scale)
+ * - rotation: angle of the resistor axis in degrees
+ * - seed: noise seed
+ */
+export function renderResistor(bands, options = {}) {
+    if (!BAND_LAYOUT[bands.length]) throw new Error(`3-6 bands are supported (got ${bands.length})`);
+    for (const name of bands) {
+        if (!BAND_PAINT[name]) throw new Error(`Unknown band color "${name}"`);
+    }
+    const settings = {
+        width: 360,
+        height: 160,
+        body: 'beige',
+        tint: [1, 1, 1],
+        glare: 0,
+        blur: 0,
+        noise: 0,
+        rotation: 0,
+        seed: 1,
+        ...options,
+    };
+    if (!BODY_PAINT[settings.body]) throw new Error(`Unknown body "${settings.body}"`);
+    const { width, height } = settings;
+    const geometry = {
+        bodyLength: width * 0.6,
+        thickness: height * 0.26,
+        leadLength: width * 0.96,
+    };
+    const angle = settings.rotation * Math.PI / 180;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    const cx = width / 2, cy = height / 2;
+
+    // 2x2 のスーパーサンプリングで縁のジャギーを抑える
+    const offsets = [0.25, 0.75];
+    let values = new Float32Array(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let r = 0, g = 0, b = 0;
+            for (const oy of offsets) {
+                for (const ox of offsets) {
+                    const dx = x + ox - cx, dy = y + oy - cy;
+                    const along = dx * cos + dy * sin;
+                    const across = -dx * sin + dy * cos;
+                    const [sr, sg, sb] = shadeSample(along, across, geometry, bands, settings);
+                    r += sr; g += sg; b += sb;
+                }
+            }
+            const o = (y * width + x) * 3;
+            values[o] = r / 4 * settings.tint[0];
+            values[o + 1] = g / 4 * settings.tint[1];
+            values[o + 2] = b / 4 * settings.tint[2];
+        }
+    }
+
+    if (settings.blur > 0) values = boxBlur(values, width, height, settings.blur);
+
+    const random = createRandom(settings.seed);
+    // 一様乱数3つの和で近似した正規分布 (分散 1)
+    const gaussian = () => (random() + random() + random() - 1.5) * 2;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0, o = 0; i < values.length; i += 3, o += 4) {
+        for (let c = 0; c < 3; c++) {
+            data[o + c] = values[i + c] + (settings.noise > 0 ? gaussian() * settings.noise : 0);
+        }
+        data[o + 3] = 255;
+    }
+    return { data, width, height };
+}
+
+// 同じ幅の画像を縦に並べて1枚にする (1枚の写真に複数の抵抗器が写っている場合の mode=multi 用)
+export function stackImages(images) {
+    const width = images[0].width;
+    if (images.some(image => image.width !== width)) throw new Error('stackImages needs images of the same width');
+    const height = images.reduce((sum, image) => sum + image.height, 0);
+    const data = new Uint8ClampedArray(width * height * 4);
+    let offset = 0;
+    for (const image of images) {
+        data.set(image.data, offset);
+        offset += image.data.length;
+    }
+    return { data, width, height };
+}
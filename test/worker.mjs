@@ -0,0 +1,110 @@
+// テストから Worker のハンドラーを呼ぶためのヘルパー (オフライン、Node のみ)
+// src/index.ts と src/analysis.ts を TypeScript で JS に変換して dist/test/ に書き出し、fetch ハンドラーを直接呼ぶ。
+
+import { mkdirSync, readFileSync, unlinkSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import ts from 'typescript';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+function transpile(name) {
+    const source = readFileSync(join(root, 'src', `${name}.ts`), 'utf8');
+    return ts.transpileModule(source, {
+        compilerOptions: { module: ts.ModuleKind.ES2022, target: ts.ScriptTarget.ES2021 },
+    }).outputText;
+}
+
+async function loadWorker() {
+    // リポジトリ内に置くことで fast-png / jpeg-js が node_modules から解決される。
+    // node --test はファイルごとに並列で動くので、プロセスごとに別のファイルにする
+    const outDir = join(root, 'dist', 'test');
+    mkdirSync(outDir, { recursive: true });
+    const analysisFile = join(outDir, `analysis.${process.pid}.mjs`);
+    const workerFile = join(outDir, `worker.${process.pid}.mjs`);
+    writeFileSync(analysisFile, transpile('analysis'));
+    // wrangler (esbuild) は拡張子なしの './analysis' を解決するが、Node は解決しない
+    writeFileSync(workerFile, transpile('index').replace(`from './analysis'`, `from './analysis.${process.pid}.mjs'`));
+    try {
+        return (await import(pathToFileURL(workerFile).href)).default;
+    } finally {
+        unlinkSync(workerFile);
+        unlinkSync(analysisFile);
+    }
+}
+
+const worker = await loadWorker();
+
+// LEARNING_STORE の代わりのメモリ上の KV
+export function createEnv() {
+    const store = new Map();
+    return {
+        LEARNING_STORE: {
+            async get(key, options) {
+                if (!store.has(key)) return null;
+                const value = store.get(key);
+                return options === 'json' || options?.type === 'json' ? JSON.parse(value) : value;
+            },
+            async put(key, value) {
+                store.set(key, value);
+            },
+            async delete(key) {
+                store.delete(key);
+            },
+            async list(options = {}) {
+                const keys = [...store.keys()].filter(key => !options.prefix || key.startsWith(options.prefix));
+                return { keys: keys.map(name => ({ name })), list_complete: true };
+            },
+        },
+        ASSETS: { fetch: async () => new Response('Not found', { status: 404 }) },
+    };
+}
+
+const defaultEnv = createEnv();
+
+/**
+ * Calls the worker's fetch handler. `body` may be an object (sent as JSON), a string, bytes or FormData.
+ * Returns { status, body } with the body parsed as JSON when possible.
+ */
+export async function callWorker(path, { method = 'POST', body, headers = {}, env = defaultEnv } = {}) {
+    const isJson = body !== undefined && !(typeof body === 'string' || body instanceof Uint8Array || body instanceof Uint8ClampedArray || body instanceof FormData);
+    const request = new Request(`http://localhost${path}`, {
+        method,
+        headers: isJson ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: isJson ? JSON.stringify(body) : body,
+    });
+    const response = await worker.fetch(request, env, {});
+    const text = await response.text();
+    try {
+        return { status: response.status, body: JSON.parse(text) };
+    } catch {
+        return { status: response.status, body: text };
+    }
+}
+
+// 抵抗値とバンド数からカラーコードを引く (/api/encode)
+export async function encodeValue(value, bandCount) {
+    const query = new URLSearchParams({ value: String(value) });
+    if (bandCount) query.set('bandCount', String(bandCount));
+    const { status, body } = await callWorker(`/api/encode?${query}`, { method: 'GET' });
+    if (status !== 200) throw new Error(`encode ${value}: ${body.error}`);
+    return body;
+}
+
+// RGBA 画像を UI と同じ octet-stream 形式で送る (/api/detect-edges, /api/locate, /api/scan)。学習色を使うときは env を渡す
+export async function postImage(path, image, params = {}, env = defaultEnv) {
+    const query = new URLSearchParams(params);
+    return callWorker(`${path}?${query}`, {
+        body: new Uint8Array(image.data.buffer, image.data.byteOffset, image.data.byteLength),
+        headers: {
+            'Content-Type': 'application/octet-stream',
+            'X-Image-Width': String(image.width),
+            'X-Image-Height': String(image.height),
+        },
+        env,
+    });
+}
+
+export async function detectBands(image, params = {}, env = defaultEnv) {
+    return postImage('/api/detect-edges', image, params, env);
+}